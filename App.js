@@ -4,7 +4,7 @@
 // and falls back to in-memory storage to avoid bundling/import errors).
 // Also hardened Section to accept optional children and added small defensive checks.
 
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import {
     SafeAreaView,
     View,
@@ -16,80 +16,78 @@ import {
     StyleSheet,
     ScrollView,
     Modal,
+    AppState,
+    useColorScheme,
 } from 'react-native';
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, createNavigationContainerRef, DefaultTheme, DarkTheme } from '@react-navigation/native';
+import { StatusBar } from 'expo-status-bar';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { Ionicons } from '@expo/vector-icons';
 import HistoryTab from './components/HistoryTab';
 import PerformanceTab from './components/PerformanceTab';
-import { Calendar } from 'react-native-calendars';
+import SettingsTab from './components/SettingsTab';
+import SearchTab from './components/SearchTab';
+import { Calendar, LocaleConfig } from 'react-native-calendars';
 import TopBar from './components/TopBar';
+import OccurrenceList from './components/OccurrenceList';
+import RatingScales from './components/RatingScales';
+import TagInput from './components/TagInput';
+import UndoToast from './components/UndoToast';
+import VersionsModal from './components/VersionsModal';
+import LockScreen from './components/LockScreen';
+import { ThemeProvider, useTheme, useThemedStyles } from './components/ThemeContext';
+import { I18nProvider, useI18n } from './components/I18nContext';
 import { SafeAreaView as SafeAreaViewRN } from 'react-native';
 import { SafeAreaView as SafeAreaViewSA, useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useFocusEffect } from '@react-navigation/native';
+import { getEmptyEntry, applyLayout, sameLayout } from './utils/schema';
+import { loadJournal, saveDay, flushWrites, hasPendingWrite } from './utils/storage';
+import { loadTrash, trashDay, restoreFromTrash, TRASH_RETENTION_DAYS } from './utils/trash';
+import { mergeEntries } from './utils/importJournal';
+import { loadLockConfig, openJournal, closeJournal, RELOCK_AFTER_MS } from './utils/lock';
+import { startSync, stopSync } from './utils/sync';
+import { subscribeToDayChanges, createInstanceId } from './utils/liveUpdates';
+import { resolveScheme, getColors, calendarTheme } from './utils/theme';
+import { t, setLanguage, getFirstDayOfWeek, calendarLocale, applyLayoutDirection } from './utils/i18n';
+import { getTodayKey, formatDateString, setDayStartHour, msUntilNextDay } from './utils/dates';
+import { loadSettings, saveSettings, DEFAULT_SETTINGS } from './utils/settings';
+import { isSectionFilled, getFilledSections } from './utils/entryStatus';
+import { syncReminders, setReminderFilter, addReminderOpenListener } from './utils/reminders';
+import { addOccurrence, clearCategory, getOccurrences } from './utils/occurrences';
+import { addTags, removeTag, getTags, collectTags } from './utils/tags';
+import { recordRevision, createUndoHistory, checkpoint, undo, redo, getTextField, setTextField } from './utils/revisions';
+import {
+    gratitudePrompt,
+    gratitudeLabel,
+    getEntryCategories,
+    getActiveLayout,
+    getEntryNightPrompts,
+} from './utils/prompts';
 
-// NOTE: We avoid a static top-level `import AsyncStorage from '@react-native-async-storage/async-storage'`
-// because some bundlers/environments (web preview, certain snack/embed systems) fail to resolve
-// native-only packages. Instead we create a lightweight Storage wrapper that prefers:
-// 1) window.localStorage when running on web,
-// 2) the native AsyncStorage when available at runtime,
-// 3) an in-memory fallback if neither are available.
-
-const STORAGE_KEY = '@three_c_daily_entries_v1';
-
-const Storage = (() => {
-    // 1) Web/localStorage
-    if (typeof window !== 'undefined' && window.localStorage) {
-        return {
-            getItem: async (k) => {
-                try {
-                    return window.localStorage.getItem(k);
-                } catch (e) {
-                    console.warn('localStorage.getItem failed', e);
-                    return null;
-                }
-            },
-            setItem: async (k, v) => {
-                try {
-                    window.localStorage.setItem(k, v);
-                } catch (e) {
-                    console.warn('localStorage.setItem failed', e);
-                }
-            },
-        };
-    }
-
-    // 2) Try to require native AsyncStorage at runtime (only executed where require is supported)
-    try {
-        // using require inside try so bundlers that resolve static imports for web don't choke
-        // Note: Some bundlers still analyze require() calls, but this pattern avoids top-level import failures
-        // in many embed environments.
-        // eslint-disable-next-line @typescript-eslint/no-var-requires
-        const AsyncStorageModule = require('@react-native-async-storage/async-storage');
-        const AsyncStorage = AsyncStorageModule && (AsyncStorageModule.default || AsyncStorageModule);
-        if (AsyncStorage && typeof AsyncStorage.getItem === 'function') {
-            return AsyncStorage;
-        }
-    } catch (e) {
-        // not available — we'll fall back to in-memory storage below
-    }
+// How long typing has to pause before the day's state becomes an undo step and a stored revision
+const CHECKPOINT_IDLE_MS = 1500;
+// Longest wait between checks for a new journal day; the clock or time zone can change
+// while the app is open, so the time until the next day start is only an estimate
+const DAY_CHECK_MAX_MS = 60 * 1000;
 
-    // 3) In-memory fallback (non-persistent) — safe default so the app still runs
-    const mem = {};
-    return {
-        getItem: async (k) => (Object.prototype.hasOwnProperty.call(mem, k) ? mem[k] : null),
-        setItem: async (k, v) => {
-            mem[k] = v;
-        },
-    };
-})();
+// The entry to edit for `date`. Saved days keep the prompts they were written with,
+// except today, which follows the current journal settings (without losing any text).
+function entryForDay(entries, date, journal) {
+    const layout = getActiveLayout(journal);
+    const saved = entries && entries[date];
+    if (!saved || typeof saved !== 'object') return getEmptyEntry(layout);
+    if (date === getTodayKey() && !sameLayout(saved.layout, layout)) return applyLayout(saved, layout);
+    return saved;
+}
 
-function Section({ title, expanded, onToggle, children = null }) {
+function Section({ title, expanded, onToggle, onLayout, children = null }) {
+    const { colors } = useTheme();
+    const styles = useThemedStyles(createStyles);
     return (
-        <View style={styles.section}>
+        <View style={styles.section} onLayout={onLayout}>
             <TouchableOpacity style={styles.sectionHeader} onPress={onToggle}>
                 <Text style={styles.sectionTitle}>{title}</Text>
-                <Ionicons name={expanded ? 'chevron-up' : 'chevron-down'} size={20} color="#333" />
+                <Ionicons name={expanded ? 'chevron-up' : 'chevron-down'} size={20} color={colors.text} />
             </TouchableOpacity>
             {expanded && (children ?? null)}
         </View>
@@ -97,6 +95,7 @@ function Section({ title, expanded, onToggle, children = null }) {
 }
 
 function SmallButton({ onPress, title }) {
+    const styles = useThemedStyles(createStyles);
     return (
         <TouchableOpacity onPress={onPress} style={styles.btn}>
             <Text style={styles.btnText}>{title}</Text>
@@ -105,14 +104,18 @@ function SmallButton({ onPress, title }) {
 }
 
 function Header() {
+    const { t } = useI18n();
+    const styles = useThemedStyles(createStyles);
     return (
         <View style={styles.header}>
-            <Text style={styles.headerTitle}>Break the 3C Cycle — Daily Reset</Text>
+            <Text style={styles.headerTitle}>{t('app.title')}</Text>
         </View>
     );
 }
 
 function HistoryScreen({ entries }) {
+    const { t } = useI18n();
+    const styles = useThemedStyles(createStyles);
     const historyArray = Object.keys(entries || {})
         .sort((a, b) => b.localeCompare(a))
         .slice(0, 7)
@@ -123,13 +126,12 @@ function HistoryScreen({ entries }) {
         const value = item?.value ?? {};
         const morningGratitude = (value.morning && Array.isArray(value.morning.gratitude)) ? value.morning.gratitude : [];
         const morningCount = morningGratitude.filter(Boolean).length;
-        const caught = (value.midday && Array.isArray(value.midday.caught)) ? value.midday.caught : [];
-        const caughtCount = caught.filter(Boolean).length;
-        const nightFilled = [value.night?.wentWell, value.night?.handled, value.night?.improve].filter(Boolean).length;
+        const caughtCount = Object.values(value.midday?.caught ?? {}).filter(Boolean).length;
+        const nightFilled = Object.values(value.night ?? {}).filter(Boolean).length;
         return (
             <View style={styles.historyItem}>
                 <Text style={styles.historyDate}>{key}</Text>
-                <Text style={styles.historyMeta}>Gratitude: {morningCount} • Caught: {caughtCount} • Night: {nightFilled}</Text>
+                <Text style={styles.historyMeta}>{t('history.summaryCounts', { gratitude: morningCount, caught: caughtCount, night: nightFilled })}</Text>
             </View>
         );
     }
@@ -138,9 +140,9 @@ function HistoryScreen({ entries }) {
         <SafeAreaView style={styles.container}>
             <ScrollView contentContainerStyle={styles.content}>
                 <Header />
-                <Section title="Last 7 days — Summary">
+                <Section title={t('history.lastSevenDays')}>
                     {historyArray.length === 0 ? (
-                        <Text style={styles.muted}>No entries yet — they will appear here after you save.</Text>
+                        <Text style={styles.muted}>{t('history.noEntriesYet')}</Text>
                     ) : (
                         <FlatList data={historyArray} keyExtractor={(item) => item.key} renderItem={renderHistoryItem} />
                     )}
@@ -150,35 +152,59 @@ function HistoryScreen({ entries }) {
     );
 }
 
-function HomeScreen({ todayKey, current, updateGratitude, toggleMidC, updateMidReframe, updateNightField, clearToday, setTodayKey, setCurrent, entries, saveCurrent, storeVersion }) {
+function HomeScreen({ todayKey, current, updateGratitude, toggleMidC, updateMidReframe, updateNightField, clearToday, setTodayKey, setCurrent, entries, saveCurrent, storeVersion, focusSection, onFocusHandled, journal, undoHistory, onUndo, onRedo, onRestoreVersion, clearedDay, onUndoClear, onDismissClear, onEditingField }) {
+    const { scheme, colors } = useTheme();
+    const { language, firstDay, t } = useI18n();
+    const styles = useThemedStyles(createStyles);
     const [calendarVisible, setCalendarVisible] = useState(false);
+    const [versionsVisible, setVersionsVisible] = useState(false);
     const [expandedSections, setExpandedSections] = useState({ morning: true, midday: true, night: true });
+    const scrollRef = useRef(null);
+    const sectionOffsets = useRef({});
+    // When opened for a specific section (e.g. from a reminder), expand it and scroll to it
+    useEffect(() => {
+        if (!focusSection) return;
+        setExpandedSections((prev) => ({ ...prev, [focusSection]: true }));
+        const timer = setTimeout(() => {
+            const y = sectionOffsets.current[focusSection];
+            if (scrollRef.current && typeof y === 'number') scrollRef.current.scrollTo({ y, animated: true });
+            if (onFocusHandled) onFocusHandled();
+        }, 100);
+        return () => clearTimeout(timer);
+    }, [focusSection]);
+    const trackSectionLayout = (section) => (e) => {
+        sectionOffsets.current[section] = e.nativeEvent.layout.y;
+    };
     const handleToggleSection = (section) => {
         setExpandedSections((prev) => ({ ...prev, [section]: !prev[section] }));
     };
     const handleDateSelect = (day) => {
         setTodayKey(day.dateString);
-        if (entries[day.dateString] && typeof entries[day.dateString] === 'object') {
-            setCurrent(entries[day.dateString]);
-        } else {
-            setCurrent(getEmptyEntry());
-        }
+        setCurrent(entryForDay(entries, day.dateString, journal));
         setCalendarVisible(false);
     };
     // Auto-save wrapper for field changes
     const autoSaveUpdateGratitude = (index, text) => {
-        const g = Array.isArray(current?.morning?.gratitude) ? [...current.morning.gratitude] : ['', '', ''];
+        const g = Array.isArray(current?.morning?.gratitude) ? [...current.morning.gratitude] : [];
         g[index] = text;
         const updated = { ...current, morning: { ...current.morning, gratitude: g } };
         setCurrent(updated);
         saveCurrent(updated);
     };
-    const autoSaveToggleMidC = (idx) => {
-        const mid = { ...current.midday };
-        const caught = Array.isArray(mid.caught) ? [...mid.caught] : [false, false, false];
-        caught[idx] = !caught[idx];
-        mid.caught = caught;
-        const updated = { ...current, midday: mid };
+    const autoSaveToggleMidC = (id) => {
+        let updated;
+        if (journal.awarenessMode === 'tally') {
+            // Each tap logs another occurrence; they are removed from the list below
+            updated = addOccurrence(current, id);
+        } else if (current.midday?.caught?.[id]) {
+            updated = clearCategory(current, id);
+        } else {
+            updated = { ...current, midday: { ...current.midday, caught: { ...current.midday?.caught, [id]: true } } };
+        }
+        setCurrent(updated);
+        saveCurrent(updated);
+    };
+    const autoSaveEntry = (updated) => {
         setCurrent(updated);
         saveCurrent(updated);
     };
@@ -192,143 +218,180 @@ function HomeScreen({ todayKey, current, updateGratitude, toggleMidC, updateMidR
         setCurrent(updated);
         saveCurrent(updated);
     };
-    // Get today's date string
-    const todayDate = new Date().toLocaleDateString('en-US', {
-        year: 'numeric', month: 'long', day: 'numeric'
+    // Tags already used anywhere in the journal, offered while typing a new one
+    const knownTags = useMemo(() => collectTags(entries), [entries]);
+    const tagProps = (target) => ({
+        tags: getTags(current, target),
+        known: knownTags,
+        onAdd: (texts) => autoSaveEntry(addTags(current, target, texts)),
+        onRemove: (tag) => autoSaveEntry(removeTag(current, target, tag)),
     });
     const insets = useSafeAreaInsets();
+    // Tell the app which text field is being typed in, so live updates leave it alone
+    const editingProps = (field) => ({
+        onFocus: () => onEditingField(field),
+        onBlur: () => onEditingField(null),
+    });
 
     useFocusEffect(
         React.useCallback(() => {
             // Reload today's entry from entries when tab is focused
-            if (entries[todayKey] && typeof entries[todayKey] === 'object') {
-                setCurrent(entries[todayKey]);
-            } else {
-                setCurrent(getEmptyEntry());
-            }
-        }, [entries, todayKey])
+            setCurrent(entryForDay(entries, todayKey, journal));
+        }, [entries, todayKey, journal])
     );
 
     // Also respond to storeVersion changes (e.g., clear/update from other tabs)
     React.useEffect(() => {
-        if (entries[todayKey] && typeof entries[todayKey] === 'object') {
-            setCurrent(entries[todayKey]);
-        } else {
-            setCurrent(getEmptyEntry());
-        }
-    }, [storeVersion, entries, todayKey]);
+        setCurrent(entryForDay(entries, todayKey, journal));
+    }, [storeVersion, entries, todayKey, journal]);
 
     return (
-        <SafeAreaViewSA style={{ flex: 1, paddingTop: insets.top }}>
+        <SafeAreaViewSA style={{ flex: 1, paddingTop: insets.top, backgroundColor: colors.background }}>
             <TopBar
                 date={formatDateString(todayKey)}
                 onClear={clearToday}
                 onDatePress={() => setCalendarVisible(true)}
+                onUndo={onUndo}
+                onRedo={onRedo}
+                canUndo={undoHistory.past.length > 0}
+                canRedo={undoHistory.future.length > 0}
+                onVersions={() => setVersionsVisible(true)}
+            />
+            <VersionsModal
+                visible={versionsVisible}
+                date={todayKey}
+                entry={current}
+                nightPrompts={journal.nightPrompts}
+                onRestore={onRestoreVersion}
+                onClose={() => setVersionsVisible(false)}
             />
             <View style={{ marginTop: 60, flex: 1 }}>
-                <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+                <ScrollView ref={scrollRef} contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
                     <Modal
                         visible={calendarVisible}
                         transparent
                         animationType="fade"
                         onRequestClose={() => setCalendarVisible(false)}
                     >
-                        <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: '#00000088' }}>
-                            <View style={{ backgroundColor: '#fff', borderRadius: 12, padding: 16, elevation: 4 }}>
+                        <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: colors.backdrop }}>
+                            <View style={{ backgroundColor: colors.card, borderRadius: 12, padding: 16, elevation: 4 }}>
                                 <Calendar
+                                    key={`${scheme}-${language}`}
+                                    theme={calendarTheme(colors)}
+                                    firstDay={firstDay}
                                     onDayPress={handleDateSelect}
                                     markedDates={{ [todayKey]: { selected: true } }}
                                     initialDate={todayKey}
                                 />
                                 <TouchableOpacity onPress={() => setCalendarVisible(false)} style={{ marginTop: 12 }}>
-                                    <Text style={{ color: '#0b7cff', textAlign: 'center' }}>Close</Text>
+                                    <Text style={{ color: colors.primary, textAlign: 'center' }}>{t('common.close')}</Text>
                                 </TouchableOpacity>
                             </View>
                         </View>
                     </Modal>
+                    <View style={styles.section}>
+                        <Text style={styles.label}>{t('tags.dayLabel')}</Text>
+                        <TagInput {...tagProps('day')} placeholder={t('tags.placeholder')} />
+                    </View>
                     <Section
-                        title="Morning — Gratitude (2 min)"
+                        title={t('sections.morning')}
                         expanded={expandedSections.morning}
                         onToggle={() => handleToggleSection('morning')}
+                        onLayout={trackSectionLayout('morning')}
                     >
-                        <Text style={styles.label}>List 3 things you're grateful for</Text>
-                        {(current?.morning?.gratitude ?? ['', '', '']).map((g, i) => (
+                        <Text style={styles.label}>{gratitudePrompt(current?.morning?.gratitude?.length ?? journal.gratitudeCount)}</Text>
+                        {(current?.morning?.gratitude ?? []).map((g, i) => (
                             <TextInput
                                 key={i}
                                 value={g}
                                 onChangeText={(t) => autoSaveUpdateGratitude(i, t)}
-                                placeholder={`Gratitude ${i + 1}`}
+                                {...editingProps(`gratitude.${i}`)}
+                                placeholder={gratitudeLabel(i)}
                                 style={styles.input}
-                                placeholderTextColor="#88888888"
+                                placeholderTextColor={colors.placeholder}
                             />
                         ))}
                     </Section>
                     <Section
-                        title="Midday — Awareness Check (1 min)"
+                        title={t('sections.midday')}
                         expanded={expandedSections.midday}
                         onToggle={() => handleToggleSection('midday')}
+                        onLayout={trackSectionLayout('midday')}
                     >
-                        <Text style={styles.label}>Did you notice any of these?</Text>
+                        <Text style={styles.label}>{t('prompts.caught')}</Text>
                         <View style={styles.rowWrap}>
-                            {['Complaining', 'Comparing', 'Criticizing'].map((label, idx) => (
-                                <TouchableOpacity
-                                    key={label}
-                                    style={[styles.checkbox, (current?.midday?.caught?.[idx]) && styles.checkboxOn]}
-                                    onPress={() => autoSaveToggleMidC(idx)}
-                                >
-                                    <Text style={styles.checkboxText}>{current?.midday?.caught?.[idx] ? '✓' : '+'}</Text>
-                                    <Text style={styles.checkboxLabel}>{label}</Text>
-                                </TouchableOpacity>
-                            ))}
+                            {getEntryCategories(current, journal.categories).map(({ id, label, color, icon }) => {
+                                const on = !!current?.midday?.caught?.[id];
+                                const count = getOccurrences(current, id).length;
+                                const tally = journal.awarenessMode === 'tally';
+                                return (
+                                    <TouchableOpacity
+                                        key={id}
+                                        style={[styles.checkbox, on && { backgroundColor: color, borderColor: color }]}
+                                        onPress={() => autoSaveToggleMidC(id)}
+                                    >
+                                        <Ionicons name={tally ? icon : (on ? 'checkmark' : icon)} size={16} color={on ? colors.onPrimary : color} />
+                                        <Text style={[styles.checkboxLabel, on && styles.checkboxLabelOn]}>{label}</Text>
+                                        {count > 0 && (
+                                            <View style={styles.countBadge}>
+                                                <Text style={[styles.countText, { color }]}>{count}</Text>
+                                            </View>
+                                        )}
+                                    </TouchableOpacity>
+                                );
+                            })}
                         </View>
-                        <Text style={[styles.label, { marginTop: 8 }]}>Reframe / Note</Text>
+                        <OccurrenceList entry={current} categories={journal.categories} onChange={autoSaveEntry} onEditingField={onEditingField} />
+                        <Text style={[styles.label, { marginTop: 8 }]}>{t('prompts.reframe')}</Text>
                         <TextInput
                             value={current?.midday?.reframe ?? ''}
                             onChangeText={autoSaveUpdateMidReframe}
-                            placeholder="How can I reframe this?"
+                            {...editingProps('reframe')}
+                            placeholder={t('prompts.reframePlaceholder')}
                             style={[styles.input, { height: 80 }]}
                             multiline
-                            placeholderTextColor="#88888888"
+                            placeholderTextColor={colors.placeholder}
                         />
+                        <TagInput {...tagProps('reframe')} placeholder={t('tags.reframePlaceholder')} />
                     </Section>
                     <Section
-                        title="Night — Growth Reflection (2 min)"
+                        title={t('sections.night')}
                         expanded={expandedSections.night}
                         onToggle={() => handleToggleSection('night')}
+                        onLayout={trackSectionLayout('night')}
                     >
-                        <Text style={styles.label}>One thing that went well</Text>
-                        <TextInput
-                            value={current?.night?.wentWell ?? ''}
-                            onChangeText={(t) => autoSaveUpdateNightField('wentWell', t)}
-                            placeholder="Went well..."
-                            style={styles.input}
-                            placeholderTextColor="#88888888"
-                        />
-                        <Text style={styles.label}>One thing I handled better than before</Text>
-                        <TextInput
-                            value={current?.night?.handled ?? ''}
-                            onChangeText={(t) => autoSaveUpdateNightField('handled', t)}
-                            placeholder="Handled better..."
-                            style={styles.input}
-                            placeholderTextColor="#88888888"
-                        />
-                        <Text style={styles.label}>One thing to improve tomorrow</Text>
-                        <TextInput
-                            value={current?.night?.improve ?? ''}
-                            onChangeText={(t) => autoSaveUpdateNightField('improve', t)}
-                            placeholder="Improve tomorrow..."
-                            style={styles.input}
-                            placeholderTextColor="#88888888"
-                        />
+                        {getEntryNightPrompts(current, journal.nightPrompts).map(({ id, label, placeholder }) => (
+                            <React.Fragment key={id}>
+                                <Text style={styles.label}>{label}</Text>
+                                <TextInput
+                                    value={current?.night?.[id] ?? ''}
+                                    onChangeText={(t) => autoSaveUpdateNightField(id, t)}
+                                    {...editingProps(`night.${id}`)}
+                                    placeholder={placeholder}
+                                    style={styles.input}
+                                    placeholderTextColor={colors.placeholder}
+                                />
+                            </React.Fragment>
+                        ))}
+                        <RatingScales entry={current} onChange={autoSaveEntry} />
                     </Section>
                     <View style={{ height: 40 }} />
                 </ScrollView>
             </View>
+            {clearedDay && (
+                <UndoToast
+                    key={clearedDay.id}
+                    message={t('home.movedToTrash', { date: formatDateString(clearedDay.date) })}
+                    onAction={onUndoClear}
+                    onDismiss={onDismissClear}
+                />
+            )}
         </SafeAreaViewSA>
     );
 }
 
 const Tab = createBottomTabNavigator();
+const navigationRef = createNavigationContainerRef();
 
 const HomeScreenWrapper = (props) => (
     <HomeScreen
@@ -353,23 +416,237 @@ export default function App() {
     const [current, setCurrent] = useState(getEmptyEntry());
     const [loading, setLoading] = useState(true);
     const [storeVersion, setStoreVersion] = useState(0); // bump to force sync
+    const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+    const [focusSection, setFocusSection] = useState(null);
+    const [undoHistory, setUndoHistory] = useState(() => createUndoHistory(null));
+    const [clearedDay, setClearedDay] = useState(null); // trash item while its undo toast shows
+    const [lockConfig, setLockConfig] = useState(undefined); // undefined until read, null when the lock is off
+    const [locked, setLocked] = useState(false);
+    const entriesRef = useRef(entries);
+    entriesRef.current = entries;
+    // The undo stack is read and replaced synchronously by several handlers in a row
+    const undoRef = useRef(undoHistory);
+    const pendingCheckpoint = useRef(null); // { date, entry } waiting for typing to pause
+    const editingField = useRef(null); // text field of the open day that has focus, e.g. 'night.wentWell'
+    // Listeners registered once call the latest applyExternalChanges (it reads todayKey and settings)
+    const externalChanges = useRef(null);
+    // Tags this window's writes, so its own changes don't come back as live updates
+    const [instanceId] = useState(createInstanceId);
+    const idleTimer = useRef(null);
+    // Settings are only readable once the journal is unlocked, so the lock screen follows the device
+    const systemScheme = useColorScheme();
+    const scheme = resolveScheme(settings.theme, systemScheme);
+    const colors = getColors(scheme);
+    const styles = useMemo(() => createStyles(colors), [colors]);
+    // The language has to be active before anything below renders, so it's switched here
+    // rather than in an effect; calendars pick up month and weekday names from LocaleConfig
+    const language = useMemo(() => {
+        const code = setLanguage(settings.language, settings.firstDayOfWeek);
+        LocaleConfig.locales[code] = calendarLocale();
+        LocaleConfig.defaultLocale = code;
+        return code;
+    }, [settings.language, settings.firstDayOfWeek]);
+    const firstDay = getFirstDayOfWeek();
+    // Set when the language is changed in Settings, to explain a needed restart
+    const languageChanged = useRef(false);
+    useEffect(() => {
+        if (applyLayoutDirection() && languageChanged.current) {
+            Alert.alert(t('settings.restartTitle'), t('settings.restartForDirection'));
+        }
+        languageChanged.current = false;
+    }, [language]);
+    const navigationTheme = useMemo(() => {
+        const base = scheme === 'dark' ? DarkTheme : DefaultTheme;
+        return {
+            ...base,
+            colors: {
+                ...base.colors,
+                primary: colors.primary,
+                background: colors.background,
+                card: colors.card,
+                text: colors.text,
+                border: colors.border,
+                notification: colors.danger,
+            },
+        };
+    }, [scheme, colors]);
+
+    // The journal can only be read once it's unlocked, so the lock comes before loading
+    useEffect(() => {
+        loadLockConfig()
+            .catch((e) => {
+                console.warn('Could not read lock settings', e);
+                return null;
+            })
+            .then((config) => {
+                setLockConfig(config);
+                if (config) setLocked(true);
+                else loadEntries();
+            });
+    }, []);
+
+    // Ask for the passcode again after the app has been in the background for a while.
+    // The journal is closed too: the key and every loaded day are dropped from memory
+    // (after queued writes go out) and read again on unlock.
+    const lockRef = useRef(lockConfig);
+    lockRef.current = lockConfig;
+    const closing = useRef(Promise.resolve());
+    useEffect(() => {
+        let backgroundAt = null;
+        const sub = AppState.addEventListener('change', (state) => {
+            if (state !== 'active') {
+                if (backgroundAt === null) backgroundAt = Date.now();
+                commitCheckpoint();
+                return;
+            }
+            if (lockRef.current && backgroundAt !== null && Date.now() - backgroundAt > RELOCK_AFTER_MS) {
+                setLocked(true);
+                closing.current = flushWrites().then(closeJournal);
+                setLoading(true);
+                setEntries({});
+                setCurrent(getEmptyEntry());
+                setClearedDay(null);
+                updateUndo(() => createUndoHistory(null));
+            }
+            backgroundAt = null;
+        });
+        return () => sub.remove();
+    }, []);
+
+    // Move Home on to the new journal day when the day start passes, the app comes back
+    // to the foreground or the device changes time zone. Only a Home showing the old
+    // today follows (a day opened from History stays open), and not while it's being typed in.
+    const lastToday = useRef(todayKey);
+    useEffect(() => {
+        let timer = null;
+        const rollOver = () => {
+            const today = getTodayKey();
+            if (today === lastToday.current || editingField.current) return;
+            const previous = lastToday.current;
+            lastToday.current = today;
+            setTodayKey(key => (key === previous ? today : key));
+        };
+        const scheduleCheck = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                rollOver();
+                scheduleCheck();
+            }, Math.min(msUntilNextDay() + 1000, DAY_CHECK_MAX_MS));
+        };
+        rollOver();
+        scheduleCheck();
+        const sub = AppState.addEventListener('change', (state) => {
+            if (state !== 'active') return;
+            rollOver();
+            scheduleCheck();
+        });
+        return () => {
+            clearTimeout(timer);
+            sub.remove();
+        };
+    }, [settings.dayStartHour]);
+
+    async function unlock(key, config = lockConfig) {
+        try {
+            await closing.current;
+            setLockConfig(await openJournal(config, key));
+        } catch (e) {
+            console.warn('Could not open the journal', e);
+            Alert.alert(t('common.error'), t('errors.openJournal'));
+            return;
+        }
+        setLocked(false);
+        if (loading) loadEntries();
+    }
+
+    // Reminders: don't show one that fires while its section is already filled, and
+    // open the reminded day/section when a notification is tapped
+    useEffect(() => {
+        setReminderFilter(({ section, date }) => !isSectionFilled(entriesRef.current[date], section));
+        return addReminderOpenListener(({ section, date }) => openDay(date, section));
+    }, []);
 
-    useEffect(() => { loadEntries(); }, []);
+    // Re-plan reminders when their settings change or a section gets filled/emptied today
+    const todayFilled = getFilledSections(entries[getTodayKey()]).join(',');
+    useEffect(() => {
+        if (loading) return;
+        syncReminders(settings.reminders, entries).catch((e) => console.warn('Could not schedule reminders', e));
+    }, [loading, settings.reminders, settings.dayStartHour, todayFilled, language]);
     useEffect(() => {
         if (!loading) {
-            const saved = entries && entries[todayKey];
-            if (saved && typeof saved === 'object') setCurrent(saved);
-            else setCurrent(getEmptyEntry());
+            setCurrent(entryForDay(entries, todayKey, settings.journal));
+        }
+    }, [loading, entries, todayKey, settings.journal]);
+
+    // Undo/redo covers the day being edited; opening another day starts a fresh stack
+    useEffect(() => {
+        if (loading) return;
+        commitCheckpoint();
+        updateUndo(() => createUndoHistory(entryForDay(entriesRef.current, todayKey, settings.journal)));
+    }, [loading, todayKey]);
+    useEffect(() => () => commitCheckpoint(), []);
+
+    // Background sync while it's turned on; days changed on other devices are saved by
+    // the sync module and only need to reach the UI
+    useEffect(() => {
+        if (loading) return undefined;
+        startSync(settings.sync, { getEntries: () => entriesRef.current, onRemoteChanges: (changes) => externalChanges.current(changes) });
+        return () => stopSync();
+    }, [loading, settings.sync]);
+
+    // Days changed by another tab or window of the app
+    useEffect(() => {
+        if (loading) return undefined;
+        return subscribeToDayChanges((changes) => externalChanges.current(changes), instanceId);
+    }, [loading]);
+
+    // Merge days changed outside this window (other tabs, windows or devices) into the
+    // journal. The field being typed in keeps its local text; if that text hasn't been
+    // written yet, the merged day is written so the next save doesn't undo the change.
+    function applyExternalChanges(changes) {
+        const updates = {};
+        Object.keys(changes).forEach((date) => {
+            const local = entriesRef.current[date];
+            let entry = changes[date];
+            const field = editingField.current;
+            if (entry && local && field && date === todayKey) {
+                const text = getTextField(local, field);
+                if (text !== getTextField(entry, field)) {
+                    entry = setTextField(entry, field, text);
+                    if (hasPendingWrite(date)) saveDay(date, entry, instanceId);
+                }
+            }
+            if (entry === local || JSON.stringify(entry ?? null) === JSON.stringify(local ?? null)) return;
+            updates[date] = entry;
+        });
+        const dates = Object.keys(updates);
+        if (dates.length === 0) return;
+        setEntries(prev => {
+            const updated = { ...prev };
+            dates.forEach((date) => {
+                if (updates[date]) updated[date] = updates[date];
+                else delete updated[date];
+            });
+            return updated;
+        });
+        if (todayKey in updates) {
+            const entry = updates[todayKey] ?? getEmptyEntry(getActiveLayout(settings.journal));
+            updateUndo(h => checkpoint(h, entry));
         }
-    }, [loading, entries, todayKey]);
+        setStoreVersion(v => v + 1);
+    }
+    externalChanges.current = applyExternalChanges;
 
     async function loadEntries() {
         try {
-            const raw = await Storage.getItem(STORAGE_KEY);
-            const parsed = raw ? JSON.parse(raw) : {};
-            if (parsed && typeof parsed === 'object') setEntries(parsed);
-            else setEntries({});
+            const [journal, loadedSettings] = await Promise.all([loadJournal(), loadSettings()]);
+            setEntries(journal);
+            // Set before the next render, which asks for today's date
+            setDayStartHour(loadedSettings.dayStartHour);
+            setSettings(loadedSettings);
             setStoreVersion(v => v + 1);
+            // Purges days that have been in Trash longer than the retention period
+            loadTrash().catch((e) => console.warn('Could not purge trash', e));
         } catch (e) {
             console.warn('Failed to load entries', e);
             setEntries({});
@@ -381,34 +658,127 @@ export default function App() {
     async function saveCurrent(entryArg) {
         try {
             const entryToSave = entryArg || current;
-            // Reload latest stored entries to avoid overwriting changes from other tabs/instances
-            const raw = await Storage.getItem(STORAGE_KEY);
-            const parsed = raw ? JSON.parse(raw) : {};
-            const updated = { ...parsed, [todayKey]: entryToSave };
-            await Storage.setItem(STORAGE_KEY, JSON.stringify(updated));
-            // On web ensure localStorage is explicitly updated (some environments are quirky)
-            if (typeof window !== 'undefined' && window.localStorage) {
-                try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(updated)); } catch (e) { /* ignore */ }
-            }
-            setEntries(updated);
-            setStoreVersion(v => v + 1);
+            // Only this day's key is written (debounced), so other days — including ones
+            // changed by other tabs/instances — are never rewritten or clobbered
+            saveDay(todayKey, entryToSave, instanceId);
+            setEntries(prev => ({ ...prev, [todayKey]: entryToSave }));
+            scheduleCheckpoint(todayKey, entryToSave);
         } catch (e) {
             console.warn('Save failed', e);
-            Alert.alert('Error', 'Could not save.');
+            Alert.alert(t('common.error'), t('errors.save'));
+        }
+    }
+
+    function updateUndo(fn) {
+        undoRef.current = fn(undoRef.current);
+        setUndoHistory(undoRef.current);
+    }
+
+    function scheduleCheckpoint(date, entry) {
+        pendingCheckpoint.current = { date, entry };
+        clearTimeout(idleTimer.current);
+        idleTimer.current = setTimeout(commitCheckpoint, CHECKPOINT_IDLE_MS);
+    }
+
+    // Turn edits waiting for a pause into an undo step and a stored revision right away
+    function commitCheckpoint() {
+        clearTimeout(idleTimer.current);
+        const pending = pendingCheckpoint.current;
+        pendingCheckpoint.current = null;
+        if (!pending) return;
+        recordRevision(pending.date, pending.entry);
+        updateUndo(h => checkpoint(h, pending.entry));
+    }
+
+    // Show and save an entry for the open day without making it a new undo step
+    function writeCurrent(entry) {
+        setCurrent(entry);
+        saveDay(todayKey, entry, instanceId);
+        setEntries(prev => ({ ...prev, [todayKey]: entry }));
+    }
+
+    function stepUndo(step) {
+        commitCheckpoint();
+        const before = undoRef.current;
+        updateUndo(step);
+        if (undoRef.current !== before) writeCurrent(undoRef.current.present);
+    }
+
+    // Restore an earlier version (or one field of it) as a new, undoable edit
+    function restoreVersion(entry) {
+        commitCheckpoint();
+        updateUndo(h => checkpoint(h, entry));
+        writeCurrent(entry);
+        recordRevision(todayKey, entry);
+    }
+
+    // Put a trashed day back in the journal. Anything written on that day since it was
+    // cleared is kept, with the trashed text filling the gaps.
+    async function restoreTrashed(id) {
+        const restored = await restoreFromTrash(id, entriesRef.current, mergeEntries, instanceId);
+        if (!restored) return null;
+        const { date, entry } = restored;
+        setEntries(prev => ({ ...prev, [date]: entry }));
+        if (date === todayKey) {
+            setCurrent(entry);
+            updateUndo(h => checkpoint(h, entry));
         }
+        setStoreVersion(v => v + 1);
+        return restored;
+    }
+
+    // The undo toast shown after Clear
+    function undoClear() {
+        if (!clearedDay) return;
+        const { id } = clearedDay;
+        setClearedDay(null);
+        restoreTrashed(id).catch((e) => {
+            console.warn('Restore failed', e);
+            Alert.alert(t('common.error'), t('errors.restoreStillInTrash'));
+        });
+    }
+
+    function updateSettings(next) {
+        if (next.language !== settings.language) languageChanged.current = true;
+        setDayStartHour(next.dayStartHour);
+        setSettings(next);
+        saveSettings(next).catch((e) => console.warn('Could not save settings', e));
+        // Today's saved entry follows edited prompts straight away; earlier days keep theirs
+        const today = getTodayKey();
+        const saved = entries[today];
+        if (saved && next.journal !== settings.journal) {
+            const updated = entryForDay(entries, today, next.journal);
+            if (updated !== saved) {
+                saveDay(today, updated, instanceId);
+                setEntries(prev => ({ ...prev, [today]: updated }));
+            }
+        }
+    }
+
+    // Switch the Home tab to `date`, optionally expanding and scrolling to one section
+    function openDay(date, section = null) {
+        setTodayKey(date);
+        setFocusSection(section);
+        if (navigationRef.isReady()) navigationRef.navigate('Home');
+    }
+
+    // Write a batch of days (e.g. a resolved import) and refresh every tab
+    async function importEntries(days) {
+        Object.keys(days).forEach((date) => saveDay(date, days[date], instanceId));
+        await flushWrites();
+        setEntries(prev => ({ ...prev, ...days }));
+        setStoreVersion(v => v + 1);
     }
 
     function updateGratitude(index, text) {
-        const g = Array.isArray(current?.morning?.gratitude) ? [...current.morning.gratitude] : ['', '', ''];
+        const g = Array.isArray(current?.morning?.gratitude) ? [...current.morning.gratitude] : [];
         g[index] = text;
         setCurrent({ ...current, morning: { ...current.morning, gratitude: g } });
     }
 
-    function toggleMidC(idx) {
+    function toggleMidC(id) {
         const mid = { ...current.midday };
-        const caught = Array.isArray(mid.caught) ? [...mid.caught] : [false, false, false];
-        caught[idx] = !caught[idx];
-        mid.caught = caught;
+        mid.caught = { ...mid.caught, [id]: !mid.caught?.[id] };
         setCurrent({ ...current, midday: mid });
     }
 
@@ -425,13 +795,13 @@ export default function App() {
         // otherwise show native Alert and await the user's choice.
         const confirmClear = async () => {
             if (typeof window !== 'undefined' && typeof window.confirm === 'function') {
-                return window.confirm("Clear today's entry?");
+                return window.confirm(t('home.clearConfirm', { count: TRASH_RETENTION_DAYS }));
             }
             // For native, wrap Alert.alert in a Promise
             return new Promise((resolve) => {
-                Alert.alert('Clear', "Clear today's entry?", [
-                    { text: 'Cancel', style: 'cancel', onPress: () => resolve(false) },
-                    { text: 'Clear', style: 'destructive', onPress: () => resolve(true) },
+                Alert.alert(t('home.clear'), t('home.clearConfirm', { count: TRASH_RETENTION_DAYS }), [
+                    { text: t('common.cancel'), style: 'cancel', onPress: () => resolve(false) },
+                    { text: t('home.clear'), style: 'destructive', onPress: () => resolve(true) },
                 ]);
             });
         };
@@ -440,33 +810,48 @@ export default function App() {
             try {
                 const ok = await confirmClear();
                 if (!ok) return;
-                // Perform clear using the latest stored entries
-                const raw = await Storage.getItem(STORAGE_KEY);
-                const parsed = raw ? JSON.parse(raw) : {};
-                const updated = { ...parsed };
-                delete updated[todayKey];
-                await Storage.setItem(STORAGE_KEY, JSON.stringify(updated));
-                // Also update window.localStorage explicitly on web
-                if (typeof window !== 'undefined' && window.localStorage) {
-                    try {
-                        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
-                    } catch (e) { /* ignore */ }
+                commitCheckpoint();
+                const removed = entriesRef.current[todayKey];
+                // Soft delete: the day moves to Trash, and its text is also kept as a revision
+                let trashed = null;
+                if (removed) {
+                    recordRevision(todayKey, removed);
+                    trashed = await trashDay(todayKey, removed, instanceId);
                 }
                 // Immediately update in-memory state and bump version
-                setEntries(updated);
-                setCurrent(getEmptyEntry());
+                setEntries(prev => {
+                    const updated = { ...prev };
+                    delete updated[todayKey];
+                    return updated;
+                });
+                const empty = getEmptyEntry(getActiveLayout(settings.journal));
+                setCurrent(empty);
+                // Clearing is undone from Trash (or the toast), not the edit history
+                updateUndo(() => createUndoHistory(empty));
+                setClearedDay(trashed);
                 setStoreVersion(v => v + 1);
             } catch (e) {
                 console.warn('Clear failed', e);
-                Alert.alert('Error', 'Could not clear today.');
+                Alert.alert(t('common.error'), t('errors.clearDay'));
             }
         })();
     }
 
-    if (loading) return <View style={styles.container}><Text>Loading...</Text></View>;
+    const withTheme = (children) => (
+        <I18nProvider language={language} firstDay={firstDay}>
+            <ThemeProvider scheme={scheme} colors={colors}>
+                <StatusBar style={scheme === 'dark' ? 'light' : 'dark'} />
+                {children}
+            </ThemeProvider>
+        </I18nProvider>
+    );
 
-    return (
-        <NavigationContainer>
+    if (lockConfig === undefined) return withTheme(<View style={styles.container}><Text style={styles.muted}>{t('common.loading')}</Text></View>);
+    if (locked) return withTheme(<LockScreen config={lockConfig} onUnlock={unlock} />);
+    if (loading) return withTheme(<View style={styles.container}><Text style={styles.muted}>{t('common.loading')}</Text></View>);
+
+    return withTheme(
+        <NavigationContainer ref={navigationRef} theme={navigationTheme}>
             <Tab.Navigator
                 screenOptions={({ route }) => ({
                     tabBarIcon: ({ color, size }) => {
@@ -474,16 +859,19 @@ export default function App() {
                         if (route.name === 'Home') iconName = 'home';
                         else if (route.name === 'History') iconName = 'calendar';
                         else if (route.name === 'Performance') iconName = 'stats-chart';
+                        else if (route.name === 'Search') iconName = 'search';
+                        else if (route.name === 'Settings') iconName = 'settings';
                         return <Ionicons name={iconName} size={size} color={color} />;
                     },
-                    tabBarActiveTintColor: '#0b7cff',
-                    tabBarInactiveTintColor: '#888',
+                    tabBarActiveTintColor: colors.primary,
+                    tabBarInactiveTintColor: colors.faint,
                     headerShown: false,
                 })}
             >
                 <Tab.Screen
                     name="Home"
                     options={{
+                        title: t('tabs.home'),
                         tabBarIcon: ({ color, size }) => (
                             <Ionicons name="home" color={color} size={size} />
                         ),
@@ -504,65 +892,112 @@ export default function App() {
                             setCurrent={setCurrent}
                             entries={entries}
                             storeVersion={storeVersion}
+                            focusSection={focusSection}
+                            onFocusHandled={() => setFocusSection(null)}
+                            journal={settings.journal}
+                            undoHistory={undoHistory}
+                            onUndo={() => stepUndo(undo)}
+                            onRedo={() => stepUndo(redo)}
+                            onRestoreVersion={restoreVersion}
+                            clearedDay={clearedDay}
+                            onUndoClear={undoClear}
+                            onDismissClear={() => setClearedDay(null)}
+                            onEditingField={(field) => { editingField.current = field; }}
                         />
                     )}
                 </Tab.Screen>
                 <Tab.Screen
                     name="History"
                     options={{
+                        title: t('tabs.history'),
                         tabBarIcon: ({ color, size }) => (
                             <Ionicons name="calendar" color={color} size={size} />
                         ),
                     }}
                 >
-                    {(screenProps) => <HistoryTab {...screenProps} entries={entries} storeVersion={storeVersion} />}
+                    {(screenProps) => (
+                        <HistoryTab
+                            {...screenProps}
+                            entries={entries}
+                            storeVersion={storeVersion}
+                            streakMode={settings.streakMode}
+                            initialMonth={settings.historyMonth}
+                            onMonthChange={(historyMonth) => updateSettings({ ...settings, historyMonth })}
+                            onOpenDay={openDay}
+                            nightPrompts={settings.journal.nightPrompts}
+                            categories={settings.journal.categories}
+                        />
+                    )}
                 </Tab.Screen>
                 <Tab.Screen
                     name="Performance"
                     options={{
+                        title: t('tabs.performance'),
                         tabBarIcon: ({ color, size }) => (
                             <Ionicons name="stats-chart" size={size} color={color} />
                         ),
                     }}
                 >
-                    {(screenProps) => <PerformanceTab {...screenProps} entries={entries} storeVersion={storeVersion} />}
+                    {(screenProps) => (
+                        <PerformanceTab
+                            {...screenProps}
+                            entries={entries}
+                            storeVersion={storeVersion}
+                            settings={settings}
+                            onChangeSettings={updateSettings}
+                            onOpenDay={openDay}
+                        />
+                    )}
+                </Tab.Screen>
+                <Tab.Screen
+                    name="Search"
+                    options={{
+                        title: t('tabs.search'),
+                        tabBarIcon: ({ color, size }) => (
+                            <Ionicons name="search" size={size} color={color} />
+                        ),
+                    }}
+                >
+                    {(screenProps) => (
+                        <SearchTab
+                            {...screenProps}
+                            entries={entries}
+                            nightPrompts={settings.journal.nightPrompts}
+                            onOpenDay={openDay}
+                        />
+                    )}
+                </Tab.Screen>
+                <Tab.Screen
+                    name="Settings"
+                    options={{
+                        title: t('tabs.settings'),
+                        tabBarIcon: ({ color, size }) => (
+                            <Ionicons name="settings" size={size} color={color} />
+                        ),
+                    }}
+                >
+                    {(screenProps) => (
+                        <SettingsTab
+                            {...screenProps}
+                            entries={entries}
+                            onImport={importEntries}
+                            onRestoreTrashed={restoreTrashed}
+                            settings={settings}
+                            onChangeSettings={updateSettings}
+                            lockConfig={lockConfig}
+                            onChangeLock={setLockConfig}
+                        />
+                    )}
                 </Tab.Screen>
             </Tab.Navigator>
         </NavigationContainer>
     );
 }
 
-function getEmptyEntry() {
-    return {
-        morning: { gratitude: ['', '', ''] },
-        midday: { caught: [false, false, false], reframe: '' },
-        night: { wentWell: '', handled: '', improve: '' },
-    };
-}
-
-function getTodayKey() {
-    const d = new Date();
-    const y = d.getFullYear();
-    const m = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    return `${y}-${m}-${day}`;
-}
-
-function formatDateString(dateStr) {
-    // dateStr: 'YYYY-MM-DD'
-    const [year, month, day] = dateStr.split('-');
-    const months = [
-        'January', 'February', 'March', 'April', 'May', 'June',
-        'July', 'August', 'September', 'October', 'November', 'December'
-    ];
-    const monthName = months[parseInt(month, 10) - 1];
-    return `${monthName} ${parseInt(day, 10)}, ${year}`;
-}
-
-const styles = StyleSheet.create({
-    container: { flex: 1, backgroundColor: '#fff' },
+const createStyles = (colors) => StyleSheet.create({
+    container: { flex: 1, backgroundColor: colors.background },
     header: {
-        backgroundColor: '#0b7cff',
+        backgroundColor: colors.primary,
         paddingVertical: 24,
         paddingHorizontal: 16,
         alignItems: 'center',
@@ -572,15 +1007,15 @@ const styles = StyleSheet.create({
         boxShadow: '0px 2px 4px rgba(0,0,0,0.1)', // modern shadow property
     },
     headerTitle: {
-        color: '#fff',
+        color: colors.onPrimary,
         fontSize: 24,
         fontWeight: 'bold',
         letterSpacing: 0.5,
     },
     content: { padding: 16, paddingBottom: 40 },
-    title: { fontSize: 20, fontWeight: '700', marginBottom: 4 },
-    subtitle: { color: '#444', marginBottom: 12 },
-    section: { marginVertical: 10, padding: 12, borderRadius: 8, backgroundColor: '#f7f7f8' },
+    title: { fontSize: 20, fontWeight: '700', marginBottom: 4, color: colors.text },
+    subtitle: { color: colors.textSecondary, marginBottom: 12 },
+    section: { marginVertical: 10, padding: 12, borderRadius: 8, backgroundColor: colors.surface },
     sectionHeader: {
         flexDirection: 'row',
         alignItems: 'center',
@@ -589,14 +1024,15 @@ const styles = StyleSheet.create({
         paddingHorizontal: 2,
         marginBottom: 4,
     },
-    sectionTitle: { fontSize: 16, fontWeight: '600', marginBottom: 8 },
-    label: { color: '#333', marginBottom: 6 },
-    input: { backgroundColor: '#fff', borderColor: '#ddd', borderWidth: 1, borderRadius: 6, padding: 8, marginBottom: 8 },
+    sectionTitle: { fontSize: 16, fontWeight: '600', marginBottom: 8, color: colors.text },
+    label: { color: colors.text, marginBottom: 6 },
+    input: { backgroundColor: colors.card, color: colors.text, borderColor: colors.border, borderWidth: 1, borderRadius: 6, padding: 8, marginBottom: 8 },
     rowWrap: { flexDirection: 'row', flexWrap: 'wrap' },
-    checkbox: { flexDirection: 'row', alignItems: 'center', padding: 8, borderRadius: 8, borderWidth: 1, borderColor: '#ddd', marginRight: 8, marginBottom: 8 },
-    checkboxOn: { backgroundColor: '#daf0da', borderColor: '#9ad49a' },
-    checkboxText: { fontWeight: '700', width: 20, textAlign: 'center' },
-    checkboxLabel: { marginLeft: 6 },
+    checkbox: { flexDirection: 'row', alignItems: 'center', padding: 8, borderRadius: 8, borderWidth: 1, borderColor: colors.border, marginRight: 8, marginBottom: 8 },
+    checkboxLabel: { marginLeft: 6, color: colors.text },
+    checkboxLabelOn: { color: colors.onPrimary, fontWeight: '600' },
+    countBadge: { marginLeft: 6, minWidth: 20, paddingHorizontal: 5, borderRadius: 10, backgroundColor: colors.card, alignItems: 'center' },
+    countText: { fontSize: 12, fontWeight: '700' },
     topRow: {
         flexDirection: 'row',
         alignItems: 'center',
@@ -609,24 +1045,24 @@ const styles = StyleSheet.create({
         alignItems: 'center',
     },
     iconButton: {
-        backgroundColor: '#f7f7f8',
+        backgroundColor: colors.surface,
         borderRadius: 16,
         padding: 8,
         marginLeft: 6,
         borderWidth: 1,
-        borderColor: '#e0e0e0',
+        borderColor: colors.border,
         alignItems: 'center',
         justifyContent: 'center',
     },
-    btn: { backgroundColor: '#0b7cff', paddingVertical: 10, paddingHorizontal: 14, borderRadius: 8, marginRight: 8 },
-    btnText: { color: '#fff', fontWeight: '600' },
-    historyItem: { paddingVertical: 8, borderBottomWidth: 1, borderBottomColor: '#eee' },
-    historyDate: { fontWeight: '700' },
-    historyMeta: { color: '#666' },
-    muted: { color: '#666' },
+    btn: { backgroundColor: colors.primary, paddingVertical: 10, paddingHorizontal: 14, borderRadius: 8, marginRight: 8 },
+    btnText: { color: colors.onPrimary, fontWeight: '600' },
+    historyItem: { paddingVertical: 8, borderBottomWidth: 1, borderBottomColor: colors.divider },
+    historyDate: { fontWeight: '700', color: colors.text },
+    historyMeta: { color: colors.muted },
+    muted: { color: colors.muted },
     dateButton: {
-        backgroundColor: '#eaf4ff',
-        borderColor: '#0b7cff',
+        backgroundColor: colors.primarySoft,
+        borderColor: colors.primary,
         borderWidth: 1,
         borderRadius: 20,
         paddingVertical: 8,
@@ -637,7 +1073,7 @@ const styles = StyleSheet.create({
         alignItems: 'center',
     },
     dateButtonText: {
-        color: '#0b7cff',
+        color: colors.primary,
         fontWeight: 'bold',
         fontSize: 16,
         letterSpacing: 0.5,
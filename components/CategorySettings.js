@@ -0,0 +1,250 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { CATEGORY_COLORS, CATEGORY_ICONS, localizeCategory } from '../utils/prompts';
+import { AWARENESS_MODES } from '../utils/occurrences';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+function CategoryRow({ category, onChange, onRemove }) {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  // A default name is shown in the app's language and only saved if it is edited
+  const shownLabel = localizeCategory(category).label;
+  const [label, setLabel] = useState(shownLabel);
+  const [styling, setStyling] = useState(false);
+  useEffect(() => { setLabel(shownLabel); }, [shownLabel]);
+
+  // Saved once the field loses focus, like prompt labels in JournalSettings
+  const commit = () => {
+    const trimmed = label.trim();
+    if (!trimmed) setLabel(shownLabel);
+    else if (trimmed !== shownLabel) onChange({ label: trimmed });
+  };
+
+  return (
+    <View style={styles.category}>
+      <View style={styles.row}>
+        <TouchableOpacity
+          style={[styles.badge, { borderColor: category.color }]}
+          onPress={() => setStyling((s) => !s)}
+          accessibilityLabel={t('categories.changeStyle')}
+        >
+          <Ionicons name={category.icon} size={18} color={category.color} />
+        </TouchableOpacity>
+        <TextInput
+          value={label}
+          onChangeText={setLabel}
+          onEndEditing={commit}
+          onBlur={commit}
+          style={styles.input}
+          placeholder={t('categories.namePlaceholder')}
+          placeholderTextColor={colors.placeholder}
+        />
+        <TouchableOpacity style={styles.iconButton} onPress={onRemove} accessibilityLabel={t('categories.remove')}>
+          <Ionicons name="trash-outline" size={18} color={colors.danger} />
+        </TouchableOpacity>
+      </View>
+      {styling && (
+        <>
+          <View style={styles.pickerRow}>
+            {CATEGORY_COLORS.map((color) => (
+              <TouchableOpacity
+                key={color}
+                style={[styles.swatch, { backgroundColor: color }, category.color === color && styles.swatchOn]}
+                onPress={() => onChange({ color })}
+              />
+            ))}
+          </View>
+          <View style={styles.pickerRow}>
+            {CATEGORY_ICONS.map((icon) => (
+              <TouchableOpacity
+                key={icon}
+                style={[styles.iconChoice, category.icon === icon && { borderColor: category.color }]}
+                onPress={() => onChange({ icon })}
+              >
+                <Ionicons name={icon} size={18} color={category.icon === icon ? category.color : colors.muted} />
+              </TouchableOpacity>
+            ))}
+          </View>
+        </>
+      )}
+    </View>
+  );
+}
+
+// The awareness categories offered in the midday check and whether tapping one ticks
+// it or logs another occurrence. Like night prompts, removed categories are archived
+// so past days (and charts) keep their name and color.
+export default function CategorySettings({ categories, onChange, mode, onChangeMode }) {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const active = categories.filter((c) => !c.archived);
+  const archived = categories.filter((c) => c.archived);
+
+  const update = (id, patch) => onChange(categories.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+  const add = () => {
+    const used = active.map((c) => c.color);
+    const color = CATEGORY_COLORS.find((c) => !used.includes(c)) || CATEGORY_COLORS[0];
+    onChange([...categories, { id: `c_${Date.now().toString(36)}`, label: t('categories.newName'), color, icon: CATEGORY_ICONS[3], archived: false }]);
+  };
+
+  return (
+    <View>
+      <View style={styles.modeRow}>
+        {Object.keys(AWARENESS_MODES).map((key) => (
+          <TouchableOpacity key={key} style={[styles.modeChip, mode === key && styles.modeChipOn]} onPress={() => onChangeMode(key)}>
+            <Text style={[styles.modeChipText, mode === key && styles.modeChipTextOn]}>{t(AWARENESS_MODES[key])}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {mode === 'tally' && (
+        <Text style={styles.muted}>{t('categories.tallyHint')}</Text>
+      )}
+      {active.length === 0 && <Text style={styles.muted}>{t('categories.none')}</Text>}
+      {active.map((category) => (
+        <CategoryRow
+          key={category.id}
+          category={category}
+          onChange={(patch) => update(category.id, patch)}
+          onRemove={() => update(category.id, { archived: true })}
+        />
+      ))}
+      <TouchableOpacity style={styles.addButton} onPress={add}>
+        <Ionicons name="add-circle-outline" size={18} color={colors.primary} />
+        <Text style={styles.addText}>{t('categories.add')}</Text>
+      </TouchableOpacity>
+      {archived.length > 0 && (
+        <>
+          <Text style={[styles.muted, { marginTop: 12 }]}>{t('categories.removed')}</Text>
+          {archived.map((category) => (
+            <View key={category.id} style={styles.archivedRow}>
+              <Ionicons name={category.icon} size={16} color={colors.faint} />
+              <Text style={styles.archivedLabel}>{localizeCategory(category).label}</Text>
+              <TouchableOpacity onPress={() => update(category.id, { archived: false })}>
+                <Text style={styles.restoreText}>{t('common.restore')}</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </>
+      )}
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  modeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  modeChip: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 14,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginRight: 6,
+    marginTop: 4,
+    backgroundColor: colors.card,
+  },
+  modeChipOn: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  modeChipText: {
+    color: colors.text,
+  },
+  modeChipTextOn: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+  category: {
+    backgroundColor: colors.card,
+    borderColor: colors.border,
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 8,
+    marginTop: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  badge: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    borderWidth: 2,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 8,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    fontSize: 15,
+    color: colors.text,
+  },
+  iconButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+  pickerRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  swatch: {
+    width: 26,
+    height: 26,
+    borderRadius: 13,
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  swatchOn: {
+    borderWidth: 3,
+    borderColor: colors.text,
+  },
+  iconChoice: {
+    padding: 5,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  addText: {
+    color: colors.primary,
+    marginLeft: 6,
+    fontWeight: '600',
+  },
+  archivedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  archivedLabel: {
+    flex: 1,
+    color: colors.faint,
+    marginLeft: 6,
+    marginRight: 8,
+  },
+  restoreText: {
+    color: colors.primary,
+  },
+  muted: {
+    color: colors.muted,
+    marginTop: 8,
+  },
+});
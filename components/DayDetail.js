@@ -0,0 +1,218 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { formatDateString } from '../utils/dates';
+import { getEntryNightPrompts, getEntryCategories } from '../utils/prompts';
+import { countOccurrences } from '../utils/occurrences';
+import { RATING_KINDS, getRating } from '../utils/ratings';
+import { RATING_MAX } from '../utils/schema';
+import { getTags } from '../utils/tags';
+import OccurrenceList from './OccurrenceList';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const hasText = (v) => typeof v === 'string' && v.trim() !== '';
+
+function DetailSection({ title, children }) {
+  const styles = useThemedStyles(createStyles);
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{title}</Text>
+      {children}
+    </View>
+  );
+}
+
+function TagList({ tags }) {
+  const styles = useThemedStyles(createStyles);
+  if (tags.length === 0) return null;
+  return (
+    <View style={styles.chipRow}>
+      {tags.map((tag) => (
+        <View key={tag} style={styles.tag}>
+          <Text style={styles.tagText}>#{tag}</Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+function Field({ label, value }) {
+  const styles = useThemedStyles(createStyles);
+  return (
+    <View style={styles.field}>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <Text style={styles.fieldValue}>{value.trim()}</Text>
+    </View>
+  );
+}
+
+// Read-only view of one day, using the same labels as the editor. Empty fields and
+// sections are left out.
+export default function DayDetail({ date, entry, nightPrompts, categories, onEdit }) {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const gratitude = (entry?.morning?.gratitude ?? []).filter(hasText);
+  const caught = getEntryCategories(entry, categories).filter(({ id }) => entry?.midday?.caught?.[id]);
+  const reframe = entry?.midday?.reframe;
+  const reflections = getEntryNightPrompts(entry, nightPrompts).filter(({ id }) => hasText(entry?.night?.[id]));
+  const ratings = Object.keys(RATING_KINDS).filter((kind) => getRating(entry, kind) !== null);
+  const isEmpty = gratitude.length === 0 && caught.length === 0 && !hasText(reframe) && reflections.length === 0 && ratings.length === 0;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{formatDateString(date)}</Text>
+        {onEdit && (
+          <TouchableOpacity style={styles.editButton} onPress={() => onEdit(date)}>
+            <Ionicons name="create-outline" size={16} color={colors.primary} />
+            <Text style={styles.editText}>{t('dayDetail.edit')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <TagList tags={getTags(entry, 'day')} />
+
+      {isEmpty && <Text style={styles.muted}>{t('dayDetail.empty')}</Text>}
+
+      {gratitude.length > 0 && (
+        <DetailSection title={t('sections.morning')}>
+          {gratitude.map((g, i) => (
+            <View key={i} style={styles.bulletRow}>
+              <Text style={styles.bullet}>•</Text>
+              <Text style={styles.fieldValue}>{g.trim()}</Text>
+            </View>
+          ))}
+        </DetailSection>
+      )}
+
+      {(caught.length > 0 || hasText(reframe)) && (
+        <DetailSection title={t('sections.midday')}>
+          {caught.length > 0 && (
+            <View style={styles.chipRow}>
+              {caught.map(({ id, label, color, icon }) => {
+                const count = countOccurrences(entry, id);
+                return (
+                  <View key={id} style={[styles.chip, { borderColor: color }]}>
+                    <Ionicons name={icon} size={13} color={color} />
+                    <Text style={[styles.chipText, { color }]}>{count > 1 ? `${label} ×${count}` : label}</Text>
+                  </View>
+                );
+              })}
+            </View>
+          )}
+          <OccurrenceList entry={entry} categories={categories} />
+          {hasText(reframe) && <Field label={t('prompts.reframe')} value={reframe} />}
+          {hasText(reframe) && <TagList tags={getTags(entry, 'reframe')} />}
+        </DetailSection>
+      )}
+
+      {(reflections.length > 0 || ratings.length > 0) && (
+        <DetailSection title={t('sections.night')}>
+          {reflections.map(({ id, label }) => <Field key={id} label={label} value={entry.night[id]} />)}
+          {ratings.map((kind) => (
+            <Field key={kind} label={t(RATING_KINDS[kind])} value={`${getRating(entry, kind)}/${RATING_MAX}`} />
+          ))}
+        </DetailSection>
+      )}
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    marginTop: 20,
+    padding: 16,
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  editButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  editText: {
+    color: colors.primary,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  section: {
+    marginTop: 8,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.primary,
+    marginBottom: 6,
+  },
+  field: {
+    marginBottom: 6,
+  },
+  fieldLabel: {
+    fontSize: 12,
+    color: colors.muted,
+  },
+  fieldValue: {
+    flexShrink: 1,
+    fontSize: 14,
+    color: colors.text,
+  },
+  bulletRow: {
+    flexDirection: 'row',
+    marginBottom: 4,
+  },
+  bullet: {
+    width: 14,
+    color: colors.text,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 6,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.card,
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingVertical: 2,
+    paddingHorizontal: 10,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  chipText: {
+    fontSize: 13,
+    marginLeft: 4,
+  },
+  tag: {
+    backgroundColor: colors.primarySoft,
+    borderRadius: 12,
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  tagText: {
+    fontSize: 13,
+    color: colors.primary,
+  },
+  muted: {
+    color: colors.muted,
+  },
+});
@@ -1,7 +1,18 @@
-import React, { useState, useEffect } from 'react';
-import { View, StyleSheet, Text, TouchableOpacity } from 'react-native';
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, StyleSheet, Text, TouchableOpacity, ScrollView } from 'react-native';
 import { Calendar } from 'react-native-calendars';
 import { Ionicons } from '@expo/vector-icons';
+import { computeStreaks, getStreakDates } from '../utils/streaks';
+import { getTodayKey } from '../utils/dates';
+import { getFilledSections, SECTIONS } from '../utils/entryStatus';
+import { calendarTheme } from '../utils/theme';
+import { periodOf } from '../utils/reviews';
+import { collectTags, hasTag } from '../utils/tags';
+import DayDetail from './DayDetail';
+import ReviewModal from './ReviewModal';
+import TagFilter from './TagFilter';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
 
 // Helper to generate markedDates object for Calendar
 const getMarkedDates = (entries) => {
@@ -12,32 +23,90 @@ const getMarkedDates = (entries) => {
   return marked;
 };
 
-const getCurrentMonthFirstDay = () => {
-  // Use context: October 9, 2025
-  return '2025-10-01';
+const getCurrentMonthFirstDay = () => `${getTodayKey().slice(0, 7)}-01`;
+
+// 'empty' | 'partial' | 'full' depending on how many sections of the day are filled
+const getCompletionLevel = (entry) => {
+  const filled = getFilledSections(entry).length;
+  if (filled === 0) return 'empty';
+  return filled === SECTIONS.length ? 'full' : 'partial';
 };
 
-const HistoryTab = ({ entries = {}, storeVersion = 0 }) => {
+const HistoryTab = ({ entries = {}, storeVersion = 0, streakMode = 'any', initialMonth = null, onMonthChange, onOpenDay, nightPrompts, categories }) => {
+  const { scheme, colors } = useTheme();
+  const { language, firstDay, t } = useI18n();
+  const styles = useThemedStyles(createStyles);
   const [selectedDate, setSelectedDate] = useState('');
+  // First day of the month being viewed; starts at the last viewed month, else today's
+  const [viewMonth, setViewMonth] = useState(() => initialMonth || getCurrentMonthFirstDay());
+  // Bumped to remount the calendar when jumping to a month programmatically
+  const [jumpCount, setJumpCount] = useState(0);
+  const [reviewVisible, setReviewVisible] = useState(false);
+  // Only days with this tag are shaded and can be opened (null: every day)
+  const [tagFilter, setTagFilter] = useState(null);
+  const tags = useMemo(() => collectTags(entries), [entries]);
+  const activeTag = tags.includes(tagFilter) ? tagFilter : null;
+  const isShown = (date) => !!entries[date] && (!activeTag || hasTag(entries[date], activeTag));
   const markedDates = getMarkedDates(entries);
-  const initialDate = getCurrentMonthFirstDay();
+  // Days that are part of a streak run (2+ consecutive days) get a highlighted band
+  const streakDates = useMemo(
+    () => getStreakDates(computeStreaks(entries, streakMode, getTodayKey()).runs),
+    [entries, streakMode]
+  );
+  const todayMonth = getCurrentMonthFirstDay();
+
+  const handleMonthChange = (month) => {
+    const first = `${month.dateString.slice(0, 7)}-01`;
+    setViewMonth(first);
+    if (onMonthChange) onMonthChange(first);
+  };
+
+  const jumpToToday = () => {
+    setViewMonth(todayMonth);
+    setJumpCount(c => c + 1);
+    if (onMonthChange) onMonthChange(todayMonth);
+  };
 
   useEffect(() => {
     // When storage updates, clear any selected date so UI reflects new data
     setSelectedDate('');
   }, [storeVersion]);
 
+  useEffect(() => {
+    if (selectedDate && !isShown(selectedDate)) setSelectedDate('');
+  }, [activeTag]);
+
   return (
-    <View style={styles.container}>
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.toolbar}>
+        <TouchableOpacity style={styles.todayButton} onPress={() => setReviewVisible(true)}>
+          <Ionicons name="reader-outline" size={16} color={colors.primary} />
+          <Text style={styles.todayText}>{t('review.open')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.todayButton, viewMonth === todayMonth && styles.todayButtonIdle]}
+          onPress={jumpToToday}
+          disabled={viewMonth === todayMonth}
+        >
+          <Ionicons name="today-outline" size={16} color={colors.primary} />
+          <Text style={styles.todayText}>{t('common.today')}</Text>
+        </TouchableOpacity>
+      </View>
+      <TagFilter tags={tags} value={activeTag} onChange={setTagFilter} />
       <Calendar
-        key={String(storeVersion)}
-        initialDate={initialDate}
+        key={`${storeVersion}-${jumpCount}-${scheme}-${language}-${activeTag}`}
+        theme={calendarTheme(colors)}
+        initialDate={viewMonth}
+        firstDay={firstDay}
+        onMonthChange={handleMonthChange}
         markingType={'custom'}
         markedDates={markedDates}
         dayComponent={({ date, state }) => {
           const dateStr = date.dateString;
-          const isMarked = !!entries[dateStr];
+          const isMarked = isShown(dateStr);
           const isSelected = dateStr === selectedDate;
+          const inStreak = streakDates.has(dateStr);
+          const level = isMarked ? getCompletionLevel(entries[dateStr]) : 'empty';
           return (
             <TouchableOpacity
               onPress={() => {
@@ -48,99 +117,130 @@ const HistoryTab = ({ entries = {}, storeVersion = 0 }) => {
               disabled={state === 'disabled'}
               style={{ flex: 1 }}
             >
-              <View style={[styles.dayWrap, isMarked && styles.markedDay, isSelected && styles.selectedDay]}>
-                <Text style={{ color: state === 'disabled' ? '#ccc' : '#222', fontWeight: 'bold' }}>
+              <View
+                style={[
+                  styles.dayWrap,
+                  level === 'partial' && styles.partialDay,
+                  level === 'full' && styles.fullDay,
+                  inStreak && styles.streakDay,
+                  isSelected && styles.selectedDay,
+                  dateStr === getTodayKey() && styles.todayDay,
+                ]}
+              >
+                <Text style={{ color: state === 'disabled' ? colors.disabled : colors.text, fontWeight: 'bold' }}>
                   {date.day}
                 </Text>
-                {isMarked && (
-                  <Ionicons
-                    name="checkmark-circle"
-                    size={18}
-                    color="#0b7cff"
-                    style={styles.tickIcon}
-                  />
-                )}
               </View>
             </TouchableOpacity>
           );
         }}
       />
+      <View style={styles.legendRow}>
+        <View style={[styles.legendSwatch, styles.partialDay]} />
+        <Text style={styles.legendText}>{t('history.legendPartial')}</Text>
+        <View style={[styles.legendSwatch, styles.fullDay]} />
+        <Text style={styles.legendText}>{t('history.legendFull', { count: SECTIONS.length })}</Text>
+        {streakDates.size > 0 && (
+          <>
+            <View style={[styles.legendSwatch, styles.streakDay]} />
+            <Text style={styles.legendText}>{t('history.legendStreak')}</Text>
+          </>
+        )}
+      </View>
       {selectedDate ? (
-        <View style={styles.entryContainer}>
-          <Text style={styles.entryTitle}>Entry for {selectedDate}:</Text>
-          {entries[selectedDate] ? (
-            <>
-              {Object.entries(entries[selectedDate]).map(([field, value]) => {
-                if (typeof value === 'string' || typeof value === 'number') {
-                  return (
-                    <Text style={styles.entryText} key={field}>{field.charAt(0).toUpperCase() + field.slice(1)}: {value}</Text>
-                  );
-                } else if (Array.isArray(value)) {
-                  return value.map((item, idx) => (
-                    <Text style={styles.entryText} key={field + idx}>{field.charAt(0).toUpperCase() + field.slice(1)} {idx + 1}: {item}</Text>
-                  ));
-                } else if (typeof value === 'object' && value !== null) {
-                  return Object.entries(value).map(([subKey, subValue]) => (
-                    <Text style={styles.entryText} key={field + subKey}>{field.charAt(0).toUpperCase() + field.slice(1)} {subKey}: {subValue}</Text>
-                  ));
-                } else {
-                  return null;
-                }
-              })}
-            </>
-          ) : (
-            <Text style={styles.entryText}>No entry for this date.</Text>
-          )}
-        </View>
+        <DayDetail date={selectedDate} entry={entries[selectedDate]} nightPrompts={nightPrompts} categories={categories} onEdit={onOpenDay} />
       ) : (
         <View style={styles.placeholderContainer}>
-          <Text style={styles.placeholderText}>Select a date to see the entry</Text>
+          <Text style={styles.placeholderText}>{t('history.selectDate')}</Text>
         </View>
       )}
-    </View>
+      <ReviewModal
+        visible={reviewVisible}
+        initialPeriod={periodOf('month', viewMonth)}
+        entries={entries}
+        nightPrompts={nightPrompts}
+        categories={categories}
+        onOpenDay={onOpenDay}
+        onClose={() => setReviewVisible(false)}
+      />
+    </ScrollView>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
     padding: 16,
-    backgroundColor: '#fff',
+    paddingBottom: 40,
+  },
+  toolbar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  todayButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.primarySoft,
+    borderColor: colors.primary,
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  todayButtonIdle: {
+    opacity: 0.4,
+  },
+  todayText: {
+    color: colors.primary,
+    fontWeight: '600',
+    marginLeft: 4,
   },
   dayWrap: {
     alignItems: 'center',
     justifyContent: 'center',
+    minWidth: 32,
+    minHeight: 32,
+    borderRadius: 8,
   },
-  tickIcon: {
-    position: 'absolute',
-    top: 2,
-    right: 2,
-    zIndex: 1,
-  },
-  markedDay: {
-    backgroundColor: '#e0ffe0',
+  partialDay: {
+    backgroundColor: colors.successSoft,
     borderRadius: 8,
   },
-  selectedDay: {
-    backgroundColor: '#b3e0ff',
+  fullDay: {
+    backgroundColor: colors.successStrong,
     borderRadius: 8,
   },
-  entryContainer: {
-    marginTop: 20,
-    padding: 16,
-    backgroundColor: '#f9f9f9',
+  streakDay: {
+    borderColor: colors.streak,
+    borderWidth: 2,
     borderRadius: 8,
+  },
+  todayDay: {
+    borderColor: colors.primary,
     borderWidth: 1,
-    borderColor: '#ddd',
   },
-  entryTitle: {
-    fontSize: 16,
-    fontWeight: 'bold',
-    marginBottom: 8,
+  selectedDay: {
+    backgroundColor: colors.selection,
+    borderRadius: 8,
   },
-  entryText: {
-    fontSize: 14,
-    color: '#333',
+  legendRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  legendSwatch: {
+    width: 14,
+    height: 14,
+    marginRight: 4,
+  },
+  legendText: {
+    color: colors.muted,
+    fontSize: 12,
+    marginRight: 12,
   },
   placeholderContainer: {
     marginTop: 20,
@@ -149,7 +249,7 @@ const styles = StyleSheet.create({
   },
   placeholderText: {
     fontSize: 14,
-    color: '#999',
+    color: colors.muted,
   },
 });
 
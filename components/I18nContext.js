@@ -0,0 +1,19 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { t, getLocale, isRTL } from '../utils/i18n';
+
+const I18nContext = createContext({ language: 'en', locale: 'en', isRTL: false, firstDay: 0, t });
+
+// `language` must already be active (see setLanguage in i18n.js); the provider only
+// tells components that it changed
+export function I18nProvider({ language, firstDay, children }) {
+  const value = useMemo(
+    () => ({ language, locale: getLocale(), isRTL: isRTL(language), firstDay, t }),
+    [language, firstDay]
+  );
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+// { language, locale, isRTL, firstDay, t }; firstDay is 0 (Sunday) to 6 (Saturday)
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,228 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Modal, View, Text, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { formatDateString } from '../utils/dates';
+import { CONFLICT_CHOICES, resolveImport } from '../utils/importJournal';
+import { useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+function ChoiceRow({ value, onChange }) {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useI18n();
+  return (
+    <View style={styles.choiceRow}>
+      {Object.keys(CONFLICT_CHOICES).map((choice) => (
+        <TouchableOpacity
+          key={choice}
+          style={[styles.choice, value === choice && styles.choiceOn]}
+          onPress={() => onChange(choice)}
+        >
+          <Text style={[styles.choiceText, value === choice && styles.choiceTextOn]}>{t(CONFLICT_CHOICES[choice])}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+// Preview of an import: how many days will be added/overwritten, a per-conflict
+// choice, and a confirm button that hands the resolved days back to the caller.
+export default function ImportModal({ visible, filename, local = {}, parsed, plan, onCancel, onConfirm }) {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useI18n();
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    // Default every conflict to keeping the local entry
+    setChoices({});
+  }, [plan]);
+
+  const writes = useMemo(
+    () => (parsed && plan ? resolveImport(local, parsed.entries, plan, choices) : {}),
+    [local, parsed, plan, choices]
+  );
+
+  if (!parsed || !plan) return null;
+
+  const overwritten = plan.conflicts.filter((date) => writes[date]).length;
+  const writeCount = Object.keys(writes).length;
+  const setAll = (choice) => {
+    const next = {};
+    plan.conflicts.forEach((date) => { next[date] = choice; });
+    setChoices(next);
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <Text style={styles.title}>{t('import.title', { filename })}</Text>
+          <Text style={styles.summary}>
+            {t('import.added', { count: plan.added.length })} {t('import.overwritten', { count: overwritten })}
+          </Text>
+          {plan.identical.length > 0 && (
+            <Text style={styles.muted}>{t('import.identical', { count: plan.identical.length })}</Text>
+          )}
+          {parsed.duplicates.length > 0 && (
+            <Text style={styles.warning}>
+              {t('import.duplicates', { count: parsed.duplicates.length })}
+              {' '}({parsed.duplicates.slice(0, 3).map((date) => formatDateString(date)).join('; ')}
+              {parsed.duplicates.length > 3 ? '…' : ''})
+            </Text>
+          )}
+          {parsed.rejected.length > 0 && (
+            <Text style={styles.warning}>
+              {t('import.rejected', { count: parsed.rejected.length })}
+              {' '}({parsed.rejected.slice(0, 3).map((r) => `${r.key}: ${r.reason}`).join('; ')}
+              {parsed.rejected.length > 3 ? '…' : ''})
+            </Text>
+          )}
+
+          {plan.conflicts.length > 0 && (
+            <>
+              <Text style={styles.sectionTitle}>
+                {t('import.conflicts', { count: plan.conflicts.length })}
+              </Text>
+              <Text style={styles.muted}>{t('import.applyToAll')}</Text>
+              <ChoiceRow value={null} onChange={setAll} />
+              <ScrollView style={styles.conflictList}>
+                {plan.conflicts.map((date) => (
+                  <View key={date} style={styles.conflict}>
+                    <Text style={styles.conflictDate}>{formatDateString(date)}</Text>
+                    <ChoiceRow
+                      value={choices[date] || 'local'}
+                      onChange={(choice) => setChoices((prev) => ({ ...prev, [date]: choice }))}
+                    />
+                  </View>
+                ))}
+              </ScrollView>
+            </>
+          )}
+
+          <View style={styles.actions}>
+            <TouchableOpacity onPress={onCancel} style={styles.cancelButton}>
+              <Text style={styles.cancelText}>{t('common.cancel')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => onConfirm(writes)}
+              style={[styles.confirmButton, writeCount === 0 && styles.disabled]}
+              disabled={writeCount === 0}
+            >
+              <Text style={styles.confirmText}>
+                {writeCount === 0 ? t('import.nothingTitle') : t('import.confirm', { count: writeCount })}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.backdrop,
+    padding: 16,
+  },
+  card: {
+    width: '100%',
+    maxWidth: 520,
+    maxHeight: '90%',
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    padding: 16,
+    elevation: 4,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: colors.text,
+  },
+  summary: {
+    fontSize: 15,
+    color: colors.text,
+    marginBottom: 4,
+  },
+  muted: {
+    color: colors.muted,
+    marginBottom: 4,
+  },
+  warning: {
+    color: colors.warning,
+    marginBottom: 4,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginTop: 12,
+    marginBottom: 4,
+    color: colors.text,
+  },
+  conflictList: {
+    maxHeight: 280,
+    marginTop: 4,
+  },
+  conflict: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  conflictDate: {
+    fontWeight: '700',
+    marginBottom: 4,
+    color: colors.text,
+  },
+  choiceRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  choice: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 16,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  choiceOn: {
+    backgroundColor: colors.primarySoft,
+    borderColor: colors.primary,
+  },
+  choiceText: {
+    color: colors.text,
+  },
+  choiceTextOn: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  cancelButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    marginRight: 8,
+  },
+  cancelText: {
+    color: colors.primary,
+  },
+  confirmButton: {
+    backgroundColor: colors.primary,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+  },
+  confirmText: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+});
@@ -0,0 +1,201 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { MAX_GRATITUDE } from '../utils/schema';
+import { localizePrompt } from '../utils/prompts';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+// A prompt's label is edited locally and only saved once the field loses focus,
+// so settings aren't rewritten on every keystroke. Built-in prompts show their
+// translated label, which is only stored once the user changes it.
+function PromptRow({ prompt, onRename, onRemove }) {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const shownLabel = localizePrompt(prompt).label;
+  const [label, setLabel] = useState(shownLabel);
+  useEffect(() => { setLabel(shownLabel); }, [shownLabel]);
+
+  const commit = () => {
+    const trimmed = label.trim();
+    if (!trimmed) setLabel(shownLabel);
+    else if (trimmed !== shownLabel) onRename(trimmed);
+  };
+
+  return (
+    <View style={styles.promptRow}>
+      <TextInput
+        value={label}
+        onChangeText={setLabel}
+        onEndEditing={commit}
+        onBlur={commit}
+        style={styles.promptInput}
+        placeholder={t('journalSettings.promptPlaceholder')}
+        placeholderTextColor={colors.placeholder}
+      />
+      <TouchableOpacity style={styles.iconButton} onPress={onRemove} accessibilityLabel={t('journalSettings.removePrompt')}>
+        <Ionicons name="trash-outline" size={18} color={colors.danger} />
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+// Gratitude slot count and the night reflection prompts. Removed prompts are only
+// archived, so days that answered them keep their label.
+export default function JournalSettings({ journal, onChange }) {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const active = journal.nightPrompts.filter((p) => !p.archived);
+  const archived = journal.nightPrompts.filter((p) => p.archived);
+
+  const setCount = (gratitudeCount) => onChange({ ...journal, gratitudeCount });
+  const updatePrompt = (id, patch) => onChange({
+    ...journal,
+    nightPrompts: journal.nightPrompts.map((p) => (p.id === id ? { ...p, ...patch } : p)),
+  });
+  const addPrompt = () => onChange({
+    ...journal,
+    nightPrompts: [...journal.nightPrompts, { id: `p_${Date.now().toString(36)}`, label: t('journalSettings.newPrompt'), placeholder: '', archived: false }],
+  });
+
+  return (
+    <View>
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>{t('journalSettings.gratitudeItems')}</Text>
+        <View style={styles.stepRow}>
+          <TouchableOpacity
+            style={[styles.stepButton, journal.gratitudeCount <= 1 && styles.disabled]}
+            onPress={() => setCount(journal.gratitudeCount - 1)}
+            disabled={journal.gratitudeCount <= 1}
+          >
+            <Ionicons name="remove" size={18} color={colors.primary} />
+          </TouchableOpacity>
+          <Text style={styles.count}>{journal.gratitudeCount}</Text>
+          <TouchableOpacity
+            style={[styles.stepButton, journal.gratitudeCount >= MAX_GRATITUDE && styles.disabled]}
+            onPress={() => setCount(journal.gratitudeCount + 1)}
+            disabled={journal.gratitudeCount >= MAX_GRATITUDE}
+          >
+            <Ionicons name="add" size={18} color={colors.primary} />
+          </TouchableOpacity>
+        </View>
+      </View>
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>{t('journalSettings.nightPrompts')}</Text>
+        {active.length === 0 && <Text style={styles.muted}>{t('journalSettings.none')}</Text>}
+        {active.map((prompt) => (
+          <PromptRow
+            key={prompt.id}
+            prompt={prompt}
+            onRename={(label) => updatePrompt(prompt.id, { label })}
+            onRemove={() => updatePrompt(prompt.id, { archived: true })}
+          />
+        ))}
+        <TouchableOpacity style={styles.addButton} onPress={addPrompt}>
+          <Ionicons name="add-circle-outline" size={18} color={colors.primary} />
+          <Text style={styles.addText}>{t('journalSettings.add')}</Text>
+        </TouchableOpacity>
+        {archived.length > 0 && (
+          <>
+            <Text style={[styles.muted, { marginTop: 12 }]}>{t('journalSettings.removed')}</Text>
+            {archived.map((prompt) => (
+              <View key={prompt.id} style={styles.archivedRow}>
+                <Text style={styles.archivedLabel}>{localizePrompt(prompt).label}</Text>
+                <TouchableOpacity onPress={() => updatePrompt(prompt.id, { archived: false })}>
+                  <Text style={styles.restoreText}>{t('common.restore')}</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </>
+        )}
+      </View>
+      <Text style={styles.muted}>{t('journalSettings.appliesFromToday')}</Text>
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.card,
+    borderColor: colors.border,
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 8,
+  },
+  cardTitle: {
+    fontSize: 15,
+    color: colors.text,
+  },
+  stepRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  stepButton: {
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: 16,
+    padding: 4,
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+  count: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginHorizontal: 12,
+    minWidth: 24,
+    textAlign: 'center',
+    color: colors.text,
+  },
+  promptRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  promptInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    fontSize: 15,
+    color: colors.text,
+  },
+  iconButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  addText: {
+    color: colors.primary,
+    marginLeft: 6,
+    fontWeight: '600',
+  },
+  archivedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 6,
+  },
+  archivedLabel: {
+    flex: 1,
+    color: colors.faint,
+    marginRight: 8,
+  },
+  restoreText: {
+    color: colors.primary,
+  },
+  muted: {
+    color: colors.muted,
+    marginTop: 8,
+  },
+});
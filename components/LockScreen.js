@@ -0,0 +1,162 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, ActivityIndicator, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { unlockWithPasscode, keyFromBiometrics } from '../utils/lock';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+// After this many wrong passcodes in a row, further attempts wait for COOLDOWN_MS
+const MAX_ATTEMPTS = 5;
+const COOLDOWN_MS = 30 * 1000;
+
+// Shown instead of the app while the journal is locked. Resolves the data key and
+// hands it to `onUnlock` (with the lock config, when unlocking re-wrapped the key);
+// biometric unlock is offered straight away when turned on.
+export default function LockScreen({ config, onUnlock }) {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const [passcode, setPasscode] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [blockedUntil, setBlockedUntil] = useState(0);
+  const failures = useRef(0);
+
+  const tryBiometrics = async () => {
+    setBusy(true);
+    const key = await keyFromBiometrics(config);
+    setBusy(false);
+    if (key) onUnlock(key);
+  };
+
+  useEffect(() => {
+    if (config.biometric) tryBiometrics();
+  }, []);
+
+  const submit = () => {
+    if (busy || !passcode) return;
+    const wait = blockedUntil - Date.now();
+    if (wait > 0) {
+      setError(t('lock.tooManyAttempts', { seconds: Math.ceil(wait / 1000) }));
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    // Let the spinner render before the key derivation, which is slow (and synchronous
+    // where there's no Web Crypto)
+    setTimeout(async () => {
+      const unlocked = await unlockWithPasscode(config, passcode);
+      setBusy(false);
+      if (unlocked) {
+        onUnlock(unlocked.key, unlocked.config);
+        return;
+      }
+      failures.current += 1;
+      setPasscode('');
+      if (failures.current >= MAX_ATTEMPTS) {
+        failures.current = 0;
+        setBlockedUntil(Date.now() + COOLDOWN_MS);
+        setError(t('lock.tooManyAttempts', { seconds: COOLDOWN_MS / 1000 }));
+      } else {
+        setError(t('lock.wrongPasscode'));
+      }
+    }, 50);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Ionicons name="lock-closed" size={48} color={colors.primary} />
+      <Text style={styles.title}>{t('lock.locked')}</Text>
+      <Text style={styles.muted}>{t('lock.enterPasscode')}</Text>
+      <TextInput
+        value={passcode}
+        onChangeText={setPasscode}
+        onSubmitEditing={submit}
+        style={styles.input}
+        secureTextEntry
+        autoCapitalize="none"
+        autoCorrect={false}
+        autoFocus={!config.biometric}
+        editable={!busy}
+        placeholder={t('lock.passcode')}
+        placeholderTextColor={colors.placeholder}
+        accessibilityLabel={t('lock.passcode')}
+      />
+      {error ? <Text style={styles.error}>{error}</Text> : null}
+      <TouchableOpacity style={[styles.button, (!passcode || busy) && styles.disabled]} onPress={submit} disabled={!passcode || busy}>
+        {busy ? <ActivityIndicator color={colors.onPrimary} /> : <Text style={styles.buttonText}>{t('lock.unlock')}</Text>}
+      </TouchableOpacity>
+      {config.biometric && (
+        <TouchableOpacity style={styles.biometric} onPress={tryBiometrics} disabled={busy}>
+          <Ionicons name="finger-print" size={22} color={colors.primary} />
+          <Text style={styles.link}>{t('lock.useBiometrics')}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.background,
+    padding: 24,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginTop: 12,
+    marginBottom: 4,
+    color: colors.text,
+  },
+  muted: {
+    color: colors.muted,
+    marginBottom: 16,
+  },
+  input: {
+    width: '100%',
+    maxWidth: 280,
+    borderColor: colors.border,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    fontSize: 20,
+    textAlign: 'center',
+    letterSpacing: 4,
+    color: colors.text,
+  },
+  error: {
+    color: colors.danger,
+    marginTop: 8,
+  },
+  button: {
+    width: '100%',
+    maxWidth: 280,
+    alignItems: 'center',
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    paddingVertical: 12,
+    marginTop: 16,
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: colors.onPrimary,
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  biometric: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  link: {
+    color: colors.primary,
+    marginLeft: 6,
+    fontSize: 16,
+  },
+});
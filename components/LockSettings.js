@@ -0,0 +1,255 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, Switch, Modal, TouchableOpacity, ActivityIndicator, StyleSheet, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  MIN_PASSCODE_LENGTH,
+  checkPasscode,
+  enableLock,
+  changePasscode,
+  disableLock,
+  biometricsAvailable,
+  setBiometricUnlock,
+} from '../utils/lock';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const MODES = {
+  enable: { titleKey: 'lock.setPasscode', current: false, next: true },
+  change: { titleKey: 'lock.changePasscode', current: true, next: true },
+  disable: { titleKey: 'lock.turnOffTitle', current: true, next: false },
+};
+
+function PasscodeField({ label, value, onChange, autoFocus = false }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  return (
+    <TextInput
+      value={value}
+      onChangeText={onChange}
+      style={styles.input}
+      secureTextEntry
+      autoCapitalize="none"
+      autoCorrect={false}
+      autoFocus={autoFocus}
+      placeholder={label}
+      placeholderTextColor={colors.placeholder}
+      accessibilityLabel={label}
+    />
+  );
+}
+
+// Asks for the current and/or a new passcode. `onSubmit` resolves to an error message,
+// or null once it's done.
+function PasscodeModal({ mode, onSubmit, onCancel }) {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const [current, setCurrent] = useState('');
+  const [next, setNext] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const spec = MODES[mode];
+
+  const submit = () => {
+    const problem = spec.next ? checkPasscode(next) : null;
+    if (problem) {
+      setError(t(problem, { count: MIN_PASSCODE_LENGTH }));
+      return;
+    }
+    if (spec.next && next !== confirm) {
+      setError(t('lock.mismatch'));
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    // Let the spinner render before the key derivation, which is slow (and synchronous
+    // where there's no Web Crypto)
+    setTimeout(async () => {
+      let message;
+      try {
+        message = await onSubmit({ current, next });
+      } catch (e) {
+        console.warn('Passcode change failed', e);
+        message = t('errors.generic');
+      }
+      setBusy(false);
+      if (message) setError(message);
+    }, 50);
+  };
+
+  return (
+    <Modal visible transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.backdrop}>
+        <View style={styles.modalCard}>
+          <Text style={styles.modalTitle}>{t(spec.titleKey)}</Text>
+          {spec.current && <PasscodeField label={t('lock.currentPasscode')} value={current} onChange={setCurrent} autoFocus />}
+          {spec.next && (
+            <>
+              <PasscodeField label={t('lock.newPasscode')} value={next} onChange={setNext} autoFocus={!spec.current} />
+              <PasscodeField label={t('lock.repeatPasscode')} value={confirm} onChange={setConfirm} />
+            </>
+          )}
+          {mode === 'enable' && (
+            <Text style={styles.muted}>{t('lock.noRecovery')}</Text>
+          )}
+          {error ? <Text style={styles.error}>{error}</Text> : null}
+          <View style={styles.actions}>
+            <TouchableOpacity onPress={onCancel} style={styles.actionButton} disabled={busy}>
+              <Text style={styles.link}>{t('common.cancel')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={submit} style={styles.actionButton} disabled={busy}>
+              {busy ? <ActivityIndicator color={colors.primary} /> : <Text style={styles.confirmText}>{t('common.ok')}</Text>}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+// Passcode lock and biometric unlock. The journal is encrypted while the lock is on.
+export default function LockSettings({ lockConfig, onChange }) {
+  const { colors } = useTheme();
+  const { isRTL, t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const [mode, setMode] = useState(null);
+  const [canUseBiometrics, setCanUseBiometrics] = useState(false);
+
+  useEffect(() => {
+    biometricsAvailable().then(setCanUseBiometrics);
+  }, []);
+
+  const handleSubmit = async ({ current, next }) => {
+    if (mode === 'enable') {
+      onChange(await enableLock(next));
+    } else if (mode === 'change') {
+      const updated = await changePasscode(lockConfig, current, next);
+      if (!updated) return t('lock.wrongPasscode');
+      onChange(updated);
+    } else {
+      if (!(await disableLock(lockConfig, current))) return t('lock.wrongPasscode');
+      onChange(null);
+    }
+    setMode(null);
+    return null;
+  };
+
+  const handleBiometric = async (enabled) => {
+    try {
+      const updated = await setBiometricUnlock(lockConfig, enabled);
+      if (updated) onChange(updated);
+    } catch (e) {
+      console.warn('Could not change biometric unlock', e);
+      Alert.alert(t('common.error'), t('errors.biometric'));
+    }
+  };
+
+  return (
+    <View>
+      {!lockConfig ? (
+        <TouchableOpacity style={styles.row} onPress={() => setMode('enable')}>
+          <Ionicons name="lock-closed-outline" size={20} color={colors.primary} />
+          <Text style={styles.rowText}>{t('lock.turnOn')}</Text>
+          <Ionicons name={isRTL ? 'chevron-back' : 'chevron-forward'} size={18} color={colors.faint} />
+        </TouchableOpacity>
+      ) : (
+        <>
+          {canUseBiometrics && (
+            <View style={styles.row}>
+              <Ionicons name="finger-print" size={20} color={colors.primary} />
+              <Text style={styles.rowText}>{t('lock.biometricUnlock')}</Text>
+              <Switch value={!!lockConfig.biometric} onValueChange={handleBiometric} />
+            </View>
+          )}
+          <TouchableOpacity style={styles.row} onPress={() => setMode('change')}>
+            <Ionicons name="key-outline" size={20} color={colors.primary} />
+            <Text style={styles.rowText}>{t('lock.changePasscode')}</Text>
+            <Ionicons name={isRTL ? 'chevron-back' : 'chevron-forward'} size={18} color={colors.faint} />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.row} onPress={() => setMode('disable')}>
+            <Ionicons name="lock-open-outline" size={20} color={colors.danger} />
+            <Text style={styles.rowText}>{t('lock.turnOff')}</Text>
+            <Ionicons name={isRTL ? 'chevron-back' : 'chevron-forward'} size={18} color={colors.faint} />
+          </TouchableOpacity>
+        </>
+      )}
+      {mode && <PasscodeModal mode={mode} onSubmit={handleSubmit} onCancel={() => setMode(null)} />}
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.card,
+    borderColor: colors.border,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginTop: 8,
+  },
+  rowText: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 16,
+    color: colors.text,
+  },
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.backdrop,
+    padding: 16,
+  },
+  modalCard: {
+    width: '100%',
+    maxWidth: 400,
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    padding: 16,
+    elevation: 4,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: colors.text,
+  },
+  input: {
+    borderColor: colors.border,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    fontSize: 18,
+    marginTop: 8,
+    color: colors.text,
+  },
+  muted: {
+    color: colors.muted,
+    marginTop: 8,
+  },
+  error: {
+    color: colors.danger,
+    marginTop: 8,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 12,
+  },
+  actionButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+  },
+  link: {
+    color: colors.primary,
+  },
+  confirmText: {
+    color: colors.primary,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,102 @@
+import React, { useRef } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getCategory } from '../utils/prompts';
+import { getOccurrences, removeOccurrence, setOccurrenceNote, formatOccurrenceTime } from '../utils/occurrences';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+// The day's logged occurrences (tally mode), newest first, each with an optional note.
+// Without `onChange` the list is read-only. `onEditingField` is told which note is being
+// typed in ('occurrence.<id>', or null), so live updates leave it alone.
+export default function OccurrenceList({ entry, categories, onChange, onEditingField }) {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const focusedId = useRef(null);
+  const editing = (id) => {
+    focusedId.current = id;
+    onEditingField?.(id ? `occurrence.${id}` : null);
+  };
+  const occurrences = [...getOccurrences(entry)].reverse();
+  if (occurrences.length === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      {occurrences.map((o) => {
+        const { label, color, icon } = getCategory(categories, o.category);
+        return (
+          <View key={o.id} style={styles.row}>
+            <Text style={styles.time}>{formatOccurrenceTime(o)}</Text>
+            <Ionicons name={icon} size={14} color={color} />
+            <Text style={[styles.category, { color }]} numberOfLines={1}>{label}</Text>
+            {onChange ? (
+              <>
+                <TextInput
+                  value={o.note}
+                  onChangeText={(note) => onChange(setOccurrenceNote(entry, o.id, note))}
+                  onFocus={() => editing(o.id)}
+                  onBlur={() => editing(null)}
+                  placeholder={t('occurrences.notePlaceholder')}
+                  placeholderTextColor={colors.placeholder}
+                  style={styles.noteInput}
+                  maxLength={140}
+                />
+                <TouchableOpacity
+                  onPress={() => {
+                    // A removed row may unmount without blurring its note
+                    if (focusedId.current === o.id) editing(null);
+                    onChange(removeOccurrence(entry, o.id));
+                  }}
+                  accessibilityLabel={t('common.remove')}
+                >
+                  <Ionicons name="close-circle-outline" size={18} color={colors.muted} />
+                </TouchableOpacity>
+              </>
+            ) : (
+              <Text style={styles.note}>{o.note}</Text>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    marginTop: 4,
+    marginBottom: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 3,
+  },
+  time: {
+    width: 44,
+    fontSize: 12,
+    color: colors.muted,
+    fontVariant: ['tabular-nums'],
+  },
+  category: {
+    width: 90,
+    fontSize: 13,
+    marginLeft: 4,
+  },
+  noteInput: {
+    flex: 1,
+    fontSize: 13,
+    paddingVertical: 2,
+    paddingHorizontal: 6,
+    borderBottomWidth: 1,
+    borderColor: colors.border,
+    marginRight: 6,
+    color: colors.text,
+  },
+  note: {
+    flex: 1,
+    fontSize: 13,
+    color: colors.text,
+  },
+});
@@ -1,88 +1,75 @@
-import React, { useState } from 'react';
-import { View, Text, Dimensions, StyleSheet, TouchableOpacity, Animated } from 'react-native';
-import { LineChart } from 'react-native-chart-kit';
+import React, { useState, useMemo } from 'react';
+import { View, Text, Dimensions, StyleSheet, TouchableOpacity, Animated, ScrollView } from 'react-native';
+import { LineChart, StackedBarChart } from 'react-native-chart-kit';
 import { Ionicons } from '@expo/vector-icons';
 import { G, Circle, Rect, Text as SvgText } from 'react-native-svg';
+import { STREAK_MODES, computeStreaks } from '../utils/streaks';
+import { getTodayKey, formatHour } from '../utils/dates';
+import { DEFAULT_RANGE, resolveRange, bucketRange, maxPointsForWidth, averageOver, sumOver, describeRange } from '../utils/chartRange';
+import { getCompletion, getGratitudePct, isSectionFilled } from '../utils/entryStatus';
+import RangeSelector from './RangeSelector';
+import ReviewModal from './ReviewModal';
+import TagFilter from './TagFilter';
+import { getCategory, localizeCategory } from '../utils/prompts';
+import { countOccurrences, getOccurrences, timeSlotOf, TIME_SLOTS, AWARENESS_MODES } from '../utils/occurrences';
+import { periodOf } from '../utils/reviews';
+import { collectTags, filterByTag } from '../utils/tags';
+import { RATING_KINDS, MIN_COMPARISON_DAYS, averageRatingOver, compareRatings, formatRating } from '../utils/ratings';
+import { t } from '../utils/i18n';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
 
 const chartWidth = Dimensions.get('window').width - 32;
 
-function getLastNDays(entries, n = 7) {
-  const allDates = Object.keys(entries || {}).sort((a, b) => a.localeCompare(b));
-  return allDates.slice(-n);
+const maxPoints = maxPointsForWidth(chartWidth);
+
+// Calendar-day frame for a chart: buckets (day/week/month) covering the selected range
+function getChartFrame(range) {
+  const { start, end } = resolveRange(range, getTodayKey());
+  const { unit, buckets } = bucketRange(start, end, maxPoints);
+  return {
+    unit,
+    buckets,
+    labels: buckets.map(b => b.label),
+    // fullLabels are shown in tooltips (the ISO date for daily points)
+    fullLabels: buckets.map(b => b.fullLabel),
+  };
 }
 
-function getConsistencyData(entries) {
-  const lastDates = getLastNDays(entries, 7);
-  const labels = lastDates.map(date => {
-    const [, month, day] = date.split('-');
-    return `${month}/${day}`;
-  });
-  const data = lastDates.map(date => {
-    const entry = entries[date] || {};
-    let count = 0;
-    // Morning gratitude (array of 3)
-    if (entry.morning && Array.isArray(entry.morning.gratitude)) {
-      count += entry.morning.gratitude.filter(g => g && g.trim()).length;
-    }
-    // Night wentWell, handled, improve (3 fields)
-    if (entry.night) {
-      if (entry.night.wentWell && entry.night.wentWell.trim()) count += 1;
-      if (entry.night.handled && entry.night.handled.trim()) count += 1;
-      if (entry.night.improve && entry.night.improve.trim()) count += 1;
-    }
-    // Calculate percentage out of 6
-    return Math.round((count / 6) * 100);
-  });
+const isCaught = (entry, id) => !!(entry && entry.midday && entry.midday.caught && entry.midday.caught[id]);
+
+// `includes(date)`, when given, limits the averages to the days it accepts (see
+// averageOver); the tag filter uses it so untagged days don't count as empty ones
+function getConsistencyData(entries, range, includes) {
+  const frame = getChartFrame(range);
+  // Each day is measured against the prompts that were active on that day
+  const data = averageOver(frame.buckets, entries, entry => getCompletion(entry).pct, includes);
   // Provide legend and explicit color so this chart can use the shared interactive legend behavior
   return {
-    labels,
-    // fullLabels contains the original ISO-style date keys (YYYY-MM-DD) for tooltips
-    fullLabels: lastDates,
-    legend: ['Entry Completion (%)'],
+    labels: frame.labels,
+    fullLabels: frame.fullLabels,
+    unit: frame.unit,
+    legend: [t('charts.legend.completion')],
     datasets: [{ data, strokeWidth: 2, color: () => `rgba(10, 132, 255, 1)` }],
     yAxisMin: 0,
     yAxisMax: 100,
   };
 }
 
-// New: compute Gratitude (morning) and Complaint (midday) frequencies for the last N days.
-// Gratitude: count of non-empty items in morning.gratitude (0..3) normalized to 0..100
-// Complaint: whether the user checked the first midday.caught checkbox ("Complaining") -> treated as 0 or 100
-function getGratitudeAndComplaintData(entries, n = 7) {
-  const lastDates = getLastNDays(entries, n);
-  const labels = lastDates.map(date => {
-    const [, month, day] = date.split('-');
-    return `${month}/${day}`;
-  });
-
-  const gratitudeData = [];
-  const complaintData = [];
-
-  lastDates.forEach(date => {
-    const entry = entries[date] || {};
-    // Gratitude: up to 3 items
-    let gratitudeCount = 0;
-    if (entry.morning && Array.isArray(entry.morning.gratitude)) {
-      gratitudeCount = entry.morning.gratitude.filter(g => g && g.trim()).length;
-    }
-    const gratitudePct = Math.round((gratitudeCount / 3) * 100);
-    gratitudeData.push(gratitudePct);
-
-    // Complaint: treat midday.caught[0] ("Complaining") as the complaint flag
-    let complained = false;
-    if (entry.midday && Array.isArray(entry.midday.caught)) {
-      complained = !!entry.midday.caught[0];
-    }
-    const complaintPct = complained ? 100 : 0;
-    complaintData.push(complaintPct);
-  });
+// Gratitude (morning) and Complaint (midday) frequencies over the selected range.
+// Complaint: whether the user ticked the "Complaining" category,
+// averaged over each bucket's days -> % of days with a complaint
+function getGratitudeAndComplaintData(entries, range, includes) {
+  const frame = getChartFrame(range);
+  const complaintData = averageOver(frame.buckets, entries, entry => (isCaught(entry, 'complaining') ? 100 : 0), includes);
+  const gratitudeData = averageOver(frame.buckets, entries, getGratitudePct, includes);
 
   return {
-    labels,
-    // fullLabels contains the original ISO-style date keys (YYYY-MM-DD) for tooltips
-    fullLabels: lastDates,
+    labels: frame.labels,
+    fullLabels: frame.fullLabels,
+    unit: frame.unit,
     // Provide clearer legend labels in the same order as datasets so the legend UI is unambiguous
-    legend: ['% Days with Complaint', '% Gratitude Items Filled'],
+    legend: [t('charts.legend.complaintDays'), t('charts.legend.gratitudeFilled')],
     datasets: [
       { data: complaintData, strokeWidth: 2, color: () => `rgba(220, 38, 38, 1)` }, // Red = Complaints
       // Gratitude line: set to green
@@ -91,22 +78,176 @@ function getGratitudeAndComplaintData(entries, n = 7) {
   };
 }
 
-const chartConfig = {
-  // Light, airy gradient to sit on the card background
-  backgroundColor: '#ffffff',
-  backgroundGradientFrom: '#f8fafc',
-  backgroundGradientTo: '#ffffff',
-  decimalPlaces: 0,
-  // Default line & label color (opacity-aware)
-  color: (opacity = 1) => `rgba(33, 37, 41, ${opacity})`,
-  // Keep the chart visually subtle: softer grid lines
-  style: { borderRadius: 16 },
-  propsForBackgroundLines: { stroke: '#e9eef6', strokeWidth: 0.8 },
-  // Hide default dots (radius 0) so our custom ring markers are the only visible points
-  propsForDots: { r: '0' },
+const RATING_COLORS = {
+  mood: (opacity = 1) => `rgba(234, 88, 12, ${opacity})`,
+  energy: (opacity = 1) => `rgba(8, 145, 178, ${opacity})`,
 };
 
-function CollapsibleChart({ title, expanded, onToggle, data, enableFillUnderLine = false, fillColor }) {
+// Mood and energy: average rating of the rated days in each bucket (null where none was given)
+function getRatingData(entries, range) {
+  const frame = getChartFrame(range);
+  return {
+    labels: frame.labels,
+    fullLabels: frame.fullLabels,
+    unit: frame.unit,
+    legend: Object.keys(RATING_KINDS).map(kind => t(RATING_KINDS[kind])),
+    datasets: Object.keys(RATING_KINDS).map(kind => ({
+      data: averageRatingOver(frame.buckets, entries, kind),
+      strokeWidth: 2,
+      color: RATING_COLORS[kind],
+    })),
+    dates: frame.buckets.flatMap(b => b.dates),
+  };
+}
+
+// For gratitude and each category: how mood and energy compare on days with it and
+// days without it. Comparisons with too few rated days on either side are left out.
+function getRatingComparisons(entries, dates, categories) {
+  const conditions = [
+    { key: 'gratitude', label: t('ratings.insights.gratitude'), test: entry => isSectionFilled(entry, 'morning') },
+    ...categories.filter(c => !c.archived).map(localizeCategory).map(c => ({
+      key: c.id,
+      label: t('ratings.insights.caught', { label: c.label }),
+      test: entry => isCaught(entry, c.id),
+    })),
+  ];
+  return conditions
+    .map(({ key, label, test }) => ({
+      key,
+      label,
+      results: Object.keys(RATING_KINDS)
+        .map(kind => ({ kind, ...compareRatings(entries, dates, kind, test) }))
+        .filter(r => r.enough),
+    }))
+    .filter(c => c.results.length > 0);
+}
+
+// Opacity-aware chart color from a category's '#rrggbb' color
+function categoryColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  const [r, g, b] = [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  return (opacity = 1) => `rgba(${r}, ${g}, ${b}, ${opacity})`;
+}
+
+// Categories to chart: every active one, plus removed or unknown (e.g. imported) ones
+// that were still caught in the range. Returns [{ category, total }] where total is
+// the number of days it was caught.
+function getChartCategories(frame, entries, categories) {
+  const all = categories.map(localizeCategory);
+  frame.buckets.forEach(({ dates }) => dates.forEach(date => {
+    Object.keys(entries[date]?.midday?.caught ?? {}).forEach(id => {
+      if (!all.some(c => c.id === id)) all.push({ ...getCategory(categories, id), archived: true });
+    });
+  }));
+  return all
+    .map(category => ({
+      category,
+      total: sumOver(frame.buckets, entries, entry => (isCaught(entry, category.id) ? 1 : 0)).reduce((sum, v) => sum + v, 0),
+    }))
+    .filter(({ category, total }) => !category.archived || total > 0);
+}
+
+// Awareness (trend): one series per category — % of days in each bucket on which it was caught
+function getAwarenessTrendData(entries, range, categories, includes) {
+  const frame = getChartFrame(range);
+  const shown = getChartCategories(frame, entries, categories);
+  return {
+    labels: frame.labels,
+    fullLabels: frame.fullLabels,
+    unit: frame.unit,
+    legend: shown.map(({ category }) => category.label),
+    datasets: shown.map(({ category }) => ({
+      data: averageOver(frame.buckets, entries, entry => (isCaught(entry, category.id) ? 100 : 0), includes),
+      strokeWidth: 2,
+      color: categoryColor(category.color),
+    })),
+    totals: shown.map(({ total }) => total),
+  };
+}
+
+// Awareness (counts): number of days each category was caught per bucket, for a stacked bar chart
+function getAwarenessCountData(entries, range, categories) {
+  const frame = getChartFrame(range);
+  const shown = getChartCategories(frame, entries, categories);
+  return {
+    labels: frame.labels,
+    fullLabels: frame.fullLabels,
+    unit: frame.unit,
+    legend: shown.map(({ category }) => category.label),
+    datasets: shown.map(({ category }) => ({
+      data: sumOver(frame.buckets, entries, entry => (isCaught(entry, category.id) ? 1 : 0)),
+      color: categoryColor(category.color),
+    })),
+    totals: shown.map(({ total }) => total),
+  };
+}
+
+// Occurrences (counts): times each category was caught per bucket (a ticked day counts once)
+function getOccurrenceCountData(entries, range, categories) {
+  const frame = getChartFrame(range);
+  const shown = getChartCategories(frame, entries, categories);
+  return {
+    labels: frame.labels,
+    fullLabels: frame.fullLabels,
+    unit: frame.unit,
+    legend: shown.map(({ category }) => category.label),
+    datasets: shown.map(({ category }) => ({
+      data: sumOver(frame.buckets, entries, entry => countOccurrences(entry, category.id)),
+      color: categoryColor(category.color),
+    })),
+  };
+}
+
+// Occurrences (time of day): logged occurrences in the range per 3-hour slot
+function getTimeOfDayData(entries, range, categories) {
+  const frame = getChartFrame(range);
+  const shown = getChartCategories(frame, entries, categories);
+  const counts = shown.map(() => TIME_SLOTS.map(() => 0));
+  frame.buckets.forEach(({ dates }) => dates.forEach(date => {
+    getOccurrences(entries[date]).forEach(o => {
+      const idx = shown.findIndex(({ category }) => category.id === o.category);
+      if (idx >= 0) counts[idx][timeSlotOf(o)] += 1;
+    });
+  }));
+  return {
+    labels: TIME_SLOTS.map(formatHour),
+    fullLabels: TIME_SLOTS.map(formatHour),
+    legend: shown.map(({ category }) => category.label),
+    datasets: shown.map(({ category }, idx) => ({ data: counts[idx], color: categoryColor(category.color) })),
+    logged: counts.reduce((sum, row) => sum + row.reduce((a, b) => a + b, 0), 0),
+  };
+}
+
+// Categories ordered by how many days they were caught, most frequent first
+function rankCategories(data) {
+  return data.legend
+    .map((label, idx) => ({ label, total: data.totals[idx] }))
+    .sort((a, b) => b.total - a.total);
+}
+
+// Chart colors for the active theme
+function getChartConfig(colors) {
+  return {
+    // Light, airy gradient to sit on the card background
+    backgroundColor: colors.card,
+    backgroundGradientFrom: colors.surface,
+    backgroundGradientTo: colors.card,
+    decimalPlaces: 0,
+    // Default line & label color (opacity-aware)
+    color: (opacity = 1) => `rgba(${colors.chartLabel}, ${opacity})`,
+    // Keep the chart visually subtle: softer grid lines
+    style: { borderRadius: 16 },
+    propsForBackgroundLines: { stroke: colors.divider, strokeWidth: 0.8 },
+    // Hide default dots (radius 0) so our custom ring markers are the only visible points
+    propsForDots: { r: '0' },
+  };
+}
+
+function CollapsibleChart({ title, expanded, onToggle, data, enableFillUnderLine = false, fillColor, chartType = 'line', controls = null, footer = null, yAxisSuffix = '%', decimalPlaces = 0 }) {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const chartConfig = useMemo(() => getChartConfig(colors), [colors]);
   // Track which datasets are visible (for legend toggling). Initialize to all true.
   const [visible, setVisible] = React.useState(() => (data && Array.isArray(data.datasets) ? data.datasets.map(() => true) : []));
 
@@ -151,11 +292,14 @@ function CollapsibleChart({ title, expanded, onToggle, data, enableFillUnderLine
       if (!visible[dsIdx]) return; // skip hidden series
       const v = Array.isArray(ds.data) ? ds.data[index] : undefined;
       if (v === indexData) {
-        const color = (typeof ds.color === 'function') ? ds.color(1) : (typeof chartConfig.color === 'function' ? chartConfig.color(1) : '#333');
+        const color = (typeof ds.color === 'function') ? ds.color(1) : (typeof chartConfig.color === 'function' ? chartConfig.color(1) : colors.text);
         rings.push({ color });
       }
     });
 
+    // A series without a value here is only drawn at 0 to keep its line going: no dot
+    if (rings.length === 0 && datasets.some((ds, dsIdx) => visible[dsIdx] && ds.data[index] === null)) return null;
+
     // If no matching visible dataset found (edge cases), draw a default ring
     if (rings.length === 0) {
       rings.push({ color: chartConfig.color(1) });
@@ -174,7 +318,7 @@ function CollapsibleChart({ title, expanded, onToggle, data, enableFillUnderLine
             cx={x}
             cy={y}
             r={5 + i * 3}
-            fill={chartConfig.backgroundColor || '#fff'}
+            fill={chartConfig.backgroundColor}
             stroke={r.color}
             strokeWidth={2}
             onPress={() => {
@@ -191,8 +335,9 @@ function CollapsibleChart({ title, expanded, onToggle, data, enableFillUnderLine
     <View style={styles.section}>
       <TouchableOpacity style={styles.headerRow} onPress={onToggle}>
         <Text style={styles.sectionTitle}>{title}</Text>
-        <Ionicons name={expanded ? 'chevron-up' : 'chevron-down'} size={20} color="#333" />
+        <Ionicons name={expanded ? 'chevron-up' : 'chevron-down'} size={20} color={colors.text} />
       </TouchableOpacity>
+      {expanded && controls}
       {expanded && (() => {
         // Prevent react-native-chart-kit from rendering its built-in legend.
         // The library renders a legend automatically when `data.legend` exists.
@@ -202,16 +347,44 @@ function CollapsibleChart({ title, expanded, onToggle, data, enableFillUnderLine
           delete chartData.legend;
         }
         chartData.datasets = (data && Array.isArray(data.datasets)) ? data.datasets.map((ds, idx) => (visible[idx] ? ds : null)).filter(Boolean) : [];
+        // Points with no value (null, e.g. a bucket without any tagged day) can't be left
+        // out of a chart-kit line, so they're drawn at 0 with their dots hidden
+        const emptyPoints = chartData.labels
+          ? chartData.labels.map((_, i) => i).filter(i => chartData.datasets.every(ds => ds.data[i] === null))
+          : [];
+        chartData.datasets = chartData.datasets.map(ds => ({ ...ds, data: ds.data.map(v => (v === null ? 0 : v)) }));
 
         // If no datasets are visible, don't render the chart; show a placeholder message instead.
         if (!chartData.datasets || chartData.datasets.length === 0) {
           return (
             <View style={{ padding: 20, alignItems: 'center' }}>
-              <Text style={{ color: '#666' }}>No series selected — tap a legend item to show it.</Text>
+              <Text style={{ color: colors.muted }}>{t('charts.noSeries')}</Text>
             </View>
           );
         }
 
+        if (chartType === 'stackedBar') {
+          // StackedBarChart takes one row of values per label plus a color per series
+          const visibleIdx = data.datasets.map((ds, i) => i).filter(i => visible[i]);
+          const stackedData = {
+            labels: data.labels,
+            legend: [],
+            data: data.labels.map((_, li) => visibleIdx.map(i => data.datasets[i].data[li] || 0)),
+            barColors: visibleIdx.map(i => data.datasets[i].color(1)),
+          };
+          return (
+            <StackedBarChart
+              data={stackedData}
+              width={chartWidth}
+              height={240}
+              chartConfig={chartConfig}
+              style={{ marginVertical: 8, borderRadius: 16 }}
+              hideLegend={true}
+              segments={4}
+            />
+          );
+        }
+
         // Determine fill gradient color: use passed fillColor or the first visible dataset color
         let activeFillColor = fillColor;
         if (!activeFillColor && Array.isArray(data.datasets)) {
@@ -224,7 +397,8 @@ function CollapsibleChart({ title, expanded, onToggle, data, enableFillUnderLine
 
         const localChartConfig = {
           ...chartConfig,
-          fillShadowGradient: enableFillUnderLine && activeFillColor ? activeFillColor : '#ffffff',
+          decimalPlaces,
+          fillShadowGradient: enableFillUnderLine && activeFillColor ? activeFillColor : colors.card,
           fillShadowGradientOpacity: enableFillUnderLine ? 0.12 : 0,
         };
 
@@ -252,7 +426,7 @@ function CollapsibleChart({ title, expanded, onToggle, data, enableFillUnderLine
               chartConfig={localChartConfig}
               style={{ marginVertical: 8, borderRadius: 16 }}
               fromZero={true}
-              yAxisSuffix="%"
+              yAxisSuffix={yAxisSuffix}
               yAxisInterval={20}
               segments={5}
               yLabelsOffset={8}
@@ -261,6 +435,7 @@ function CollapsibleChart({ title, expanded, onToggle, data, enableFillUnderLine
               yAxisMin={0}
               yAxisMax={100}
               withShadow={false}
+              hidePointsAtIndex={emptyPoints}
               renderDotContent={renderDotContent}
             />
 
@@ -296,9 +471,9 @@ function CollapsibleChart({ title, expanded, onToggle, data, enableFillUnderLine
 
                 return (
                   <Animated.View style={animatedStyle} pointerEvents="box-none">
-                    <View style={{ flex: 1, backgroundColor: 'rgba(33,37,41,0.95)', borderRadius: 8, padding: 8, alignItems: 'center', justifyContent: 'center' }}>
-                      <Text style={{ color: '#fff', fontSize: 12, fontWeight: '600' }}>{tooltip.label}</Text>
-                      <Text style={{ color: '#fff', fontSize: 14, fontWeight: '700' }}>{`${tooltip.value}%`}</Text>
+                    <View style={{ flex: 1, backgroundColor: colors.toast, borderRadius: 8, padding: 8, alignItems: 'center', justifyContent: 'center' }}>
+                      <Text style={{ color: colors.onToast, fontSize: 12, fontWeight: '600' }}>{tooltip.label}</Text>
+                      <Text style={{ color: colors.onToast, fontSize: 14, fontWeight: '700' }}>{`${tooltip.value}${yAxisSuffix}`}</Text>
                     </View>
                   </Animated.View>
                 );
@@ -312,7 +487,7 @@ function CollapsibleChart({ title, expanded, onToggle, data, enableFillUnderLine
          <View style={{ flexDirection: 'row', justifyContent: 'flex-start', marginTop: 8, flexWrap: 'wrap' }}>
            {data.legend.map((label, idx) => {
              const ds = data.datasets[idx] || {};
-             const color = (typeof ds.color === 'function') ? ds.color(1) : (typeof chartConfig.color === 'function' ? chartConfig.color(1) : '#333');
+             const color = (typeof ds.color === 'function') ? ds.color(1) : (typeof chartConfig.color === 'function' ? chartConfig.color(1) : colors.text);
              const isVisible = !!visible[idx];
              return (
                <TouchableOpacity
@@ -329,70 +504,327 @@ function CollapsibleChart({ title, expanded, onToggle, data, enableFillUnderLine
                  style={{ flexDirection: 'row', alignItems: 'center', marginRight: 16, opacity: isVisible ? 1 : 0.45 }}
                >
                  <View style={{ width: 12, height: 12, borderRadius: 6, backgroundColor: color, marginRight: 6 }} />
-                 <Text style={{ color: isVisible ? '#333' : '#999' }}>{label}</Text>
+                 <Text style={{ color: isVisible ? colors.text : colors.muted }}>{label}</Text>
                </TouchableOpacity>
              );
            })}
          </View>
        )}
+      {expanded && footer}
      </View>
    );
 }
 
-export default function PerformanceTab({ entries = {} }) {
+const AWARENESS_VIEWS = { stacked: 'charts.views.stacked', trend: 'charts.views.trend' };
+
+// Bucket unit -> translation key of the note added to chart titles
+const UNIT_SUFFIX = { week: 'charts.weekly', month: 'charts.monthly' };
+
+function chartTitle(base, range, unit) {
+  const period = describeRange(range, getTodayKey());
+  return t('charts.title', { title: base, period: UNIT_SUFFIX[unit] ? `${period} · ${t(UNIT_SUFFIX[unit])}` : period });
+}
+
+function AwarenessChart({ entries, categories, includes, expanded, onToggle }) {
+  const styles = useThemedStyles(createStyles);
+  const { language, t } = useI18n();
+  const [view, setView] = useState('stacked');
+  const [range, setRange] = useState(DEFAULT_RANGE);
+  const data = useMemo(
+    () => (view === 'stacked' ? getAwarenessCountData(entries, range, categories) : getAwarenessTrendData(entries, range, categories, includes)),
+    [entries, view, range, categories, includes, language]
+  );
+  const ranking = rankCategories(data);
+  const weakest = ranking[0] && ranking[0].total > 0 ? ranking[0] : null;
+
+  return (
+    <CollapsibleChart
+      title={chartTitle(t('charts.awareness'), range, data.unit)}
+      expanded={expanded}
+      onToggle={onToggle}
+      data={data}
+      chartType={view === 'stacked' ? 'stackedBar' : 'line'}
+      controls={(
+        <View>
+          <RangeSelector value={range} onChange={setRange} />
+          <View style={styles.modeRow}>
+            {Object.keys(AWARENESS_VIEWS).map(key => (
+              <TouchableOpacity
+                key={key}
+                style={[styles.modeChip, view === key && styles.modeChipOn]}
+                onPress={() => setView(key)}
+              >
+                <Text style={[styles.modeChipText, view === key && styles.modeChipTextOn]}>{t(AWARENESS_VIEWS[key])}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      )}
+      footer={(
+        <Text style={styles.insight}>
+          {weakest
+            ? `${t('charts.caughtMost', { label: weakest.label, count: weakest.total })} ${ranking.slice(1).map(r => `${r.label}: ${r.total}`).join(' · ')}`
+            : t('charts.nothingCaught')}
+        </Text>
+      )}
+    />
+  );
+}
+
+const OCCURRENCE_VIEWS = { perDay: 'charts.views.perDay', timeOfDay: 'charts.views.timeOfDay' };
+
+function OccurrenceChart({ entries, categories, expanded, onToggle }) {
+  const styles = useThemedStyles(createStyles);
+  const { language, t } = useI18n();
+  const [view, setView] = useState('perDay');
+  const [range, setRange] = useState(DEFAULT_RANGE);
+  const data = useMemo(
+    () => (view === 'perDay' ? getOccurrenceCountData(entries, range, categories) : getTimeOfDayData(entries, range, categories)),
+    [entries, view, range, categories, language]
+  );
+
+  return (
+    <CollapsibleChart
+      title={view === 'perDay'
+        ? chartTitle(t('charts.occurrences'), range, data.unit)
+        : t('charts.title', { title: t('charts.timeOfDay'), period: describeRange(range, getTodayKey()) })}
+      expanded={expanded}
+      onToggle={onToggle}
+      data={data}
+      chartType="stackedBar"
+      controls={(
+        <View>
+          <RangeSelector value={range} onChange={setRange} />
+          <View style={styles.modeRow}>
+            {Object.keys(OCCURRENCE_VIEWS).map(key => (
+              <TouchableOpacity
+                key={key}
+                style={[styles.modeChip, view === key && styles.modeChipOn]}
+                onPress={() => setView(key)}
+              >
+                <Text style={[styles.modeChipText, view === key && styles.modeChipTextOn]}>{t(OCCURRENCE_VIEWS[key])}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      )}
+      footer={view === 'timeOfDay' && data.logged === 0 ? (
+        <Text style={styles.insight}>{t('charts.noTimestamps', { mode: t(AWARENESS_MODES.tally) })}</Text>
+      ) : null}
+    />
+  );
+}
+
+function RatingChart({ entries, categories, expanded, onToggle }) {
+  const styles = useThemedStyles(createStyles);
+  const { language, t } = useI18n();
+  const [range, setRange] = useState(DEFAULT_RANGE);
+  const data = useMemo(() => getRatingData(entries, range), [entries, range, language]);
+  const comparisons = useMemo(
+    () => getRatingComparisons(entries, data.dates, categories),
+    [entries, data, categories, language]
+  );
+
+  return (
+    <CollapsibleChart
+      title={chartTitle(t('charts.ratings'), range, data.unit)}
+      expanded={expanded}
+      onToggle={onToggle}
+      data={data}
+      yAxisSuffix=""
+      decimalPlaces={1}
+      controls={<RangeSelector value={range} onChange={setRange} />}
+      footer={(
+        <View>
+          {comparisons.length === 0 && (
+            <Text style={styles.insight}>{t('ratings.insights.notEnough', { count: MIN_COMPARISON_DAYS })}</Text>
+          )}
+          {comparisons.map(({ key, label, results }) => (
+            <View key={key} style={styles.comparison}>
+              <Text style={styles.comparisonLabel}>{label}</Text>
+              {results.map(r => (
+                <Text key={r.kind} style={styles.comparisonText}>
+                  {t('ratings.insights.compare', {
+                    kind: t(RATING_KINDS[r.kind]),
+                    with: formatRating(r.with.average),
+                    without: formatRating(r.without.average),
+                  })}
+                </Text>
+              ))}
+            </View>
+          ))}
+          {comparisons.length > 0 && <Text style={styles.insight}>{t('ratings.insights.note')}</Text>}
+        </View>
+      )}
+    />
+  );
+}
+
+function StreakSummary({ entries, mode, onChangeMode }) {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const { current, longest } = useMemo(() => computeStreaks(entries, mode, getTodayKey()), [entries, mode]);
+  return (
+    <View style={styles.streakWrap}>
+      <View style={styles.cardRow}>
+        <View style={styles.card}>
+          <Ionicons name="flame" size={22} color={colors.streak} />
+          <Text style={styles.cardValue}>{current}</Text>
+          <Text style={styles.cardLabel}>{t('streaks.current')}</Text>
+        </View>
+        <View style={styles.card}>
+          <Ionicons name="trophy" size={22} color={colors.trophy} />
+          <Text style={styles.cardValue}>{longest}</Text>
+          <Text style={styles.cardLabel}>{t('streaks.longest')}</Text>
+        </View>
+      </View>
+      <View style={styles.modeRow}>
+        <Text style={styles.modeLabel}>{t('streaks.countsAs')}</Text>
+        {Object.keys(STREAK_MODES).map((key) => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.modeChip, mode === key && styles.modeChipOn]}
+            onPress={() => onChangeMode(key)}
+          >
+            <Text style={[styles.modeChipText, mode === key && styles.modeChipTextOn]}>{t(STREAK_MODES[key])}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+// Shortcuts to the review of the current week and month
+function ReviewLinks({ onOpen }) {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  return (
+    <View style={styles.reviewRow}>
+      {['week', 'month'].map((kind) => (
+        <TouchableOpacity key={kind} style={styles.reviewButton} onPress={() => onOpen(periodOf(kind, getTodayKey()))}>
+          <Ionicons name="reader-outline" size={18} color={colors.primary} />
+          <Text style={styles.reviewText}>{t(kind === 'week' ? 'review.thisWeek' : 'review.thisMonth')}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+export default function PerformanceTab({ entries = {}, settings, onChangeSettings, onOpenDay }) {
+  const styles = useThemedStyles(createStyles);
+  const { language, t } = useI18n();
   const [expanded, setExpanded] = useState({
     consistency: true,
     frequency: false,
     awareness: false,
+    occurrences: false,
+    ratings: false,
   });
-
-  const consistencyData = getConsistencyData(entries);
+  // Each chart keeps its own time range
+  const [ranges, setRanges] = useState({ consistency: DEFAULT_RANGE, frequency: DEFAULT_RANGE });
+  const setRange = (chart) => (range) => setRanges(r => ({ ...r, [chart]: range }));
+  // Period the review screen is open on, or null while it's closed
+  const [reviewPeriod, setReviewPeriod] = useState(null);
+  // Charts can be narrowed down to the days with a tag; streaks and reviews always
+  // cover the whole journal
+  const [tagFilter, setTagFilter] = useState(null);
+  const tags = useMemo(() => collectTags(entries), [entries]);
+  const activeTag = tags.includes(tagFilter) ? tagFilter : null;
+  const chartEntries = useMemo(() => filterByTag(entries, activeTag), [entries, activeTag]);
+  // While filtering, "% of days" charts are taken over the tagged days only
+  const chartDays = useMemo(() => (activeTag ? date => !!chartEntries[date] : undefined), [chartEntries, activeTag]);
+
+  const consistencyData = useMemo(() => getConsistencyData(chartEntries, ranges.consistency, chartDays), [chartEntries, chartDays, ranges.consistency, language]);
 
   // Compute the combined dataset: Complaints (midday) and Gratitude (morning)
-  const combinedData = getGratitudeAndComplaintData(entries, 7);
+  const combinedData = useMemo(() => getGratitudeAndComplaintData(chartEntries, ranges.frequency, chartDays), [chartEntries, chartDays, ranges.frequency, language]);
 
   return (
-    <View style={styles.container}>
-      <Text style={styles.title}>User Performance</Text>
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.title}>{t('charts.pageTitle')}</Text>
+      <StreakSummary
+        entries={entries}
+        mode={settings.streakMode}
+        onChangeMode={(streakMode) => onChangeSettings({ ...settings, streakMode })}
+      />
+      <ReviewLinks onOpen={setReviewPeriod} />
+      <View style={styles.filterWrap}>
+        <TagFilter tags={tags} value={activeTag} onChange={setTagFilter} />
+        {activeTag && <Text style={styles.filterNote}>{t('tags.chartsFiltered', { tag: activeTag })}</Text>}
+      </View>
       <CollapsibleChart
-        title="Entry Completion (Last 7 days)"
+        title={chartTitle(t('charts.completion'), ranges.consistency, consistencyData.unit)}
         expanded={expanded.consistency}
         onToggle={() => setExpanded(e => ({ ...e, consistency: !e.consistency }))}
         data={consistencyData}
+        controls={<RangeSelector value={ranges.consistency} onChange={setRange('consistency')} />}
         enableFillUnderLine={true}
         fillColor="rgba(10, 132, 255, 0.2)"
       />
       <CollapsibleChart
-        title="Gratitude vs Complaints (Last 7 days)"
+        title={chartTitle(t('charts.gratitudeVsComplaints'), ranges.frequency, combinedData.unit)}
         expanded={expanded.frequency}
         onToggle={() => setExpanded(e => ({ ...e, frequency: !e.frequency }))}
         data={combinedData}
+        controls={<RangeSelector value={ranges.frequency} onChange={setRange('frequency')} />}
       />
-    </View>
+      <AwarenessChart
+        entries={chartEntries}
+        categories={settings.journal.categories}
+        includes={chartDays}
+        expanded={expanded.awareness}
+        onToggle={() => setExpanded(e => ({ ...e, awareness: !e.awareness }))}
+      />
+      <OccurrenceChart
+        entries={chartEntries}
+        categories={settings.journal.categories}
+        expanded={expanded.occurrences}
+        onToggle={() => setExpanded(e => ({ ...e, occurrences: !e.occurrences }))}
+      />
+      <RatingChart
+        entries={chartEntries}
+        categories={settings.journal.categories}
+        expanded={expanded.ratings}
+        onToggle={() => setExpanded(e => ({ ...e, ratings: !e.ratings }))}
+      />
+      <ReviewModal
+        visible={!!reviewPeriod}
+        initialPeriod={reviewPeriod}
+        entries={entries}
+        nightPrompts={settings.journal.nightPrompts}
+        categories={settings.journal.categories}
+        onOpenDay={onOpenDay}
+        onClose={() => setReviewPeriod(null)}
+      />
+    </ScrollView>
   );
 }
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
-    flex: 1,
+    flexGrow: 1,
     alignItems: 'center',
     justifyContent: 'flex-start',
-    backgroundColor: '#fff',
+    backgroundColor: colors.background,
     paddingTop: 16,
+    paddingBottom: 24,
   },
   title: {
     fontSize: 22,
     fontWeight: 'bold',
     marginBottom: 16,
+    color: colors.text,
   },
   section: {
     width: '100%',
     maxWidth: 600,
-    backgroundColor: '#f7f7f8',
+    backgroundColor: colors.surface,
     borderRadius: 12,
     marginBottom: 16,
     padding: 12,
-    shadowColor: '#000',
+    shadowColor: colors.shadow,
     shadowOpacity: 0.05,
     shadowRadius: 4,
     shadowOffset: { width: 0, height: 2 },
@@ -407,5 +839,110 @@ const styles = StyleSheet.create({
   sectionTitle: {
     fontSize: 18,
     fontWeight: '600',
+    color: colors.text,
+  },
+  insight: {
+    color: colors.textSecondary,
+    marginTop: 8,
+  },
+  comparison: {
+    marginTop: 8,
+  },
+  comparisonLabel: {
+    color: colors.text,
+    fontWeight: '600',
+  },
+  comparisonText: {
+    color: colors.textSecondary,
+  },
+  filterWrap: {
+    width: '100%',
+    maxWidth: 600,
+    paddingHorizontal: 4,
+    marginBottom: 8,
+  },
+  filterNote: {
+    color: colors.muted,
+    fontSize: 12,
+  },
+  streakWrap: {
+    width: '100%',
+    maxWidth: 600,
+    marginBottom: 16,
+  },
+  cardRow: {
+    flexDirection: 'row',
+  },
+  card: {
+    flex: 1,
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    paddingVertical: 14,
+    marginHorizontal: 4,
+  },
+  cardValue: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 4,
+  },
+  cardLabel: {
+    color: colors.muted,
+  },
+  reviewRow: {
+    flexDirection: 'row',
+    width: '100%',
+    maxWidth: 600,
+    marginBottom: 16,
+  },
+  reviewButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.primarySoft,
+    borderColor: colors.primary,
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingVertical: 10,
+    marginHorizontal: 4,
+  },
+  reviewText: {
+    color: colors.primary,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  modeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginTop: 10,
+    paddingHorizontal: 4,
+  },
+  modeLabel: {
+    color: colors.muted,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  modeChip: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 16,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  modeChipOn: {
+    backgroundColor: colors.primarySoft,
+    borderColor: colors.primary,
+  },
+  modeChipText: {
+    color: colors.text,
+  },
+  modeChipTextOn: {
+    color: colors.primary,
+    fontWeight: '600',
   },
 });
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, Modal, StyleSheet } from 'react-native';
+import { Calendar } from 'react-native-calendars';
+import { RANGE_PRESETS, listDays } from '../utils/chartRange';
+import { getTodayKey, formatShortDate } from '../utils/dates';
+import { calendarTheme } from '../utils/theme';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+// Calendar markings for a (possibly half-chosen) custom period
+function periodMarks(start, end, colors) {
+  if (!start) return {};
+  if (!end) return { [start]: { startingDay: true, endingDay: true, color: colors.primary, textColor: colors.onPrimary } };
+  const marks = {};
+  listDays(start, end).forEach((date) => {
+    marks[date] = { color: colors.selection, textColor: colors.text };
+  });
+  marks[start] = { startingDay: true, color: colors.primary, textColor: colors.onPrimary };
+  marks[end] = { ...marks[end], endingDay: true, color: colors.primary, textColor: colors.onPrimary };
+  return marks;
+}
+
+// Preset chips plus a "Custom" option that picks a start and end day on a calendar.
+// `value` is { preset } or { preset: 'custom', start, end }.
+export default function RangeSelector({ value, onChange }) {
+  const { scheme, colors } = useTheme();
+  const { language, firstDay, t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const [picking, setPicking] = useState(false);
+  const [draft, setDraft] = useState({ start: null, end: null });
+  const todayKey = getTodayKey();
+
+  const handleDayPress = ({ dateString }) => {
+    if (!draft.start || draft.end) {
+      setDraft({ start: dateString, end: null });
+      return;
+    }
+    const [start, end] = dateString < draft.start ? [dateString, draft.start] : [draft.start, dateString];
+    setDraft({ start, end });
+  };
+
+  return (
+    <View style={styles.row}>
+      {Object.keys(RANGE_PRESETS).map((key) => {
+        const on = value.preset === key;
+        return (
+          <TouchableOpacity
+            key={key}
+            style={[styles.chip, on && styles.chipOn]}
+            onPress={() => {
+              if (key === 'custom') {
+                setDraft({ start: value.start || null, end: value.end || null });
+                setPicking(true);
+              } else {
+                onChange({ preset: key });
+              }
+            }}
+          >
+            <Text style={[styles.chipText, on && styles.chipTextOn]}>
+              {key === 'custom' && on ? `${formatShortDate(value.start)} – ${formatShortDate(value.end)}` : t(RANGE_PRESETS[key].labelKey)}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+      <Modal visible={picking} transparent animationType="fade" onRequestClose={() => setPicking(false)}>
+        <View style={styles.backdrop}>
+          <View style={styles.card}>
+            <Text style={styles.hint}>{draft.start && !draft.end ? t('charts.pickLastDay') : t('charts.pickFirstDay')}</Text>
+            <Calendar
+              key={`${scheme}-${language}`}
+              theme={calendarTheme(colors)}
+              markingType="period"
+              markedDates={periodMarks(draft.start, draft.end, colors)}
+              onDayPress={handleDayPress}
+              maxDate={todayKey}
+              initialDate={draft.start || todayKey}
+              firstDay={firstDay}
+            />
+            <View style={styles.actions}>
+              <TouchableOpacity onPress={() => setPicking(false)} style={styles.action}>
+                <Text style={styles.actionText}>{t('common.cancel')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                disabled={!draft.start || !draft.end}
+                onPress={() => {
+                  onChange({ preset: 'custom', start: draft.start, end: draft.end });
+                  setPicking(false);
+                }}
+                style={[styles.action, (!draft.start || !draft.end) && styles.disabled]}
+              >
+                <Text style={[styles.actionText, styles.actionPrimary]}>{t('common.apply')}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 16,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  chipOn: {
+    backgroundColor: colors.primarySoft,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    color: colors.text,
+  },
+  chipTextOn: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.backdrop,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    padding: 16,
+    elevation: 4,
+  },
+  hint: {
+    textAlign: 'center',
+    color: colors.muted,
+    marginBottom: 8,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 12,
+  },
+  action: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  actionText: {
+    color: colors.primary,
+  },
+  actionPrimary: {
+    fontWeight: '700',
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+});
@@ -0,0 +1,89 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { RATING_KINDS, RATING_SCALE, getRating, setRating } from '../utils/ratings';
+import { useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+// Mood and energy scales for the Night section. Tapping a step rates the day; tapping
+// the chosen step again clears the rating. `onChange` receives the updated entry.
+export default function RatingScales({ entry, onChange }) {
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.container}>
+      {Object.keys(RATING_KINDS).map((kind) => {
+        const value = getRating(entry, kind);
+        return (
+          <View key={kind} style={styles.scale}>
+            <Text style={styles.label}>{t(RATING_KINDS[kind])}</Text>
+            <View style={styles.steps}>
+              {RATING_SCALE.map((step) => (
+                <TouchableOpacity
+                  key={step}
+                  style={[styles.step, value === step && styles.stepOn]}
+                  onPress={() => onChange(setRating(entry, kind, value === step ? null : step))}
+                  accessibilityLabel={t('ratings.rateAs', { label: t(RATING_KINDS[kind]), value: step, max: RATING_SCALE.length })}
+                  accessibilityState={{ selected: value === step }}
+                >
+                  <Text style={[styles.stepText, value === step && styles.stepTextOn]}>{step}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <View style={styles.ends}>
+              <Text style={styles.endText}>{t(`ratings.ends.${kind}.low`)}</Text>
+              <Text style={styles.endText}>{t(`ratings.ends.${kind}.high`)}</Text>
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    marginTop: 4,
+  },
+  scale: {
+    marginBottom: 10,
+  },
+  label: {
+    color: colors.text,
+    marginBottom: 6,
+  },
+  steps: {
+    flexDirection: 'row',
+  },
+  step: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    backgroundColor: colors.card,
+    marginRight: 6,
+  },
+  stepOn: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  stepText: {
+    color: colors.text,
+    fontWeight: '600',
+  },
+  stepTextOn: {
+    color: colors.onPrimary,
+  },
+  ends: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+    marginRight: 6,
+  },
+  endText: {
+    fontSize: 12,
+    color: colors.muted,
+  },
+});
@@ -0,0 +1,168 @@
+import React from 'react';
+import { View, Text, Switch, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { SECTIONS } from '../utils/entryStatus';
+import { formatTime, weekdayInitials } from '../utils/dates';
+import { remindersSupported, requestReminderPermission } from '../utils/reminders';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const MINUTE_STEP = 15;
+
+function formatReminderTime(hour, minute) {
+  return formatTime(new Date(2024, 0, 1, hour, minute));
+}
+
+// Move a time by `delta` minutes, wrapping around midnight
+function shiftTime(hour, minute, delta) {
+  const total = (((hour * 60 + minute + delta) % 1440) + 1440) % 1440;
+  return { hour: Math.floor(total / 60), minute: total % 60 };
+}
+
+function ReminderRow({ section, config, onChange }) {
+  const { colors } = useTheme();
+  const { firstDay, t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const update = (patch) => onChange({ ...config, ...patch });
+
+  const handleToggle = async (enabled) => {
+    if (enabled && !(await requestReminderPermission())) {
+      Alert.alert(t('reminders.deniedTitle'), t('reminders.deniedMessage'));
+      return;
+    }
+    update({ enabled });
+  };
+
+  const initials = weekdayInitials();
+  // Weekday numbers in calendar order, starting from the configured first day
+  const week = [...Array(7).keys()].map((i) => (firstDay + i) % 7);
+
+  const toggleDay = (day) => {
+    const days = config.days.includes(day) ? config.days.filter((d) => d !== day) : [...config.days, day].sort();
+    update({ days });
+  };
+
+  return (
+    <View style={styles.reminder}>
+      <View style={styles.headerRow}>
+        <Text style={styles.reminderTitle}>{t(`sections.${section}`)}</Text>
+        <Switch value={config.enabled} onValueChange={handleToggle} />
+      </View>
+      {config.enabled && (
+        <>
+          <View style={styles.timeRow}>
+            <TouchableOpacity style={styles.stepButton} onPress={() => update(shiftTime(config.hour, config.minute, -MINUTE_STEP))}>
+              <Ionicons name="remove" size={18} color={colors.primary} />
+            </TouchableOpacity>
+            <Text style={styles.time}>{formatReminderTime(config.hour, config.minute)}</Text>
+            <TouchableOpacity style={styles.stepButton} onPress={() => update(shiftTime(config.hour, config.minute, MINUTE_STEP))}>
+              <Ionicons name="add" size={18} color={colors.primary} />
+            </TouchableOpacity>
+          </View>
+          <View style={styles.dayRow}>
+            {week.map((day) => {
+              const on = config.days.includes(day);
+              return (
+                <TouchableOpacity key={day} style={[styles.day, on && styles.dayOn]} onPress={() => toggleDay(day)}>
+                  <Text style={[styles.dayText, on && styles.dayTextOn]}>{initials[day]}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </>
+      )}
+    </View>
+  );
+}
+
+// Per-section reminder settings: on/off, time of day and the weekdays it repeats on.
+export default function ReminderSettings({ reminders, onChange }) {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useI18n();
+  if (!remindersSupported()) {
+    return <Text style={styles.muted}>{t('reminders.unsupported')}</Text>;
+  }
+  return (
+    <View>
+      {SECTIONS.map((section) => (
+        <ReminderRow
+          key={section}
+          section={section}
+          config={reminders[section]}
+          onChange={(config) => onChange({ ...reminders, [section]: config })}
+        />
+      ))}
+      <Text style={styles.muted}>{t('reminders.skipNote')}</Text>
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  reminder: {
+    backgroundColor: colors.card,
+    borderColor: colors.border,
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 8,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  reminderTitle: {
+    flex: 1,
+    fontSize: 15,
+    color: colors.text,
+    marginRight: 8,
+  },
+  timeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  stepButton: {
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: 16,
+    padding: 4,
+  },
+  time: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginHorizontal: 12,
+    minWidth: 56,
+    textAlign: 'center',
+    color: colors.text,
+  },
+  dayRow: {
+    flexDirection: 'row',
+    marginTop: 10,
+  },
+  day: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 6,
+  },
+  dayOn: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  dayText: {
+    color: colors.text,
+  },
+  dayTextOn: {
+    color: colors.onPrimary,
+    fontWeight: '700',
+  },
+  muted: {
+    color: colors.muted,
+    marginTop: 8,
+  },
+});
@@ -0,0 +1,305 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { View, Text, TextInput, Modal, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getTodayKey, formatShortDate } from '../utils/dates';
+import { REVIEW_KINDS, periodOf, periodEnd, shiftPeriod, describePeriod, summarizePeriod, loadReview, saveReview } from '../utils/reviews';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+// How long typing in the review has to pause before it is saved
+const SAVE_DELAY_MS = 600;
+
+function StatCard({ value, label }) {
+  const styles = useThemedStyles(createStyles);
+  return (
+    <View style={styles.card}>
+      <Text style={styles.cardValue}>{value}</Text>
+      <Text style={styles.cardLabel}>{label}</Text>
+    </View>
+  );
+}
+
+// A week or month at a glance: how much was written, the 3C caught most often, every
+// "went well" and "handled better" answer, and a review of the period written here.
+// Tapping an answer opens its day.
+export default function ReviewModal({ visible, initialPeriod, entries, nightPrompts, categories, onOpenDay, onClose }) {
+  const { colors } = useTheme();
+  const { language, isRTL, t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const [period, setPeriod] = useState(initialPeriod || periodOf('week', getTodayKey()));
+  const [text, setText] = useState('');
+  const [loaded, setLoaded] = useState(false);
+  // Review text waiting for a pause in typing: { period, text }
+  const pendingSave = useRef(null);
+  const saveTimer = useRef(null);
+
+  const todayKey = getTodayKey();
+  const summary = useMemo(
+    () => summarizePeriod(entries, period, todayKey, nightPrompts, categories),
+    [entries, period, todayKey, nightPrompts, categories, language]
+  );
+  const hasNext = shiftPeriod(period, 1).start <= todayKey;
+
+  const flushSave = () => {
+    clearTimeout(saveTimer.current);
+    const pending = pendingSave.current;
+    pendingSave.current = null;
+    if (pending) saveReview(pending.period, pending.text).catch((e) => console.warn('Could not save review', e));
+  };
+
+  useEffect(() => {
+    if (visible && initialPeriod) setPeriod(initialPeriod);
+  }, [visible]);
+
+  // Load the period's review, and save what was typed before moving to another one
+  useEffect(() => {
+    if (!visible) return undefined;
+    let cancelled = false;
+    setLoaded(false);
+    loadReview(period).then((value) => {
+      if (cancelled) return;
+      setText(value);
+      setLoaded(true);
+    });
+    return () => {
+      cancelled = true;
+      flushSave();
+    };
+  }, [visible, period.kind, period.start]);
+
+  const changeText = (value) => {
+    setText(value);
+    pendingSave.current = { period, text: value };
+    clearTimeout(saveTimer.current);
+    saveTimer.current = setTimeout(flushSave, SAVE_DELAY_MS);
+  };
+
+  // Switching between week and month keeps today in view when it's in the current period
+  const changeKind = (kind) => {
+    if (kind === period.kind) return;
+    const inPeriod = period.start <= todayKey && todayKey <= periodEnd(period);
+    setPeriod(periodOf(kind, inPeriod ? todayKey : period.start));
+  };
+
+  const openDay = (date) => {
+    onClose();
+    onOpenDay(date);
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>{t('review.title')}</Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton} accessibilityLabel={t('common.close')}>
+            <Ionicons name="close" size={24} color={colors.text} />
+          </TouchableOpacity>
+        </View>
+        <View style={styles.kindRow}>
+          {Object.keys(REVIEW_KINDS).map((kind) => (
+            <TouchableOpacity
+              key={kind}
+              style={[styles.kindChip, period.kind === kind && styles.kindChipOn]}
+              onPress={() => changeKind(kind)}
+            >
+              <Text style={[styles.kindChipText, period.kind === kind && styles.kindChipTextOn]}>{t(REVIEW_KINDS[kind])}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <View style={styles.periodRow}>
+          <TouchableOpacity onPress={() => setPeriod(shiftPeriod(period, -1))} style={styles.arrow} accessibilityLabel={t('review.previous')}>
+            <Ionicons name={isRTL ? 'chevron-forward' : 'chevron-back'} size={22} color={colors.primary} />
+          </TouchableOpacity>
+          <Text style={styles.periodText}>{describePeriod(period)}</Text>
+          <TouchableOpacity
+            onPress={() => setPeriod(shiftPeriod(period, 1))}
+            style={[styles.arrow, !hasNext && styles.arrowIdle]}
+            disabled={!hasNext}
+            accessibilityLabel={t('review.next')}
+          >
+            <Ionicons name={isRTL ? 'chevron-back' : 'chevron-forward'} size={22} color={colors.primary} />
+          </TouchableOpacity>
+        </View>
+        <ScrollView style={styles.body} contentContainerStyle={styles.bodyContent} keyboardShouldPersistTaps="handled">
+          <View style={styles.cardRow}>
+            <StatCard value={`${summary.written}/${summary.days}`} label={t('review.daysWritten', { count: summary.days })} />
+            <StatCard value={`${summary.completion}%`} label={t('review.completion')} />
+          </View>
+
+          <Text style={styles.sectionTitle}>{t('review.mostCaught')}</Text>
+          {summary.caught.length === 0 && <Text style={styles.muted}>{t('review.nothingCaught')}</Text>}
+          {summary.caught.map(({ category, count }, i) => (
+            <View key={category.id} style={styles.caughtRow}>
+              <Ionicons name={category.icon} size={18} color={category.color} />
+              <Text style={[styles.caughtLabel, i === 0 && styles.caughtTop]}>{category.label}</Text>
+              <Text style={styles.caughtCount}>{t('review.times', { count })}</Text>
+            </View>
+          ))}
+
+          {summary.answers.map(({ id, label, items }) => (
+            <View key={id}>
+              <Text style={styles.sectionTitle}>{label}</Text>
+              {items.length === 0 && <Text style={styles.muted}>{t('review.noAnswers')}</Text>}
+              {items.map(({ date, text: answer }) => (
+                <TouchableOpacity key={date} style={styles.answer} onPress={() => openDay(date)}>
+                  <Text style={styles.answerDate}>{formatShortDate(date)}</Text>
+                  <Text style={styles.answerText}>{answer}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          ))}
+
+          <Text style={styles.sectionTitle}>{t(period.kind === 'month' ? 'review.monthReview' : 'review.weekReview')}</Text>
+          <TextInput
+            style={styles.input}
+            value={text}
+            onChangeText={changeText}
+            onBlur={flushSave}
+            editable={loaded}
+            multiline
+            placeholder={t('review.placeholder')}
+            placeholderTextColor={colors.placeholder}
+          />
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+    padding: 16,
+    paddingTop: 48,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  closeButton: {
+    padding: 4,
+  },
+  kindRow: {
+    flexDirection: 'row',
+    marginBottom: 8,
+  },
+  kindChip: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 16,
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    marginRight: 6,
+  },
+  kindChipOn: {
+    backgroundColor: colors.primarySoft,
+    borderColor: colors.primary,
+  },
+  kindChipText: {
+    color: colors.text,
+  },
+  kindChipTextOn: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  periodRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  arrow: {
+    padding: 6,
+  },
+  arrowIdle: {
+    opacity: 0.3,
+  },
+  periodText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  body: {
+    marginTop: 8,
+  },
+  bodyContent: {
+    paddingBottom: 32,
+  },
+  cardRow: {
+    flexDirection: 'row',
+  },
+  card: {
+    flex: 1,
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    paddingVertical: 12,
+    marginHorizontal: 4,
+  },
+  cardValue: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  cardLabel: {
+    color: colors.muted,
+    textAlign: 'center',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.primary,
+    marginTop: 20,
+    marginBottom: 6,
+  },
+  muted: {
+    color: colors.muted,
+  },
+  caughtRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  caughtLabel: {
+    flex: 1,
+    color: colors.text,
+    marginLeft: 8,
+  },
+  caughtTop: {
+    fontWeight: 'bold',
+  },
+  caughtCount: {
+    color: colors.muted,
+  },
+  answer: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  answerDate: {
+    width: 56,
+    color: colors.muted,
+  },
+  answerText: {
+    flex: 1,
+    color: colors.text,
+  },
+  input: {
+    minHeight: 120,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    backgroundColor: colors.card,
+    color: colors.text,
+    padding: 10,
+    textAlignVertical: 'top',
+  },
+});
@@ -0,0 +1,145 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { View, Text, TextInput, FlatList, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useIsFocused } from '@react-navigation/native';
+import { buildSearchIndex, searchJournal } from '../utils/search';
+import { formatDateString } from '../utils/dates';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+// Wait for a short pause in typing before searching
+const SEARCH_DELAY_MS = 150;
+
+function ResultItem({ item, onPress }) {
+  const styles = useThemedStyles(createStyles);
+  return (
+    <TouchableOpacity style={styles.result} onPress={onPress}>
+      <View style={styles.resultHeader}>
+        <Text style={styles.resultDate}>{formatDateString(item.date)}</Text>
+        <Text style={styles.resultLabel} numberOfLines={1}>{item.label}</Text>
+      </View>
+      <Text style={styles.snippet}>
+        {item.parts.map((part, i) => (
+          <Text key={i} style={part.match ? styles.match : null}>{part.text}</Text>
+        ))}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+export default function SearchTab({ entries = {}, nightPrompts, onOpenDay }) {
+  const { colors } = useTheme();
+  const { language, t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const [query, setQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  // The index is only built while this tab is shown: every tab stays mounted, and
+  // rebuilding it for each edit made on Home would cost a pass over the whole journal
+  // per keystroke. Result labels are translated, so it also follows the language.
+  const focused = useIsFocused();
+  const indexedEntries = focused ? entries : null;
+  const indexedPrompts = focused ? nightPrompts : null;
+  const index = useMemo(
+    () => (indexedEntries ? buildSearchIndex(indexedEntries, indexedPrompts) : []),
+    [indexedEntries, indexedPrompts, language]
+  );
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(query), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const { results, total } = useMemo(() => searchJournal(index, debouncedQuery), [index, debouncedQuery]);
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.searchBox}>
+        <Ionicons name="search" size={18} color={colors.faint} />
+        <TextInput
+          value={query}
+          onChangeText={setQuery}
+          placeholder={t('search.placeholder')}
+          style={styles.input}
+          placeholderTextColor={colors.placeholder}
+          autoCorrect={false}
+          returnKeyType="search"
+        />
+        {query ? (
+          <TouchableOpacity onPress={() => setQuery('')}>
+            <Ionicons name="close-circle" size={18} color={colors.faint} />
+          </TouchableOpacity>
+        ) : null}
+      </View>
+      {debouncedQuery.trim() ? (
+        <Text style={styles.count}>
+          {total === 0
+            ? t('search.noMatches')
+            : `${t('search.matches', { count: total })}${total > results.length ? ` ${t('search.showing', { count: results.length })}` : ''}`}
+        </Text>
+      ) : (
+        <Text style={styles.count}>{t('search.hint', { count: Object.keys(entries).length })}</Text>
+      )}
+      <FlatList
+        data={results}
+        keyExtractor={(item) => item.key}
+        keyboardShouldPersistTaps="handled"
+        renderItem={({ item }) => <ResultItem item={item} onPress={() => onOpenDay(item.date, item.section)} />}
+      />
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+    backgroundColor: colors.background,
+  },
+  searchBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderColor: colors.border,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+  },
+  input: {
+    flex: 1,
+    paddingVertical: 10,
+    paddingHorizontal: 8,
+    color: colors.text,
+  },
+  count: {
+    color: colors.muted,
+    marginVertical: 8,
+  },
+  result: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  resultHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  resultDate: {
+    fontWeight: '700',
+    color: colors.text,
+  },
+  resultLabel: {
+    flex: 1,
+    textAlign: 'right',
+    color: colors.faint,
+    fontSize: 12,
+    marginLeft: 12,
+  },
+  snippet: {
+    color: colors.text,
+  },
+  match: {
+    backgroundColor: colors.highlight,
+    fontWeight: '700',
+  },
+});
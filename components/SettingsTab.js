@@ -0,0 +1,321 @@
+import React, { useState } from 'react';
+import { View, Text, ScrollView, StyleSheet, TouchableOpacity, Alert, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { EXPORT_FORMATS, exportJournal } from '../utils/exportJournal';
+import { pickBackupFile, parseBackup, buildImportPlan } from '../utils/importJournal';
+import { THEME_MODES } from '../utils/theme';
+import { LANGUAGES } from '../utils/i18n';
+import { formatWeekday, formatHour } from '../utils/dates';
+import { TRASH_RETENTION_DAYS } from '../utils/trash';
+import ImportModal from './ImportModal';
+import ReminderSettings from './ReminderSettings';
+import JournalSettings from './JournalSettings';
+import CategorySettings from './CategorySettings';
+import TrashModal from './TrashModal';
+import LockSettings from './LockSettings';
+import SyncSettings from './SyncSettings';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const EXPORT_ICONS = {
+  json: 'code-slash',
+  csv: 'grid',
+  markdown: 'document-text',
+};
+
+// Week starts offered in Settings; null follows the language
+const FIRST_DAYS = [null, 0, 1, 6];
+
+// Hours a journal day can start at: midnight or the small hours
+const DAY_START_HOURS = [0, 1, 2, 3, 4, 5, 6];
+
+// A row of single-choice chips; `options` is [{ value, label }]
+function ChoiceChips({ options, value, onChange }) {
+  const styles = useThemedStyles(createStyles);
+  return (
+    <View style={styles.chipRow}>
+      {options.map((option) => (
+        <TouchableOpacity
+          key={String(option.value)}
+          style={[styles.chip, value === option.value && styles.chipOn]}
+          onPress={() => onChange(option.value)}
+        >
+          <Text style={[styles.chipText, value === option.value && styles.chipTextOn]}>{option.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+function SettingsSection({ title, description, children }) {
+  const styles = useThemedStyles(createStyles);
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{title}</Text>
+      {description ? <Text style={styles.description}>{description}</Text> : null}
+      {children}
+    </View>
+  );
+}
+
+export default function SettingsTab({ entries = {}, onImport, onRestoreTrashed, settings, onChangeSettings, lockConfig, onChangeLock }) {
+  const { colors } = useTheme();
+  const { isRTL, t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const [busyFormat, setBusyFormat] = useState(null);
+  const [trashVisible, setTrashVisible] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null); // { filename, parsed, plan }
+  const dayCount = Object.keys(entries).length;
+
+  const handleExport = async (format) => {
+    if (busyFormat) return;
+    setBusyFormat(format);
+    try {
+      await exportJournal(entries, format, settings.journal);
+    } catch (e) {
+      console.warn('Export failed', e);
+      Alert.alert(t('common.error'), t('errors.export'));
+    } finally {
+      setBusyFormat(null);
+    }
+  };
+
+  const handlePickImport = async () => {
+    let file;
+    try {
+      file = await pickBackupFile();
+    } catch (e) {
+      console.warn('Import picker failed', e);
+      Alert.alert(t('common.error'), t('errors.openFile'));
+      return;
+    }
+    if (!file) return;
+    try {
+      const parsed = parseBackup(file.text, file.name);
+      if (Object.keys(parsed.entries).length === 0) {
+        Alert.alert(t('import.nothingTitle'), t('import.nothingMessage'));
+        return;
+      }
+      setPendingImport({ filename: file.name, parsed, plan: buildImportPlan(entries, parsed.entries) });
+    } catch (e) {
+      Alert.alert(t('import.invalidTitle'), e.message);
+    }
+  };
+
+  const handleConfirmImport = async (writes) => {
+    setPendingImport(null);
+    try {
+      await onImport(writes);
+      Alert.alert(t('import.completeTitle'), t('import.completeMessage', { count: Object.keys(writes).length }));
+    } catch (e) {
+      console.warn('Import failed', e);
+      Alert.alert(t('common.error'), t('errors.import'));
+    }
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.title}>{t('settings.title')}</Text>
+      <SettingsSection title={t('settings.appearance.title')} description={t('settings.appearance.description')}>
+        <ChoiceChips
+          options={Object.keys(THEME_MODES).map((key) => ({ value: key, label: t(THEME_MODES[key]) }))}
+          value={settings.theme}
+          onChange={(theme) => onChangeSettings({ ...settings, theme })}
+        />
+      </SettingsSection>
+      <SettingsSection title={t('settings.language.title')} description={t('settings.language.description')}>
+        <ChoiceChips
+          options={[
+            { value: 'system', label: t('settings.language.system') },
+            ...Object.keys(LANGUAGES).map((code) => ({ value: code, label: LANGUAGES[code] })),
+          ]}
+          value={settings.language}
+          onChange={(language) => onChangeSettings({ ...settings, language })}
+        />
+        <Text style={styles.fieldLabel}>{t('settings.language.firstDay')}</Text>
+        <ChoiceChips
+          options={FIRST_DAYS.map((day) => ({ value: day, label: day === null ? t('settings.language.automatic') : formatWeekday(day) }))}
+          value={settings.firstDayOfWeek}
+          onChange={(firstDayOfWeek) => onChangeSettings({ ...settings, firstDayOfWeek })}
+        />
+      </SettingsSection>
+      <SettingsSection title={t('settings.dayStart.title')} description={t('settings.dayStart.description')}>
+        <ChoiceChips
+          options={DAY_START_HOURS.map((hour) => ({ value: hour, label: hour === 0 ? t('settings.dayStart.midnight') : formatHour(hour) }))}
+          value={settings.dayStartHour}
+          onChange={(dayStartHour) => onChangeSettings({ ...settings, dayStartHour })}
+        />
+      </SettingsSection>
+      <SettingsSection title={t('settings.reminders.title')} description={t('settings.reminders.description')}>
+        <ReminderSettings
+          reminders={settings.reminders}
+          onChange={(reminders) => onChangeSettings({ ...settings, reminders })}
+        />
+      </SettingsSection>
+      <SettingsSection title={t('settings.journal.title')} description={t('settings.journal.description')}>
+        <JournalSettings
+          journal={settings.journal}
+          onChange={(journal) => onChangeSettings({ ...settings, journal })}
+        />
+      </SettingsSection>
+      <SettingsSection title={t('settings.categories.title')} description={t('settings.categories.description')}>
+        <CategorySettings
+          categories={settings.journal.categories}
+          onChange={(categories) => onChangeSettings({ ...settings, journal: { ...settings.journal, categories } })}
+          mode={settings.journal.awarenessMode}
+          onChangeMode={(awarenessMode) => onChangeSettings({ ...settings, journal: { ...settings.journal, awarenessMode } })}
+        />
+      </SettingsSection>
+      <SettingsSection
+        title={t('settings.sync.title')}
+        description={t('settings.sync.description')}
+      >
+        <SyncSettings config={settings.sync} onChange={(sync) => onChangeSettings({ ...settings, sync })} />
+      </SettingsSection>
+      <SettingsSection
+        title={t('settings.lock.title')}
+        description={lockConfig ? t('settings.lock.descriptionOn') : t('settings.lock.descriptionOff')}
+      >
+        <LockSettings lockConfig={lockConfig} onChange={onChangeLock} />
+      </SettingsSection>
+      <SettingsSection
+        title={t('settings.export.title')}
+        description={t('settings.export.description', { count: dayCount })}
+      >
+        {Object.keys(EXPORT_FORMATS).map((format) => (
+          <TouchableOpacity
+            key={format}
+            style={[styles.row, dayCount === 0 && styles.rowDisabled]}
+            onPress={() => handleExport(format)}
+            disabled={dayCount === 0 || !!busyFormat}
+          >
+            <Ionicons name={EXPORT_ICONS[format]} size={20} color={colors.primary} />
+            <Text style={styles.rowText}>{t(EXPORT_FORMATS[format].labelKey)}</Text>
+            {busyFormat === format ? (
+              <ActivityIndicator size="small" color={colors.primary} />
+            ) : (
+              <Ionicons name="share-outline" size={18} color={colors.faint} />
+            )}
+          </TouchableOpacity>
+        ))}
+      </SettingsSection>
+      <SettingsSection
+        title={t('settings.import.title')}
+        description={t('settings.import.description')}
+      >
+        <TouchableOpacity style={styles.row} onPress={handlePickImport}>
+          <Ionicons name="download-outline" size={20} color={colors.primary} />
+          <Text style={styles.rowText}>{t('settings.import.choose')}</Text>
+          <Ionicons name={isRTL ? 'chevron-back' : 'chevron-forward'} size={18} color={colors.faint} />
+        </TouchableOpacity>
+      </SettingsSection>
+      <SettingsSection title={t('trash.title')} description={t('settings.trash.description', { count: TRASH_RETENTION_DAYS })}>
+        <TouchableOpacity style={styles.row} onPress={() => setTrashVisible(true)}>
+          <Ionicons name="trash-outline" size={20} color={colors.primary} />
+          <Text style={styles.rowText}>{t('settings.trash.open')}</Text>
+          <Ionicons name={isRTL ? 'chevron-back' : 'chevron-forward'} size={18} color={colors.faint} />
+        </TouchableOpacity>
+      </SettingsSection>
+      <ImportModal
+        visible={!!pendingImport}
+        filename={pendingImport?.filename}
+        local={entries}
+        parsed={pendingImport?.parsed}
+        plan={pendingImport?.plan}
+        onCancel={() => setPendingImport(null)}
+        onConfirm={handleConfirmImport}
+      />
+      <TrashModal
+        visible={trashVisible}
+        nightPrompts={settings.journal.nightPrompts}
+        categories={settings.journal.categories}
+        onRestore={onRestoreTrashed}
+        onClose={() => setTrashVisible(false)}
+      />
+    </ScrollView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    alignItems: 'center',
+    backgroundColor: colors.background,
+    padding: 16,
+    paddingBottom: 40,
+    flexGrow: 1,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 16,
+    color: colors.text,
+  },
+  section: {
+    width: '100%',
+    maxWidth: 600,
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    marginBottom: 16,
+    padding: 12,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 4,
+    color: colors.text,
+  },
+  description: {
+    color: colors.muted,
+    marginBottom: 8,
+  },
+  fieldLabel: {
+    fontSize: 13,
+    color: colors.muted,
+    marginTop: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.card,
+    borderColor: colors.border,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginTop: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 14,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginRight: 6,
+    marginTop: 4,
+    backgroundColor: colors.card,
+  },
+  chipOn: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    color: colors.text,
+  },
+  chipTextOn: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+  rowDisabled: {
+    opacity: 0.5,
+  },
+  rowText: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 16,
+    color: colors.text,
+  },
+});
@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, Switch, TouchableOpacity, ActivityIndicator, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getSyncStatus, addSyncStatusListener, requestSync } from '../utils/sync';
+import { formatDateTime } from '../utils/dates';
+import { t } from '../utils/i18n';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+function describeStatus(status) {
+  const pending = status.pending ? ` · ${t('sync.pending', { count: status.pending })}` : '';
+  if (status.state === 'syncing') return t('sync.syncing');
+  if (status.state === 'offline') return `${t('sync.offline')}${pending}`;
+  if (status.state === 'error') return `${t('sync.failed', { error: status.error })}${pending}`;
+  const time = status.lastSyncedAt ? formatDateTime(status.lastSyncedAt) : t('sync.never');
+  return `${t('sync.lastSynced', { time })}${pending}`;
+}
+
+// A text setting that is only saved once the field loses focus
+function ConfigField({ label, value, onCommit, secure = false, placeholder }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [text, setText] = useState(value);
+  useEffect(() => { setText(value); }, [value]);
+  const commit = () => { if (text.trim() !== value) onCommit(text.trim()); };
+
+  return (
+    <View style={styles.field}>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <TextInput
+        value={text}
+        onChangeText={setText}
+        onEndEditing={commit}
+        onBlur={commit}
+        style={styles.input}
+        placeholder={placeholder}
+        placeholderTextColor={colors.placeholder}
+        secureTextEntry={secure}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+    </View>
+  );
+}
+
+// Endpoint, access token and status of the optional self-hosted sync
+export default function SyncSettings({ config, onChange }) {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const [status, setStatus] = useState(getSyncStatus);
+  useEffect(() => addSyncStatusListener(setStatus), []);
+
+  const update = (patch) => onChange({ ...config, ...patch });
+
+  return (
+    <View>
+      <View style={styles.row}>
+        <Ionicons name="cloud-outline" size={20} color={colors.primary} />
+        <Text style={styles.rowText}>{t('sync.enable')}</Text>
+        <Switch value={config.enabled} onValueChange={(enabled) => update({ enabled })} />
+      </View>
+      <ConfigField
+        label={t('sync.endpoint')}
+        value={config.endpoint}
+        onCommit={(endpoint) => update({ endpoint })}
+        placeholder="https://journal.example.com"
+      />
+      <ConfigField label={t('sync.token')} value={config.token} onCommit={(token) => update({ token })} secure placeholder={t('common.optional')} />
+      {config.enabled && (
+        <View style={styles.statusRow}>
+          <Text style={[styles.status, status.state === 'error' && styles.error]}>
+            {status.state === 'off' ? t('sync.needsEndpoint') : describeStatus(status)}
+          </Text>
+          {status.state !== 'off' && (
+            <TouchableOpacity onPress={requestSync} disabled={status.state === 'syncing'} style={styles.syncButton}>
+              {status.state === 'syncing'
+                ? <ActivityIndicator size="small" color={colors.primary} />
+                : <Text style={styles.link}>{t('sync.now')}</Text>}
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.card,
+    borderColor: colors.border,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginTop: 8,
+  },
+  rowText: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 16,
+    color: colors.text,
+  },
+  field: {
+    marginTop: 8,
+  },
+  fieldLabel: {
+    fontSize: 13,
+    color: colors.muted,
+    marginBottom: 4,
+  },
+  input: {
+    backgroundColor: colors.card,
+    borderColor: colors.border,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    fontSize: 15,
+    color: colors.text,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  status: {
+    flex: 1,
+    color: colors.textSecondary,
+  },
+  error: {
+    color: colors.danger,
+  },
+  syncButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  link: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+});
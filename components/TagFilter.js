@@ -0,0 +1,64 @@
+import React from 'react';
+import { ScrollView, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+// One-line chooser for narrowing a view down to the days with a tag. `value` is the
+// chosen tag, or null for all days. Nothing is shown until some day has a tag.
+export default function TagFilter({ tags, value, onChange }) {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  if (tags.length === 0) return null;
+
+  return (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.container} contentContainerStyle={styles.content}>
+      <Ionicons name="pricetag-outline" size={16} color={colors.muted} style={styles.icon} />
+      <TouchableOpacity style={[styles.chip, value === null && styles.chipOn]} onPress={() => onChange(null)}>
+        <Text style={[styles.chipText, value === null && styles.chipTextOn]}>{t('tags.allDays')}</Text>
+      </TouchableOpacity>
+      {tags.map((tag) => (
+        <TouchableOpacity
+          key={tag}
+          style={[styles.chip, value === tag && styles.chipOn]}
+          onPress={() => onChange(value === tag ? null : tag)}
+        >
+          <Text style={[styles.chipText, value === tag && styles.chipTextOn]}>#{tag}</Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flexGrow: 0,
+    marginBottom: 8,
+  },
+  content: {
+    alignItems: 'center',
+  },
+  icon: {
+    marginRight: 6,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 16,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginRight: 6,
+  },
+  chipOn: {
+    backgroundColor: colors.primarySoft,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    color: colors.text,
+  },
+  chipTextOn: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+});
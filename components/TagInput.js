@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { suggestTags, MAX_TAG_LENGTH } from '../utils/tags';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+// Tags attached to something, with a field to add more. While the field has focus,
+// tags used elsewhere in the journal (`known`, most used first) are offered as
+// suggestions; a comma or the return key adds what was typed. `onAdd` receives a list
+// of typed tags (several when pasting "a, b, c").
+export default function TagInput({ tags, known, onAdd, onRemove, placeholder }) {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const [text, setText] = useState('');
+  const [focused, setFocused] = useState(false);
+  const suggestions = focused ? suggestTags(known, text, tags) : [];
+
+  const add = (value) => {
+    onAdd([value]);
+    setText('');
+  };
+
+  const changeText = (value) => {
+    const parts = value.split(/[,;]/);
+    if (parts.length > 1) onAdd(parts.slice(0, -1));
+    setText(parts[parts.length - 1]);
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.row}>
+        {tags.map((tag) => (
+          <TouchableOpacity
+            key={tag}
+            style={styles.tag}
+            onPress={() => onRemove(tag)}
+            accessibilityLabel={t('tags.remove', { tag })}
+          >
+            <Text style={styles.tagText}>#{tag}</Text>
+            <Ionicons name="close" size={13} color={colors.primary} />
+          </TouchableOpacity>
+        ))}
+        <TextInput
+          style={styles.input}
+          value={text}
+          onChangeText={changeText}
+          onSubmitEditing={() => add(text)}
+          onFocus={() => setFocused(true)}
+          onBlur={() => {
+            setFocused(false);
+            if (text.trim()) add(text);
+          }}
+          placeholder={placeholder}
+          placeholderTextColor={colors.placeholder}
+          autoCapitalize="none"
+          autoCorrect={false}
+          maxLength={MAX_TAG_LENGTH + 1}
+          blurOnSubmit={false}
+          returnKeyType="done"
+        />
+      </View>
+      {suggestions.length > 0 && (
+        <View style={styles.row}>
+          {suggestions.map((tag) => (
+            <TouchableOpacity key={tag} style={styles.suggestion} onPress={() => add(tag)}>
+              <Text style={styles.suggestionText}>#{tag}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+  },
+  tag: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.primarySoft,
+    borderRadius: 12,
+    paddingVertical: 3,
+    paddingHorizontal: 8,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  tagText: {
+    color: colors.primary,
+    fontWeight: '600',
+    marginRight: 4,
+  },
+  input: {
+    flexGrow: 1,
+    minWidth: 120,
+    color: colors.text,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+    paddingVertical: 4,
+    marginBottom: 6,
+  },
+  suggestion: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 12,
+    paddingVertical: 3,
+    paddingHorizontal: 8,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  suggestionText: {
+    color: colors.textSecondary,
+  },
+});
@@ -0,0 +1,20 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { LIGHT_COLORS } from '../utils/theme';
+
+const ThemeContext = createContext({ scheme: 'light', colors: LIGHT_COLORS });
+
+export function ThemeProvider({ scheme, colors, children }) {
+  const value = useMemo(() => ({ scheme, colors }), [scheme, colors]);
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
+
+// { scheme: 'light' | 'dark', colors }
+export function useTheme() {
+  return useContext(ThemeContext);
+}
+
+// Styles built from the active palette: pass a `(colors) => StyleSheet.create(...)` factory
+export function useThemedStyles(createStyles) {
+  const { colors } = useTheme();
+  return useMemo(() => createStyles(colors), [createStyles, colors]);
+}
@@ -1,24 +1,53 @@
 import React from 'react';
 import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
 
-const TopBar = ({ date, onClear, onDatePress }) => (
-  <View style={styles.container}>
-    <TouchableOpacity style={styles.dateButton} onPress={onDatePress}>
-      <Text style={styles.dateText}>{date}</Text>
+// `directional` icons point the other way in right-to-left layouts
+const IconButton = ({ name, onPress, disabled = false, label, directional = false }) => {
+  const { colors } = useTheme();
+  const { isRTL } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  return (
+    <TouchableOpacity style={styles.iconButton} onPress={onPress} disabled={disabled} accessibilityLabel={label}>
+      <Ionicons
+        name={name}
+        size={22}
+        color={disabled ? colors.disabled : colors.primary}
+        style={directional && isRTL ? styles.mirrored : null}
+      />
     </TouchableOpacity>
-    <TouchableOpacity style={styles.clearButton} onPress={onClear}>
-      <Text style={styles.clearText}>Clear</Text>
-    </TouchableOpacity>
-  </View>
-);
+  );
+};
+
+const TopBar = ({ date, onClear, onDatePress, onUndo, onRedo, canUndo = false, canRedo = false, onVersions }) => {
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity style={styles.dateButton} onPress={onDatePress}>
+        <Text style={styles.dateText}>{date}</Text>
+      </TouchableOpacity>
+      <View style={styles.actions}>
+        {onUndo && <IconButton name="arrow-undo" onPress={onUndo} disabled={!canUndo} label={t('common.undo')} directional />}
+        {onRedo && <IconButton name="arrow-redo" onPress={onRedo} disabled={!canRedo} label={t('common.redo')} directional />}
+        {onVersions && <IconButton name="time-outline" onPress={onVersions} label={t('versions.title')} />}
+        <TouchableOpacity style={styles.clearButton} onPress={onClear}>
+          <Text style={styles.clearText}>{t('home.clear')}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     position: 'absolute',
     top: 0,
     left: 0,
     right: 0,
-    backgroundColor: '#fff',
+    backgroundColor: colors.background,
     flexDirection: 'row',
     alignItems: 'center',
     justifyContent: 'space-between',
@@ -27,33 +56,45 @@ const styles = StyleSheet.create({
     elevation: 4,
     zIndex: 100,
     borderBottomWidth: 1,
-    borderBottomColor: '#eee',
+    borderBottomColor: colors.divider,
   },
   dateButton: {
-    backgroundColor: '#eaf4ff',
-    borderColor: '#0b7cff',
+    backgroundColor: colors.primarySoft,
+    borderColor: colors.primary,
     borderWidth: 1,
     borderRadius: 20,
     paddingVertical: 8,
     paddingHorizontal: 18,
   },
   dateText: {
-    color: '#0b7cff',
+    color: colors.primary,
     fontWeight: 'bold',
     fontSize: 16,
     letterSpacing: 0.5,
   },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  iconButton: {
+    paddingHorizontal: 6,
+    paddingVertical: 4,
+  },
   clearButton: {
-    backgroundColor: '#f55',
+    backgroundColor: colors.danger,
     paddingHorizontal: 16,
     paddingVertical: 8,
     borderRadius: 6,
+    marginLeft: 6,
   },
   clearText: {
-    color: '#fff',
+    color: colors.onDanger,
     fontWeight: 'bold',
     fontSize: 16,
   },
+  mirrored: {
+    transform: [{ scaleX: -1 }],
+  },
 });
 
 export default TopBar;
@@ -0,0 +1,208 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, Modal, ScrollView, TouchableOpacity, StyleSheet, Alert, Platform } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { formatDateString, formatDateTime } from '../utils/dates';
+import { loadTrash, purgeTrash, daysLeftInTrash, TRASH_RETENTION_DAYS } from '../utils/trash';
+import DayDetail from './DayDetail';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+import { t } from '../utils/i18n';
+
+function confirmAction(title, message, confirmLabel) {
+  if (Platform.OS === 'web') {
+    return Promise.resolve(typeof window === 'undefined' || window.confirm(message));
+  }
+  return new Promise((resolve) => {
+    Alert.alert(title, message, [
+      { text: t('common.cancel'), style: 'cancel', onPress: () => resolve(false) },
+      { text: confirmLabel, style: 'destructive', onPress: () => resolve(true) },
+    ]);
+  });
+}
+
+// Cleared days waiting to be purged. Each can be previewed, put back in the journal or
+// deleted for good.
+export default function TrashModal({ visible, nightPrompts, categories, onRestore, onClose }) {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const [items, setItems] = useState(null);
+  const [openId, setOpenId] = useState(null);
+
+  const reload = () => loadTrash().then(setItems).catch((e) => {
+    console.warn('Could not load trash', e);
+    setItems([]);
+  });
+
+  useEffect(() => {
+    if (!visible) return;
+    setItems(null);
+    setOpenId(null);
+    reload();
+  }, [visible]);
+
+  const handleRestore = async (item) => {
+    try {
+      await onRestore(item.id);
+    } catch (e) {
+      console.warn('Restore failed', e);
+      Alert.alert(t('common.error'), t('errors.restore'));
+    }
+    reload();
+  };
+
+  const handlePurge = async (item) => {
+    const ok = await confirmAction(t('trash.deleteForever'), t('trash.deleteConfirm', { date: formatDateString(item.date) }), t('common.delete'));
+    if (!ok) return;
+    await purgeTrash(item.id);
+    reload();
+  };
+
+  const handleEmpty = async () => {
+    const ok = await confirmAction(t('trash.empty'), t('trash.emptyConfirm'), t('trash.emptyAction'));
+    if (!ok) return;
+    await purgeTrash();
+    reload();
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>{t('trash.title')}</Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton} accessibilityLabel={t('common.close')}>
+            <Ionicons name="close" size={24} color={colors.text} />
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.muted}>{t('trash.retention', { count: TRASH_RETENTION_DAYS })}</Text>
+        <ScrollView style={styles.list} contentContainerStyle={styles.listContent}>
+          {items === null && <Text style={styles.muted}>{t('common.loading')}</Text>}
+          {items && items.length === 0 && <Text style={styles.muted}>{t('trash.isEmpty')}</Text>}
+          {items && items.map((item) => {
+            const open = openId === item.id;
+            const daysLeft = daysLeftInTrash(item);
+            return (
+              <View key={item.id} style={styles.item}>
+                <TouchableOpacity style={styles.itemHeader} onPress={() => setOpenId(open ? null : item.id)}>
+                  <View style={styles.itemInfo}>
+                    <Text style={styles.itemDate}>{formatDateString(item.date)}</Text>
+                    <Text style={styles.itemMeta}>
+                      {t('trash.cleared', { time: formatDateTime(item.deletedAt) })} · {t('trash.daysLeft', { count: daysLeft })}
+                    </Text>
+                  </View>
+                  <Ionicons name={open ? 'chevron-up' : 'chevron-down'} size={18} color={colors.muted} />
+                </TouchableOpacity>
+                {open && (
+                  <DayDetail date={item.date} entry={item.entry} nightPrompts={nightPrompts} categories={categories} />
+                )}
+                <View style={styles.itemActions}>
+                  <TouchableOpacity style={styles.action} onPress={() => handleRestore(item)}>
+                    <Ionicons name="arrow-undo-outline" size={16} color={colors.primary} />
+                    <Text style={styles.restoreText}>{t('common.restore')}</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.action} onPress={() => handlePurge(item)}>
+                    <Ionicons name="trash-outline" size={16} color={colors.danger} />
+                    <Text style={styles.deleteText}>{t('trash.deleteForever')}</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            );
+          })}
+        </ScrollView>
+        {items && items.length > 0 && (
+          <TouchableOpacity style={styles.emptyButton} onPress={handleEmpty}>
+            <Text style={styles.emptyText}>{t('trash.empty')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+    padding: 16,
+    paddingTop: 48,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  closeButton: {
+    padding: 4,
+  },
+  muted: {
+    color: colors.muted,
+    marginBottom: 4,
+  },
+  list: {
+    marginTop: 8,
+  },
+  listContent: {
+    paddingBottom: 24,
+  },
+  item: {
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+    paddingVertical: 10,
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  itemInfo: {
+    flex: 1,
+  },
+  itemDate: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: colors.text,
+  },
+  itemMeta: {
+    fontSize: 13,
+    color: colors.muted,
+    marginTop: 2,
+  },
+  itemActions: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  action: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 20,
+    paddingVertical: 4,
+  },
+  restoreText: {
+    color: colors.primary,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  deleteText: {
+    color: colors.danger,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  emptyButton: {
+    alignSelf: 'center',
+    borderColor: colors.danger,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    marginTop: 8,
+  },
+  emptyText: {
+    color: colors.danger,
+    fontWeight: 'bold',
+  },
+});
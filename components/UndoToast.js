@@ -0,0 +1,57 @@
+import React, { useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const TOAST_DURATION_MS = 6000;
+
+// Bottom snackbar with a single action (e.g. "Undo") that hides itself after a few seconds
+export default function UndoToast({ message, actionLabel, onAction, onDismiss, duration = TOAST_DURATION_MS }) {
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, []);
+
+  return (
+    <View style={styles.toast} accessibilityLiveRegion="polite">
+      <Text style={styles.message} numberOfLines={2}>{message}</Text>
+      <TouchableOpacity onPress={onAction} style={styles.action}>
+        <Text style={styles.actionText}>{actionLabel ?? t('common.undo')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  toast: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.toast,
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    zIndex: 200,
+    elevation: 6,
+  },
+  message: {
+    flex: 1,
+    color: colors.onToast,
+    fontSize: 15,
+  },
+  action: {
+    marginLeft: 12,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  actionText: {
+    color: colors.toastAction,
+    fontWeight: 'bold',
+    fontSize: 15,
+  },
+});
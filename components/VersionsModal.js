@@ -0,0 +1,176 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, Modal, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { formatDateString, formatTime } from '../utils/dates';
+import { loadRevisions, listTextFields, setTextField } from '../utils/revisions';
+import { useTheme, useThemedStyles } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+// Saved revisions of one day, newest first. Expanding a revision lists the texts that
+// differ from the current entry; each can be restored on its own, or the whole version.
+export default function VersionsModal({ visible, date, entry, nightPrompts, onRestore, onClose }) {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const styles = useThemedStyles(createStyles);
+  const [revisions, setRevisions] = useState(null);
+  const [openAt, setOpenAt] = useState(null);
+
+  useEffect(() => {
+    if (!visible) return;
+    let active = true;
+    setRevisions(null);
+    setOpenAt(null);
+    loadRevisions(date).then((list) => { if (active) setRevisions([...list].reverse()); });
+    return () => { active = false; };
+  }, [visible, date]);
+
+  const currentText = {};
+  listTextFields(entry, nightPrompts).forEach(({ field, text }) => { currentText[field] = text; });
+
+  const restore = (next) => {
+    onRestore(next);
+    onClose();
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <Text style={styles.title}>{t('versions.title')}</Text>
+          <Text style={styles.muted}>{formatDateString(date)}</Text>
+          <ScrollView style={styles.list}>
+            {revisions === null && <Text style={styles.muted}>{t('common.loading')}</Text>}
+            {revisions && revisions.length === 0 && (
+              <Text style={styles.muted}>{t('versions.empty')}</Text>
+            )}
+            {revisions && revisions.map((revision) => {
+              const changed = listTextFields(revision.entry, nightPrompts)
+                .filter(({ field, text }) => text.trim() && text !== (currentText[field] ?? ''));
+              const open = openAt === revision.at;
+              return (
+                <View key={revision.at} style={styles.revision}>
+                  <TouchableOpacity style={styles.revisionHeader} onPress={() => setOpenAt(open ? null : revision.at)}>
+                    <Text style={styles.revisionTime}>{formatTime(revision.at)}</Text>
+                    <Text style={styles.revisionSummary}>
+                      {changed.length === 0 ? t('versions.sameAsNow') : t('versions.textsDiffer', { count: changed.length })}
+                    </Text>
+                    <Ionicons name={open ? 'chevron-up' : 'chevron-down'} size={18} color={colors.muted} />
+                  </TouchableOpacity>
+                  {open && (
+                    <>
+                      {changed.map(({ field, label, text }) => (
+                        <View key={field} style={styles.field}>
+                          <Text style={styles.fieldLabel}>{label}</Text>
+                          <Text style={styles.fieldText}>{text}</Text>
+                          <TouchableOpacity onPress={() => restore(setTextField(entry, field, text))}>
+                            <Text style={styles.link}>{t('versions.restoreText')}</Text>
+                          </TouchableOpacity>
+                        </View>
+                      ))}
+                      <TouchableOpacity style={styles.restoreAll} onPress={() => restore(revision.entry)}>
+                        <Ionicons name="refresh" size={16} color={colors.primary} />
+                        <Text style={styles.restoreAllText}>{t('versions.restoreAll')}</Text>
+                      </TouchableOpacity>
+                    </>
+                  )}
+                </View>
+              );
+            })}
+          </ScrollView>
+          <View style={styles.actions}>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Text style={styles.link}>{t('common.close')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.backdrop,
+    padding: 16,
+  },
+  card: {
+    width: '100%',
+    maxWidth: 520,
+    maxHeight: '90%',
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    padding: 16,
+    elevation: 4,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 4,
+    color: colors.text,
+  },
+  muted: {
+    color: colors.muted,
+    marginBottom: 4,
+  },
+  list: {
+    marginTop: 8,
+  },
+  revision: {
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+    paddingVertical: 8,
+  },
+  revisionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  revisionTime: {
+    fontWeight: '700',
+    width: 52,
+    color: colors.text,
+  },
+  revisionSummary: {
+    flex: 1,
+    color: colors.textSecondary,
+  },
+  field: {
+    marginTop: 8,
+    paddingLeft: 8,
+    borderLeftWidth: 2,
+    borderLeftColor: colors.primarySoft,
+  },
+  fieldLabel: {
+    fontSize: 12,
+    color: colors.muted,
+  },
+  fieldText: {
+    fontSize: 15,
+    color: colors.text,
+    marginVertical: 2,
+  },
+  link: {
+    color: colors.primary,
+  },
+  restoreAll: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  restoreAllText: {
+    color: colors.primary,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 12,
+  },
+  closeButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+  },
+});
@@ -0,0 +1,158 @@
+// Reference sync server for the journal (see utils/sync.js for the protocol).
+// Plain Node, no dependencies:
+//
+//   SYNC_TOKEN=secret PORT=8787 node server/server.js
+//
+// Without SYNC_TOKEN anyone who can reach the server can read and change the journal,
+// so it then only listens on 127.0.0.1. With a token it listens on SYNC_HOST (default:
+// every interface), and browsers may only call it from the origins in SYNC_ORIGINS
+// (comma-separated, e.g. https://journal.example.com) — the web app needs its own
+// origin listed there.
+//
+// One journal per server, kept in a JSON file (SYNC_DATA, default server/data.json).
+// Every stored day carries the sequence number of its last change, so a client asking
+// with `cursor` gets back exactly the days it hasn't seen. Put it behind HTTPS for
+// anything but local testing: entries travel in plain JSON.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.SYNC_TOKEN || '';
+const HOST = TOKEN ? process.env.SYNC_HOST || undefined : '127.0.0.1';
+const ORIGINS = (process.env.SYNC_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+const DATA_FILE = process.env.SYNC_DATA || path.join(__dirname, 'data.json');
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function loadData() {
+  try {
+    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`Could not read ${DATA_FILE}, starting empty`, e);
+    return { seq: 0, days: {} };
+  }
+}
+
+// Write to a temp file and rename, so a crash never leaves half a file behind
+function saveData(data) {
+  const tmp = `${DATA_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, DATA_FILE);
+}
+
+// Same per-field rule as the app: the later change wins, ties broken by value
+function mergeFields(a, b) {
+  const merged = { ...a };
+  Object.keys(b).forEach((key) => {
+    const mine = merged[key];
+    const theirs = b[key];
+    if (!theirs || typeof theirs.at !== 'string') return;
+    if (!mine || theirs.at > mine.at
+      || (theirs.at === mine.at && JSON.stringify(theirs.value) > JSON.stringify(mine.value))) {
+      merged[key] = { value: theirs.value ?? null, at: theirs.at };
+    }
+  });
+  return merged;
+}
+
+function laterOf(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+const data = loadData();
+
+function applySync({ cursor, days }) {
+  let changed = false;
+  (Array.isArray(days) ? days : []).forEach((record) => {
+    if (!record || !DATE_RE.test(record.date)) return;
+    const stored = data.days[record.date] || { fields: {}, deletedAt: null, seq: 0 };
+    const fields = mergeFields(stored.fields, record.fields || {});
+    const deletedAt = laterOf(stored.deletedAt, typeof record.deletedAt === 'string' ? record.deletedAt : null);
+    if (JSON.stringify(fields) === JSON.stringify(stored.fields) && deletedAt === stored.deletedAt) return;
+    data.seq += 1;
+    data.days[record.date] = { fields, deletedAt, seq: data.seq };
+    changed = true;
+  });
+  if (changed) saveData(data);
+
+  const since = Number.isInteger(cursor) ? cursor : 0;
+  const changedDays = Object.keys(data.days)
+    .filter((date) => data.days[date].seq > since)
+    .map((date) => ({ date, fields: data.days[date].fields, deletedAt: data.days[date].deletedAt }));
+  return { cursor: data.seq, days: changedDays };
+}
+
+// Compare in time that doesn't depend on where the values differ (hashing first makes
+// the lengths equal, which timingSafeEqual requires)
+function sameSecret(a, b) {
+  const hash = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+function isAuthorized(req) {
+  return !TOKEN || sameSecret(req.headers.authorization || '', `Bearer ${TOKEN}`);
+}
+
+// CORS headers for the request's origin: any origin for a local server without a
+// token, otherwise only the ones listed in SYNC_ORIGINS
+function corsHeaders(req) {
+  const origin = req.headers.origin;
+  let allowed = null;
+  if (!TOKEN && !ORIGINS.length) allowed = '*';
+  else if (origin && ORIGINS.includes(origin)) allowed = origin;
+  if (!allowed) return {};
+  return {
+    'Access-Control-Allow-Origin': allowed,
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    Vary: 'Origin',
+  };
+}
+
+function send(req, res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...corsHeaders(req) });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') return send(req, res, 204);
+  if (req.method !== 'POST' || req.url.split('?')[0] !== '/sync') return send(req, res, 404, { error: 'not found' });
+  if (!isAuthorized(req)) return send(req, res, 401, { error: 'unauthorized' });
+
+  let size = 0;
+  const chunks = [];
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      send(req, res, 413, { error: 'too large' });
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (res.writableEnded) return;
+    let body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    } catch (e) {
+      return send(req, res, 400, { error: 'invalid JSON' });
+    }
+    try {
+      send(req, res, 200, applySync(body));
+    } catch (e) {
+      console.error('Sync failed', e);
+      send(req, res, 500, { error: 'server error' });
+    }
+  });
+});
+
+server.listen(PORT, HOST, () => {
+  const where = TOKEN ? `port ${PORT}` : `http://127.0.0.1:${PORT}/sync only (no SYNC_TOKEN set)`;
+  console.log(`Journal sync server listening on ${where}`);
+});
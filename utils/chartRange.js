@@ -0,0 +1,105 @@
+// Chart time ranges: turn a preset (7d / 30d / 90d / 1y) or a custom start/end into
+// true calendar days, and group them into day, week or month buckets so a wide range
+// still fits the chart's width. Days without an entry are still plotted (as zero).
+
+import { addDays, formatDateString, formatShortDate, formatMonth } from './dates';
+import { t } from './i18n';
+
+// `labelKey` is the chip label's translation key
+export const RANGE_PRESETS = {
+  '7d': { labelKey: 'charts.ranges.7d', days: 7 },
+  '30d': { labelKey: 'charts.ranges.30d', days: 30 },
+  '90d': { labelKey: 'charts.ranges.90d', days: 90 },
+  '1y': { labelKey: 'charts.ranges.1y', days: 365 },
+  custom: { labelKey: 'charts.ranges.custom' },
+};
+
+export const DEFAULT_RANGE = { preset: '7d' };
+
+// Roughly how much horizontal space one x-axis label needs, and what the chart
+// reserves for the y-axis labels on the left
+const LABEL_WIDTH = 34;
+const Y_AXIS_WIDTH = 64;
+
+// { start, end } date keys (inclusive) for a range value
+export function resolveRange(range, todayKey) {
+  if (range && range.preset === 'custom' && range.start && range.end) {
+    return range.start <= range.end ? { start: range.start, end: range.end } : { start: range.end, end: range.start };
+  }
+  const preset = RANGE_PRESETS[range && range.preset] || RANGE_PRESETS[DEFAULT_RANGE.preset];
+  return { start: addDays(todayKey, -(preset.days - 1)), end: todayKey };
+}
+
+export function listDays(start, end) {
+  const days = [];
+  for (let d = start; d <= end; d = addDays(d, 1)) days.push(d);
+  return days;
+}
+
+export function maxPointsForWidth(width) {
+  return Math.max(7, Math.floor((width - Y_AXIS_WIDTH) / LABEL_WIDTH));
+}
+
+function monthBuckets(days) {
+  const buckets = [];
+  days.forEach((date) => {
+    const monthKey = date.slice(0, 7);
+    const last = buckets[buckets.length - 1];
+    if (last && last.key === monthKey) {
+      last.dates.push(date);
+    } else {
+      buckets.push({
+        key: monthKey,
+        label: formatMonth(date),
+        fullLabel: formatMonth(date, { long: true, withYear: true }),
+        dates: [date],
+      });
+    }
+  });
+  return buckets;
+}
+
+// Split [start, end] into buckets: [{ key, label, fullLabel, dates }]. The bucket size
+// is the smallest of day/week/month that keeps the point count within `maxPoints`.
+export function bucketRange(start, end, maxPoints) {
+  const days = listDays(start, end);
+  if (days.length <= maxPoints) {
+    return { unit: 'day', buckets: days.map((date) => ({ key: date, label: formatShortDate(date), fullLabel: formatDateString(date), dates: [date] })) };
+  }
+  if (Math.ceil(days.length / 7) <= maxPoints) {
+    const buckets = [];
+    for (let i = 0; i < days.length; i += 7) {
+      const dates = days.slice(i, i + 7);
+      buckets.push({ key: dates[0], label: formatShortDate(dates[0]), fullLabel: t('charts.weekOf', { date: formatShortDate(dates[0]) }), dates });
+    }
+    return { unit: 'week', buckets };
+  }
+  return { unit: 'month', buckets: monthBuckets(days) };
+}
+
+// Average of `valueOf(entry, date)` over each bucket's days; missing days count as
+// `valueOf(undefined, date)` (normally zero), so gaps show up instead of vanishing.
+// With `includes(date)`, only the days it accepts are averaged (e.g. the days with a
+// tag) and buckets without any such day are null.
+export function averageOver(buckets, entries, valueOf, includes) {
+  return buckets.map(({ dates }) => {
+    const counted = includes ? dates.filter(includes) : dates;
+    if (counted.length === 0) return null;
+    const sum = counted.reduce((acc, date) => acc + valueOf(entries[date], date), 0);
+    return Math.round(sum / counted.length);
+  });
+}
+
+// Sum of `valueOf(entry, date)` over each bucket's days
+export function sumOver(buckets, entries, valueOf) {
+  return buckets.map(({ dates }) => dates.reduce((acc, date) => acc + valueOf(entries[date], date), 0));
+}
+
+export function describeRange(range, todayKey) {
+  if (range && range.preset === 'custom') {
+    const { start, end } = resolveRange(range, todayKey);
+    return `${formatShortDate(start)} – ${formatShortDate(end)}`;
+  }
+  const preset = RANGE_PRESETS[range && range.preset] || RANGE_PRESETS[DEFAULT_RANGE.preset];
+  return preset.days === 365 ? t('charts.lastYear') : t('charts.lastDays', { count: preset.days });
+}
@@ -0,0 +1,122 @@
+// At-rest encryption for stored journal values.
+//
+// Values are encrypted with a random 256-bit data key using AES-256-CBC plus an
+// HMAC-SHA256 over IV and ciphertext (encrypt-then-MAC), and stored as
+//   enc1:<iv base64>:<ciphertext base64>:<mac base64>
+// The data key itself is never stored in the clear: it is wrapped with a key derived
+// from the passcode (PBKDF2-SHA256), see lock.js. Anything without the `enc1:` prefix
+// is plaintext written before the lock was turned on.
+//
+// Random bytes come from expo-crypto on native (required lazily, like the other
+// native-only modules) and from the Web Crypto API in browsers. PBKDF2 also uses the
+// Web Crypto API where there is one, and falls back to crypto-js (same result, slower).
+
+import CryptoJS from 'crypto-js';
+
+const PREFIX = 'enc1:';
+// PBKDF2 rounds for a key derived from the passcode alone (OWASP's figure for
+// PBKDF2-SHA256), which is all that stands between a copy of the storage and the journal
+export const KDF_ITERATIONS = 600000;
+// Rounds when the derived key is also bound to a secret kept in the device keychain
+// (see lock.js). A copy of the storage is then useless without that secret, and PBKDF2
+// runs in plain JS on native, where 600k rounds would take most of a minute.
+export const DEVICE_BOUND_KDF_ITERATIONS = 20000;
+
+function randomWords(byteCount) {
+  let bytes = null;
+  try {
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    const ExpoCrypto = require('expo-crypto');
+    if (ExpoCrypto && typeof ExpoCrypto.getRandomBytes === 'function') bytes = ExpoCrypto.getRandomBytes(byteCount);
+  } catch (e) {
+    // not available — try the Web Crypto API below
+  }
+  if (!bytes && typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.getRandomValues) {
+    bytes = globalThis.crypto.getRandomValues(new Uint8Array(byteCount));
+  }
+  // Never fall back to Math.random for key material
+  if (!bytes) throw new Error('No secure random number generator available');
+  return CryptoJS.lib.WordArray.create(bytes);
+}
+
+export function randomHex(byteCount) {
+  return randomWords(byteCount).toString(CryptoJS.enc.Hex);
+}
+
+// A fresh data key as 64 hex characters
+export function generateDataKey() {
+  return randomHex(32);
+}
+
+const hexToBytes = (hex) => new Uint8Array(hex.match(/../g).map((byte) => parseInt(byte, 16)));
+const bytesToHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+// Derive a 256-bit key (hex) from a passcode and a hex salt. Resolves to the key.
+export async function deriveKey(passcode, saltHex, iterations = KDF_ITERATIONS) {
+  const subtle = typeof globalThis !== 'undefined' ? globalThis.crypto?.subtle : undefined;
+  if (subtle && typeof TextEncoder !== 'undefined') {
+    try {
+      const material = await subtle.importKey('raw', new TextEncoder().encode(passcode), 'PBKDF2', false, ['deriveBits']);
+      const bits = await subtle.deriveBits({ name: 'PBKDF2', salt: hexToBytes(saltHex), iterations, hash: 'SHA-256' }, material, 256);
+      return bytesToHex(new Uint8Array(bits));
+    } catch (e) {
+      // e.g. a browser without PBKDF2 support — derive in JS below
+    }
+  }
+  return CryptoJS.PBKDF2(passcode, CryptoJS.enc.Hex.parse(saltHex), {
+    keySize: 256 / 32,
+    iterations,
+    hasher: CryptoJS.algo.SHA256,
+  }).toString(CryptoJS.enc.Hex);
+}
+
+// Bind a derived key (hex) to another secret (hex): neither is enough without the other
+export function bindKey(keyHex, secretHex) {
+  return CryptoJS.HmacSHA256(CryptoJS.enc.Hex.parse(keyHex), CryptoJS.enc.Hex.parse(secretHex)).toString(CryptoJS.enc.Hex);
+}
+
+// Compare two strings in time that doesn't depend on where they differ
+function constantTimeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i += 1) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// Separate encryption and MAC keys from one key, so the same bits are never used for both
+function subKeys(keyHex) {
+  const key = CryptoJS.enc.Hex.parse(keyHex);
+  return {
+    enc: CryptoJS.HmacSHA256('enc', key),
+    mac: CryptoJS.HmacSHA256('mac', key),
+  };
+}
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+export function encryptString(plain, keyHex) {
+  const { enc, mac } = subKeys(keyHex);
+  const iv = randomWords(16);
+  const ciphertext = CryptoJS.AES.encrypt(plain, enc, { iv, mode: CryptoJS.mode.CBC, padding: CryptoJS.pad.Pkcs7 }).ciphertext;
+  const tag = CryptoJS.HmacSHA256(iv.clone().concat(ciphertext), mac);
+  const b64 = (words) => words.toString(CryptoJS.enc.Base64);
+  return `${PREFIX}${b64(iv)}:${b64(ciphertext)}:${b64(tag)}`;
+}
+
+// Throws if the value was not encrypted with `keyHex` or has been tampered with
+export function decryptString(value, keyHex) {
+  const parts = value.slice(PREFIX.length).split(':');
+  if (parts.length !== 3) throw new Error('Malformed encrypted value');
+  const [iv, ciphertext, tag] = parts.map((part) => CryptoJS.enc.Base64.parse(part));
+  const { enc, mac } = subKeys(keyHex);
+  const expected = CryptoJS.HmacSHA256(iv.clone().concat(ciphertext), mac).toString(CryptoJS.enc.Base64);
+  if (!constantTimeEqual(expected, parts[2])) throw new Error('Encrypted value failed verification');
+  const plain = CryptoJS.AES.decrypt(CryptoJS.lib.CipherParams.create({ ciphertext }), enc, {
+    iv,
+    mode: CryptoJS.mode.CBC,
+    padding: CryptoJS.pad.Pkcs7,
+  });
+  return plain.toString(CryptoJS.enc.Utf8);
+}
@@ -0,0 +1,120 @@
+// Date-key helpers. Journal days are keyed by local calendar date as 'YYYY-MM-DD'.
+// A journal day starts at the configured hour rather than at midnight, so writing
+// at 00:30 with a 4 AM start still goes to the evening before. Keys always follow
+// the device's current time zone: after travelling, "today" is the local date there.
+
+import { getLocale } from './i18n';
+
+// Hours after midnight that still belong to the previous journal day; see setDayStartHour
+let dayStartHour = 0;
+
+export function toDateKey(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+// Parse a 'YYYY-MM-DD' key as a local-time Date at midnight
+export function parseDateKey(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export function addDays(key, days) {
+  const d = parseDateKey(key);
+  d.setDate(d.getDate() + days);
+  return toDateKey(d);
+}
+
+// Hour (0–23) the journal day starts at; set from settings when they load or change
+export function setDayStartHour(hour) {
+  dayStartHour = Number.isInteger(hour) && hour >= 0 && hour < 24 ? hour : 0;
+}
+
+export function getDayStartHour() {
+  return dayStartHour;
+}
+
+// Journal day a moment belongs to
+export function getDayKey(date) {
+  const d = new Date(date);
+  if (d.getHours() < dayStartHour) d.setDate(d.getDate() - 1);
+  return toDateKey(d);
+}
+
+export function getTodayKey() {
+  return getDayKey(new Date());
+}
+
+// Milliseconds from `now` until the next journal day starts
+export function msUntilNextDay(now = new Date()) {
+  const next = new Date(now);
+  next.setHours(dayStartHour, 0, 0, 0);
+  if (next <= now) next.setDate(next.getDate() + 1);
+  return next - now;
+}
+
+// Minutes east of UTC on this device at `date`, e.g. 60 in Paris in winter
+export function utcOffsetOf(date = new Date()) {
+  return -new Date(date).getTimezoneOffset();
+}
+
+// The wall-clock time `at` showed where it was recorded, `offset` minutes east of UTC,
+// as a Date whose UTC fields hold that time
+function recordedClock(at, offset) {
+  return new Date(new Date(at).getTime() + offset * 60 * 1000);
+}
+
+// Hour of day (0–23) of `at` on the clock where it was recorded; without an `offset`
+// the device's current zone is assumed
+export function recordedHour(at, offset) {
+  return typeof offset === 'number' ? recordedClock(at, offset).getUTCHours() : new Date(at).getHours();
+}
+
+// Dates and times are formatted for the app's locale (see i18n.js)
+
+// 'YYYY-MM-DD' as a long date, e.g. 'March 4, 2025' or '4 de marzo de 2025'
+export function formatDateString(dateStr) {
+  return parseDateKey(dateStr).toLocaleDateString(getLocale(), { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// 'YYYY-MM-DD' as a compact day and month for chart axes, e.g. '3/4' or '4/3'
+export function formatShortDate(dateStr) {
+  return parseDateKey(dateStr).toLocaleDateString(getLocale(), { month: 'numeric', day: 'numeric' });
+}
+
+// 'YYYY-MM-DD' as its month, e.g. 'Mar' or 'March 2025'
+export function formatMonth(dateStr, { long = false, withYear = false } = {}) {
+  const options = { month: long ? 'long' : 'short' };
+  if (withYear) options.year = 'numeric';
+  return parseDateKey(dateStr).toLocaleDateString(getLocale(), options);
+}
+
+// Hours and minutes of a timestamp (ms or ISO string). With an `offset` (minutes east
+// of UTC) the time is shown as it was on the clock where it was recorded.
+export function formatTime(at, offset) {
+  if (typeof offset !== 'number') return new Date(at).toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' });
+  return recordedClock(at, offset).toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit', timeZone: 'UTC' });
+}
+
+// Date and time of a timestamp, e.g. for "cleared" or "last synced" notes
+export function formatDateTime(at) {
+  return `${new Date(at).toLocaleDateString(getLocale())} ${formatTime(at)}`;
+}
+
+// An hour of the day on its own, e.g. '3 PM' or '15'
+export function formatHour(hour) {
+  return new Date(2024, 0, 1, hour).toLocaleTimeString(getLocale(), { hour: 'numeric' });
+}
+
+// Name of a weekday (0 = Sunday), 'long' ('Monday') or 'narrow' ('M')
+export function formatWeekday(day, style = 'long') {
+  // 2024-01-07 was a Sunday
+  return new Date(2024, 0, 7 + day).toLocaleDateString(getLocale(), { weekday: style });
+}
+
+// One-letter weekday names, Sunday first
+export function weekdayInitials() {
+  return [...Array(7).keys()].map((d) => formatWeekday(d, 'narrow'));
+}
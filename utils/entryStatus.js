@@ -0,0 +1,47 @@
+// Completion helpers: which sections of an entry the user has actually filled in.
+
+import { hasRatings } from './ratings';
+
+const hasText = (v) => typeof v === 'string' && v.trim() !== '';
+
+export const SECTIONS = ['morning', 'midday', 'night'];
+
+export function isSectionFilled(entry, section) {
+  if (!entry) return false;
+  if (section === 'morning') {
+    return Array.isArray(entry.morning?.gratitude) && entry.morning.gratitude.some(hasText);
+  }
+  if (section === 'midday') {
+    return Object.values(entry.midday?.caught ?? {}).some(Boolean) || hasText(entry.midday?.reframe);
+  }
+  if (section === 'night') {
+    // A mood or energy rating on its own also counts as the night check-in
+    return Object.values(entry.night || {}).some(hasText) || hasRatings(entry);
+  }
+  return false;
+}
+
+export function getFilledSections(entry) {
+  return SECTIONS.filter((section) => isSectionFilled(entry, section));
+}
+
+// Share of the day's prompts that were answered: gratitude slots plus night
+// reflections, counted against the layout that was active on that day.
+// Returns { filled, total, pct } with pct in 0..100.
+export function getCompletion(entry) {
+  const layout = entry?.layout;
+  if (!layout) return { filled: 0, total: 0, pct: 0 };
+  const gratitude = (entry.morning?.gratitude ?? []).filter(hasText).length;
+  const night = layout.nightPrompts.filter((id) => hasText(entry.night?.[id])).length;
+  const total = layout.gratitudeCount + layout.nightPrompts.length;
+  const filled = Math.min(gratitude, layout.gratitudeCount) + night;
+  return { filled, total, pct: total ? Math.round((filled / total) * 100) : 0 };
+}
+
+// Filled gratitude items as a percentage of that day's gratitude slots
+export function getGratitudePct(entry) {
+  const count = entry?.layout?.gratitudeCount;
+  if (!count) return 0;
+  const filled = (entry.morning?.gratitude ?? []).filter(hasText).length;
+  return Math.round((Math.min(filled, count) / count) * 100);
+}
@@ -0,0 +1,234 @@
+// Journal export: serializers for a full-fidelity JSON backup, a one-row-per-day CSV
+// and a readable Markdown journal, plus a helper that hands the file to the user
+// (browser download on web, the platform share sheet on native).
+
+import { Platform, Share } from 'react-native';
+import { SCHEMA_VERSION, DEFAULT_LAYOUT, RATING_MAX } from './schema';
+import { formatDateString, getTodayKey } from './dates';
+import { getEntryNightPrompts, getEntryCategories, getCategory } from './prompts';
+import { t } from './i18n';
+import { countOccurrences, getOccurrences, formatOccurrenceTime } from './occurrences';
+import { RATING_KINDS, getRating } from './ratings';
+import { getTags } from './tags';
+
+export const BACKUP_KIND = 'three-c-journal-backup';
+
+// `labelKey` is the format's name in the translation catalogs
+export const EXPORT_FORMATS = {
+  json: { labelKey: 'export.formats.json', extension: 'json', mimeType: 'application/json' },
+  csv: { labelKey: 'export.formats.csv', extension: 'csv', mimeType: 'text/csv' },
+  markdown: { labelKey: 'export.formats.markdown', extension: 'md', mimeType: 'text/markdown' },
+};
+
+// The original night prompts keep the column names they had before prompts became
+// configurable; any other prompt id gets a `night_<id>` column
+const NIGHT_COLUMNS = { wentWell: 'went_well', handled: 'handled', improve: 'improve' };
+export const NIGHT_COLUMN_PREFIX = 'night_';
+
+export function nightColumn(id) {
+  return NIGHT_COLUMNS[id] || `${NIGHT_COLUMN_PREFIX}${id}`;
+}
+
+// Prompt id for a CSV column name, or null if it is not a night column
+export function nightIdFromColumn(column) {
+  const known = Object.keys(NIGHT_COLUMNS).find((id) => NIGHT_COLUMNS[id] === column.toLowerCase());
+  if (known) return known;
+  return column.toLowerCase().startsWith(NIGHT_COLUMN_PREFIX) ? column.slice(NIGHT_COLUMN_PREFIX.length) : null;
+}
+
+// Likewise the original three categories keep their `complaining` / `comparing` /
+// `criticizing` columns and any other category gets `caught_<id>`
+export const CATEGORY_COLUMN_PREFIX = 'caught_';
+
+export function categoryColumn(id) {
+  return DEFAULT_LAYOUT.categories.includes(id) ? id : `${CATEGORY_COLUMN_PREFIX}${id}`;
+}
+
+// Category id for a CSV column name, or null if it is not a category column
+export function categoryIdFromColumn(column) {
+  const lower = column.toLowerCase();
+  if (DEFAULT_LAYOUT.categories.includes(lower)) return lower;
+  return lower.startsWith(CATEGORY_COLUMN_PREFIX) ? column.slice(CATEGORY_COLUMN_PREFIX.length) : null;
+}
+
+// Tags share one cell per target, separated like this
+export const TAG_SEPARATOR = '; ';
+
+// Mood and energy columns are named after the rating kinds
+export const RATING_COLUMNS = Object.keys(RATING_KINDS);
+
+// Enough gratitude columns for the longest day and a column for every night prompt
+// and category any day used, so nothing is left out of the spreadsheet
+export function getCSVColumns(entries) {
+  let gratitudeCount = DEFAULT_LAYOUT.gratitudeCount;
+  const nightIds = [...DEFAULT_LAYOUT.nightPrompts];
+  const categoryIds = [...DEFAULT_LAYOUT.categories];
+  const collect = (ids, found) => found.forEach((id) => { if (!ids.includes(id)) ids.push(id); });
+  Object.values(entries || {}).forEach((entry) => {
+    gratitudeCount = Math.max(gratitudeCount, entry?.morning?.gratitude?.length ?? 0);
+    collect(nightIds, [...(entry?.layout?.nightPrompts ?? []), ...Object.keys(entry?.night ?? {})]);
+    collect(categoryIds, [...(entry?.layout?.categories ?? []), ...Object.keys(entry?.midday?.caught ?? {})]);
+  });
+  return {
+    gratitudeCount,
+    nightIds,
+    categoryIds,
+    columns: [
+      'date',
+      'tags',
+      ...Array.from({ length: gratitudeCount }, (_, i) => `gratitude_${i + 1}`),
+      ...categoryIds.map(categoryColumn),
+      'reframe',
+      'reframe_tags',
+      ...nightIds.map(nightColumn),
+      ...RATING_COLUMNS,
+    ],
+  };
+}
+
+function sortedDates(entries) {
+  return Object.keys(entries || {}).sort((a, b) => a.localeCompare(b));
+}
+
+export function toJSONBackup(entries) {
+  return JSON.stringify({
+    kind: BACKUP_KIND,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries: entries || {},
+  }, null, 2);
+}
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  // RFC 4180: quote cells containing separators, quotes or line breaks
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(entries) {
+  const { gratitudeCount, nightIds, categoryIds, columns } = getCSVColumns(entries);
+  const rows = [columns];
+  sortedDates(entries).forEach((date) => {
+    const entry = entries[date] || {};
+    const gratitude = entry.morning?.gratitude ?? [];
+    const caught = entry.midday?.caught ?? {};
+    rows.push([
+      date,
+      getTags(entry, 'day').join(TAG_SEPARATOR),
+      ...Array.from({ length: gratitudeCount }, (_, i) => gratitude[i]),
+      ...categoryIds.map((id) => (caught[id] ? 'true' : 'false')),
+      entry.midday?.reframe,
+      getTags(entry, 'reframe').join(TAG_SEPARATOR),
+      ...nightIds.map((id) => entry.night?.[id]),
+      ...RATING_COLUMNS.map((kind) => getRating(entry, kind)),
+    ]);
+  });
+  return rows.map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+const hashtags = (tags) => tags.map((tag) => `#${tag}`).join(' ');
+
+// `journal` (settings.journal) supplies the reflection and category labels. Headings
+// are written in the app's current language.
+export function toMarkdown(entries, journal) {
+  const lines = [`# ${t('export.markdownTitle')}`, ''];
+  const dates = sortedDates(entries);
+  if (dates.length === 0) lines.push(`_${t('export.noEntries')}_`, '');
+
+  dates.forEach((date) => {
+    const entry = entries[date] || {};
+    lines.push(`## ${formatDateString(date)}`, '');
+    const tags = getTags(entry, 'day');
+    if (tags.length) lines.push(`**${t('tags.title')}:** ${hashtags(tags)}`, '');
+
+    const gratitude = (entry.morning?.gratitude ?? []).filter((g) => g && g.trim());
+    lines.push(`### ${t('sections.morning')}`, '');
+    if (gratitude.length) gratitude.forEach((g) => lines.push(`- ${g.trim()}`));
+    else lines.push(`_${t('export.nothingRecorded')}_`);
+    lines.push('');
+
+    const caught = getEntryCategories(entry, journal?.categories)
+      .filter(({ id }) => entry.midday?.caught?.[id])
+      .map(({ id, label }) => (countOccurrences(entry, id) > 1 ? `${label} ×${countOccurrences(entry, id)}` : label));
+    const reframe = (entry.midday?.reframe ?? '').trim();
+    lines.push(`### ${t('sections.midday')}`, '');
+    lines.push(`**${t('export.caught')}:** ${caught.length ? caught.join(', ') : t('export.none')}`);
+    const occurrences = getOccurrences(entry);
+    if (occurrences.length) {
+      lines.push('');
+      occurrences.forEach((o) => {
+        const note = o.note.trim() ? ` — ${o.note.trim()}` : '';
+        lines.push(`- ${formatOccurrenceTime(o)} ${getCategory(journal?.categories, o.category).label}${note}`);
+      });
+    }
+    const reframeTags = getTags(entry, 'reframe');
+    if (reframe) lines.push('', `**${t('prompts.reframe')}:** ${reframe}${reframeTags.length ? ` (${hashtags(reframeTags)})` : ''}`);
+    lines.push('');
+
+    const reflections = getEntryNightPrompts(entry, journal?.nightPrompts).filter(({ id }) => entry.night?.[id] && entry.night[id].trim());
+    const ratings = Object.keys(RATING_KINDS)
+      .filter((kind) => getRating(entry, kind) !== null)
+      .map((kind) => `**${t(RATING_KINDS[kind])}:** ${getRating(entry, kind)}/${RATING_MAX}`);
+    lines.push(`### ${t('sections.night')}`, '');
+    if (reflections.length) {
+      reflections.forEach(({ id, label }) => lines.push(`- **${label}:** ${entry.night[id].trim()}`));
+    } else if (!ratings.length) {
+      lines.push(`_${t('export.nothingRecorded')}_`);
+    }
+    if (ratings.length) lines.push(...(reflections.length ? [''] : []), ratings.join(' · '));
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+const SERIALIZERS = { json: toJSONBackup, csv: toCSV, markdown: toMarkdown };
+
+function downloadOnWeb(filename, mimeType, content) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function shareOnNative(filename, mimeType, content) {
+  // Prefer sharing a real file; expo-file-system/expo-sharing are required lazily
+  // (same reasoning as the AsyncStorage wrapper in storage.js).
+  try {
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    const { File, Paths } = require('expo-file-system');
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    const Sharing = require('expo-sharing');
+    if (await Sharing.isAvailableAsync()) {
+      const file = new File(Paths.cache, filename);
+      if (file.exists) file.delete();
+      file.create();
+      file.write(content);
+      await Sharing.shareAsync(file.uri, { mimeType, dialogTitle: filename });
+      return;
+    }
+  } catch (e) {
+    console.warn('File sharing unavailable, falling back to text share', e);
+  }
+  // Fallback: share the contents as text through the built-in share sheet
+  await Share.share({ title: filename, message: content });
+}
+
+// Serialize `entries` in the given format and hand the file to the user.
+export async function exportJournal(entries, format, journal) {
+  const spec = EXPORT_FORMATS[format];
+  const serialize = SERIALIZERS[format];
+  if (!spec || !serialize) throw new Error(`Unknown export format: ${format}`);
+
+  const content = serialize(entries, journal);
+  const filename = `3c-journal-${getTodayKey()}.${spec.extension}`;
+  if (Platform.OS === 'web') downloadOnWeb(filename, spec.mimeType, content);
+  else await shareOnNative(filename, spec.mimeType, content);
+  return filename;
+}
@@ -0,0 +1,174 @@
+// Translations and locale settings. The app language is a preference ('system' follows
+// the device) resolved to one of LANGUAGES; `t()` looks strings up in that language's
+// catalog (utils/locales), falling back to English, so it works in utils as well as
+// components. Components read the language through I18nContext so they re-render when
+// it changes.
+//
+// Catalog values may contain {name} placeholders, and plural values are objects keyed
+// by plural category ('zero', 'one', 'two', 'few', 'many', 'other'), chosen by
+// `params.count`.
+//
+// expo-localization is required lazily, like the other native modules; without it the
+// browser's language list is used.
+
+import { I18nManager, Platform } from 'react-native';
+import en from './locales/en';
+import es from './locales/es';
+import ar from './locales/ar';
+
+// Each language's own name, so it can be recognised whatever the current language is
+export const LANGUAGES = {
+  en: 'English',
+  es: 'Español',
+  ar: 'العربية',
+};
+
+const CATALOGS = { en, es, ar };
+const RTL_LANGUAGES = ['ar'];
+// First day of the week when the device doesn't say (0 = Sunday)
+const DEFAULT_FIRST_DAY = { en: 0, es: 1, ar: 6 };
+
+let language = 'en';
+// BCP 47 tag used for dates and numbers, e.g. 'es-MX' when the device is set to it
+let locale = 'en';
+let firstDay = DEFAULT_FIRST_DAY.en;
+
+function getLocalization() {
+  try {
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    return require('expo-localization');
+  } catch (e) {
+    return null;
+  }
+}
+
+// [{ languageCode, languageTag }] in the user's order of preference
+function deviceLocales() {
+  const Localization = getLocalization();
+  if (Localization && typeof Localization.getLocales === 'function') {
+    try {
+      return Localization.getLocales();
+    } catch (e) {
+      console.warn('Could not read device locales', e);
+    }
+  }
+  const tags = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+  return tags.filter(Boolean).map((tag) => ({ languageCode: tag.split('-')[0], languageTag: tag }));
+}
+
+// 0 = Sunday … 6 = Saturday, or null when the device doesn't say
+function deviceFirstDay() {
+  const Localization = getLocalization();
+  if (!Localization || typeof Localization.getCalendars !== 'function') return null;
+  try {
+    // expo-localization counts weekdays from 1 = Sunday
+    const weekday = Localization.getCalendars()[0]?.firstWeekday;
+    return typeof weekday === 'number' ? weekday - 1 : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Language code for a preference: 'system' picks the first supported device language
+export function resolveLanguage(preference) {
+  if (CATALOGS[preference]) return preference;
+  const match = deviceLocales().find((l) => CATALOGS[l.languageCode]);
+  return match ? match.languageCode : 'en';
+}
+
+// Make `preference` the active language. `firstDayPreference` is a weekday number or
+// null to follow the device (or the language's usual first day).
+export function setLanguage(preference, firstDayPreference = null) {
+  language = resolveLanguage(preference);
+  const device = deviceLocales().find((l) => l.languageCode === language);
+  locale = device ? device.languageTag : language;
+  if (typeof firstDayPreference === 'number') firstDay = firstDayPreference;
+  else firstDay = (device && deviceFirstDay()) ?? DEFAULT_FIRST_DAY[language];
+  return language;
+}
+
+export function getLanguage() {
+  return language;
+}
+
+export function getLocale() {
+  return locale;
+}
+
+export function getFirstDayOfWeek() {
+  return firstDay;
+}
+
+export function isRTL(code = language) {
+  return RTL_LANGUAGES.includes(code);
+}
+
+function pluralCategory(code, n) {
+  if (code === 'ar') {
+    const mod = n % 100;
+    if (n === 0) return 'zero';
+    if (n === 1) return 'one';
+    if (n === 2) return 'two';
+    if (mod >= 3 && mod <= 10) return 'few';
+    if (mod >= 11) return 'many';
+    return 'other';
+  }
+  return n === 1 ? 'one' : 'other';
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+// The string for `key` in the active language, with {placeholders} filled from `params`
+export function t(key, params = {}) {
+  let code = language;
+  let value = lookup(CATALOGS[code], key);
+  if (value === undefined) {
+    code = 'en';
+    value = lookup(en, key);
+  }
+  if (value === undefined) return key;
+  if (typeof value === 'object') {
+    value = value[pluralCategory(code, params.count)] ?? value.other;
+  }
+  return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+// The value of `key` in every catalog, e.g. to recognise a default label saved in
+// another language
+export function allTranslations(key) {
+  return Object.values(CATALOGS).map((catalog) => lookup(catalog, key)).filter((v) => typeof v === 'string');
+}
+
+// Month and weekday names in the active locale, in the shape react-native-calendars'
+// LocaleConfig expects
+export function calendarLocale() {
+  const months = [...Array(12).keys()].map((m) => new Date(2024, m, 1));
+  // 2024-01-07 was a Sunday
+  const weekdays = [...Array(7).keys()].map((d) => new Date(2024, 0, 7 + d));
+  return {
+    monthNames: months.map((d) => d.toLocaleDateString(locale, { month: 'long' })),
+    monthNamesShort: months.map((d) => d.toLocaleDateString(locale, { month: 'short' })),
+    dayNames: weekdays.map((d) => d.toLocaleDateString(locale, { weekday: 'long' })),
+    dayNamesShort: weekdays.map((d) => d.toLocaleDateString(locale, { weekday: 'short' })),
+    today: t('common.today'),
+  };
+}
+
+// Switch the layout direction to match the active language. Native apps only pick up
+// the new direction after a restart, so this returns true when one is needed.
+export function applyLayoutDirection() {
+  const rtl = isRTL();
+  if (Platform.OS === 'web') {
+    if (typeof document !== 'undefined') {
+      document.documentElement.dir = rtl ? 'rtl' : 'ltr';
+      document.documentElement.lang = locale;
+    }
+    return false;
+  }
+  if (I18nManager.isRTL === rtl) return false;
+  I18nManager.allowRTL(rtl);
+  I18nManager.forceRTL(rtl);
+  return true;
+}
@@ -0,0 +1,320 @@
+// Journal import: read a JSON or CSV backup (as written by exportJournal.js or an
+// older build), validate it against the entry shape, and work out how it lines up
+// with the local journal so the user can choose what happens to each conflicting day.
+
+import { Platform } from 'react-native';
+import { getEmptyEntry, upgradeStore, validateEntries, DEFAULT_LAYOUT, MAX_GRATITUDE, ID_RE } from './schema';
+import { nightIdFromColumn, categoryIdFromColumn, RATING_COLUMNS } from './exportJournal';
+import { getRating } from './ratings';
+import { normalizeTag, getTags } from './tags';
+import { t } from './i18n';
+
+// Ways to resolve a conflicting day, with the translation key of each label
+export const CONFLICT_CHOICES = {
+  local: 'import.choices.local',
+  imported: 'import.choices.imported',
+  merge: 'import.choices.merge',
+};
+
+// Minimal RFC 4180 parser: quoted cells, escaped quotes and embedded line breaks.
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // Drop blank lines
+  return rows.filter((r) => r.some((c) => c !== ''));
+}
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x'];
+
+// A tags cell: separated by TAG_SEPARATOR (see exportJournal.js), though commas are accepted too
+function parseTags(cell) {
+  const tags = cell.split(/[;,]/).map(normalizeTag).filter(Boolean);
+  return [...new Set(tags)];
+}
+
+// `{ entries, duplicates }`: a date found on several rows gets one entry, merged
+// (mergeEntries) in row order, and is listed in `duplicates`
+function csvToEntries(text) {
+  const [header, ...rows] = parseCSV(text.replace(/^﻿/, ''));
+  if (!header) throw new Error(t('import.errors.emptyCsv'));
+  const rawColumns = header.map((h) => h.trim());
+  const columns = rawColumns.map((c) => c.toLowerCase());
+  if (!columns.includes('date')) throw new Error(t('import.errors.noDateColumn'));
+
+  // Every row gets the layout described by the header: one gratitude slot per
+  // gratitude_N column, one night prompt per night column and one category per
+  // category column
+  let gratitudeCount = 0;
+  const nightColumns = {};
+  const categoryColumns = {};
+  const unknown = [];
+  rawColumns.forEach((raw, idx) => {
+    const column = columns[idx];
+    const gratitude = /^gratitude_(\d+)$/.exec(column);
+    const nightId = nightIdFromColumn(raw);
+    const categoryId = categoryIdFromColumn(raw);
+    if (!column || ['date', 'tags', 'reframe', 'reframe_tags'].includes(column) || RATING_COLUMNS.includes(column)) return;
+    if (gratitude && Number(gratitude[1]) >= 1 && Number(gratitude[1]) <= MAX_GRATITUDE) {
+      gratitudeCount = Math.max(gratitudeCount, Number(gratitude[1]));
+    } else if (nightId && ID_RE.test(nightId)) {
+      nightColumns[nightId] = idx;
+    } else if (categoryId && ID_RE.test(categoryId)) {
+      categoryColumns[categoryId] = idx;
+    } else {
+      unknown.push(raw);
+    }
+  });
+  if (unknown.length) throw new Error(t('import.errors.unknownColumns', { columns: unknown.join(', ') }));
+  const layout = {
+    gratitudeCount: gratitudeCount || DEFAULT_LAYOUT.gratitudeCount,
+    nightPrompts: Object.keys(nightColumns).length ? Object.keys(nightColumns) : [...DEFAULT_LAYOUT.nightPrompts],
+    categories: Object.keys(categoryColumns).length ? Object.keys(categoryColumns) : [...DEFAULT_LAYOUT.categories],
+  };
+
+  const entries = {};
+  const duplicates = new Set();
+  rows.forEach((cells) => {
+    const get = (name) => {
+      const idx = columns.indexOf(name);
+      return idx >= 0 && cells[idx] !== undefined ? cells[idx] : '';
+    };
+    const entry = getEmptyEntry(layout);
+    entry.morning.gratitude = entry.morning.gratitude.map((_, i) => get(`gratitude_${i + 1}`));
+    Object.keys(categoryColumns).forEach((id) => {
+      entry.midday.caught[id] = TRUE_VALUES.includes((cells[categoryColumns[id]] ?? '').trim().toLowerCase());
+    });
+    entry.midday.reframe = get('reframe');
+    entry.tags = parseTags(get('tags'));
+    entry.midday.reframeTags = parseTags(get('reframe_tags'));
+    Object.keys(nightColumns).forEach((id) => {
+      entry.night[id] = cells[nightColumns[id]] ?? '';
+    });
+    // Out-of-range ratings are left for validateEntries to drop
+    RATING_COLUMNS.forEach((kind) => {
+      const value = get(kind).trim();
+      entry.ratings[kind] = value === '' ? null : Number(value);
+    });
+    // Invalid dates are left for validateEntries to reject
+    const date = get('date').trim();
+    if (entries[date]) {
+      duplicates.add(date);
+      entries[date] = mergeEntries(entries[date], entry);
+    } else {
+      entries[date] = entry;
+    }
+  });
+  return { entries, duplicates: [...duplicates].sort() };
+}
+
+function looksLikeJSON(text, filename) {
+  if (filename && /\.json$/i.test(filename)) return true;
+  if (filename && /\.csv$/i.test(filename)) return false;
+  return /^\s*[{[]/.test(text);
+}
+
+// Parse backup text into `{ entries, rejected, duplicates }`. `rejected` lists the days
+// that could not be read as entries ({ key, reason }); `duplicates` the dates a CSV has
+// on several rows. Throws on unreadable files and on backups from a newer app version,
+// whose fields this version would drop.
+export function parseBackup(text, filename = '') {
+  let entries;
+  let rejected = [];
+  let duplicates = [];
+  if (looksLikeJSON(text, filename)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(t('import.errors.invalidJson'));
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(t('import.errors.notAJournal'));
+    }
+    // Backups, stored envelopes and bare legacy maps all go through the normal migrations
+    const { store, newer } = upgradeStore(data);
+    if (newer) throw new Error(t('import.errors.newerVersion'));
+    entries = store.entries;
+    rejected = Object.keys(store.quarantine)
+      .filter((key) => !(data.quarantine && key in data.quarantine))
+      .map((key) => ({ key, reason: store.quarantine[key].reason }));
+  } else {
+    const rows = csvToEntries(text);
+    const validated = validateEntries(rows.entries);
+    duplicates = rows.duplicates.filter((date) => validated.entries[date]);
+    entries = validated.entries;
+    rejected = Object.keys(validated.quarantine).map((key) => ({ key, reason: validated.quarantine[key].reason }));
+  }
+  return { entries, rejected, duplicates };
+}
+
+const hasText = (v) => typeof v === 'string' && v.trim() !== '';
+
+function sameEntry(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+const filledOnly = (map) => Object.keys(map ?? {}).sort()
+  .filter((key) => hasText(map[key]))
+  .map((key) => [key, map[key]]);
+
+// What a day says, without its layout or the slots and prompts left empty: a CSV row
+// gets every column of the file, so its layout rarely matches the local one
+function contentOf(entry, withOccurrences) {
+  return {
+    gratitude: filledOnly({ ...(entry.morning?.gratitude ?? []) }),
+    caught: Object.keys(entry.midday?.caught ?? {}).filter((id) => entry.midday.caught[id]).sort(),
+    reframe: hasText(entry.midday?.reframe) ? entry.midday.reframe : '',
+    night: filledOnly(entry.night),
+    tags: [...getTags(entry, 'day')].sort(),
+    reframeTags: [...getTags(entry, 'reframe')].sort(),
+    ratings: Object.keys(entry.ratings ?? {}).sort().map((kind) => [kind, getRating(entry, kind)]).filter(([, v]) => v !== null),
+    occurrences: withOccurrences ? [...(entry.midday?.occurrences ?? [])].sort((x, y) => x.id.localeCompare(y.id)) : [],
+  };
+}
+
+// Whether an imported day adds nothing to the local one. A CSV has no columns for
+// logged occurrences, so they are only compared when the imported day has any.
+function sameContent(local, imported) {
+  const withOccurrences = (imported.midday?.occurrences ?? []).length > 0;
+  return sameEntry(contentOf(local, withOccurrences), contentOf(imported, withOccurrences));
+}
+
+// Compare imported days with the local journal:
+//   added     — days that only exist in the import
+//   conflicts — days present in both with different content
+//   identical — days present in both with the same content (skipped)
+export function buildImportPlan(local, imported) {
+  const plan = { added: [], conflicts: [], identical: [] };
+  Object.keys(imported).sort().forEach((date) => {
+    if (!local[date]) plan.added.push(date);
+    else if (sameContent(local[date], imported[date])) plan.identical.push(date);
+    else plan.conflicts.push(date);
+  });
+  return plan;
+}
+
+
+// Field-by-field merge: local text wins where it exists and imported text fills
+// the gaps (e.g. empty gratitude slots), ratings likewise; a category counts as caught
+// if either says so, and tags from both sides are kept.
+// The merged day shows every gratitude slot and night prompt either side had.
+export function mergeEntries(local, imported) {
+  const localLayout = local.layout ?? DEFAULT_LAYOUT;
+  const importedLayout = imported.layout ?? DEFAULT_LAYOUT;
+  const merged = getEmptyEntry({
+    gratitudeCount: Math.max(localLayout.gratitudeCount, importedLayout.gratitudeCount),
+    nightPrompts: [...new Set([...localLayout.nightPrompts, ...importedLayout.nightPrompts])],
+    categories: [...new Set([...localLayout.categories, ...importedLayout.categories])],
+  });
+  const slots = Math.max(merged.morning.gratitude.length, local.morning?.gratitude?.length ?? 0, imported.morning?.gratitude?.length ?? 0);
+  merged.morning.gratitude = Array.from({ length: slots }, (_, i) => {
+    const l = local.morning?.gratitude?.[i];
+    return hasText(l) ? l : (imported.morning?.gratitude?.[i] ?? '');
+  });
+  const categoryIds = new Set([...Object.keys(merged.midday.caught), ...Object.keys(local.midday?.caught ?? {}), ...Object.keys(imported.midday?.caught ?? {})]);
+  categoryIds.forEach((id) => {
+    merged.midday.caught[id] = !!(local.midday?.caught?.[id] || imported.midday?.caught?.[id]);
+  });
+  // Tally occurrences from both sides, once each
+  const occurrences = [...(local.midday?.occurrences ?? [])];
+  (imported.midday?.occurrences ?? []).forEach((o) => {
+    if (!occurrences.some((l) => l.id === o.id)) occurrences.push(o);
+  });
+  merged.midday.occurrences = occurrences.sort((a, b) => a.at.localeCompare(b.at));
+  merged.midday.reframe = hasText(local.midday?.reframe) ? local.midday.reframe : (imported.midday?.reframe ?? '');
+  const nightIds = new Set([...Object.keys(merged.night), ...Object.keys(local.night ?? {}), ...Object.keys(imported.night ?? {})]);
+  nightIds.forEach((id) => {
+    merged.night[id] = hasText(local.night?.[id]) ? local.night[id] : (imported.night?.[id] ?? '');
+  });
+  merged.tags = [...new Set([...getTags(local, 'day'), ...getTags(imported, 'day')])];
+  merged.midday.reframeTags = [...new Set([...getTags(local, 'reframe'), ...getTags(imported, 'reframe')])];
+  Object.keys(merged.ratings).forEach((kind) => {
+    merged.ratings[kind] = getRating(local, kind) ?? getRating(imported, kind);
+  });
+  return merged;
+}
+
+// Turn a plan plus per-conflict choices ({ date: 'local' | 'imported' | 'merge' })
+// into the `{ date: entry }` map of days that need to be written.
+export function resolveImport(local, imported, plan, choices) {
+  const writes = {};
+  plan.added.forEach((date) => { writes[date] = imported[date]; });
+  plan.conflicts.forEach((date) => {
+    const choice = choices[date] || 'local';
+    if (choice === 'imported') writes[date] = imported[date];
+    else if (choice === 'merge') {
+      const merged = mergeEntries(local[date], imported[date]);
+      if (!sameEntry(merged, local[date])) writes[date] = merged;
+    }
+  });
+  return writes;
+}
+
+function pickOnWeb() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,.csv,application/json,text/csv';
+    input.onchange = () => {
+      const file = input.files && input.files[0];
+      if (!file) {
+        resolve(null);
+        return;
+      }
+      file.text().then((text) => resolve({ name: file.name, text }), reject);
+    };
+    input.click();
+  });
+}
+
+async function pickOnNative() {
+  // Required lazily, like the other native-only modules
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const DocumentPicker = require('expo-document-picker');
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const { File } = require('expo-file-system');
+  const result = await DocumentPicker.getDocumentAsync({
+    type: ['application/json', 'text/csv', 'text/comma-separated-values', 'text/plain'],
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled || !result.assets || !result.assets[0]) return null;
+  const asset = result.assets[0];
+  return { name: asset.name, text: await new File(asset.uri).text() };
+}
+
+// Let the user choose a backup file. Resolves to `{ name, text }`, or null if cancelled.
+export function pickBackupFile() {
+  return Platform.OS === 'web' ? pickOnWeb() : pickOnNative();
+}
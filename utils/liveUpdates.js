@@ -0,0 +1,57 @@
+// Live updates between app instances that share this device's storage.
+//
+// Web: every open tab writes to the same localStorage, and the browser fires a `storage`
+// event in the *other* tabs for each change, so a tab re-reads the changed day.
+// Native: windows of the app (e.g. split view on tablets) share one JS runtime but each
+// renders its own copy of the journal, so every written batch is broadcast through
+// DeviceEventEmitter. Each window passes its instance id (createInstanceId) as the
+// `origin` of its saveDay/removeDay calls, and isn't sent back its own changes.
+//
+// Subscribers receive { date: entry | null } for days changed elsewhere, and should
+// still skip days that already match what they show.
+
+import { DeviceEventEmitter, Platform } from 'react-native';
+import { addWriteListener, reloadDay, dateFromKey } from './storage';
+
+const DAYS_EVENT = 'three_c:days-written';
+
+let lastInstance = 0;
+
+// An id for one window of the app, unique within this JS runtime
+export function createInstanceId() {
+  lastInstance += 1;
+  return `instance-${lastInstance}`;
+}
+
+if (Platform.OS !== 'web') {
+  addWriteListener((batch, origins) => {
+    DeviceEventEmitter.emit(DAYS_EVENT, { days: Object.fromEntries(batch), origins: Object.fromEntries(origins) });
+  });
+}
+
+// Calls `onChange` with the days changed by anyone but `instanceId`. Returns an
+// unsubscribe function.
+export function subscribeToDayChanges(onChange, instanceId = null) {
+  if (Platform.OS !== 'web') {
+    const sub = DeviceEventEmitter.addListener(DAYS_EVENT, ({ days, origins }) => {
+      const changes = {};
+      Object.keys(days).forEach((date) => {
+        if (!instanceId || origins[date] !== instanceId) changes[date] = days[date];
+      });
+      if (Object.keys(changes).length) onChange(changes);
+    });
+    return () => sub.remove();
+  }
+  if (typeof window === 'undefined' || typeof window.addEventListener !== 'function') return () => {};
+
+  const handleStorage = (event) => {
+    const date = dateFromKey(event.key);
+    if (!date) return;
+    reloadDay(date)
+      .then((entry) => onChange({ [date]: entry }))
+      // e.g. this tab is still locked and can't decrypt the day yet
+      .catch((e) => console.warn(`Could not reload ${date}`, e));
+  };
+  window.addEventListener('storage', handleStorage);
+  return () => window.removeEventListener('storage', handleStorage);
+}
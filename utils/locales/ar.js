@@ -0,0 +1,484 @@
+// Arabic strings. Counted phrases use Arabic's plural categories (zero, one, two, few,
+// many, other); see pluralCategory in i18n.js.
+
+const ar = {
+  common: {
+    apply: 'تطبيق',
+    cancel: 'إلغاء',
+    close: 'إغلاق',
+    delete: 'حذف',
+    error: 'خطأ',
+    loading: 'جارٍ التحميل…',
+    ok: 'موافق',
+    optional: 'اختياري',
+    redo: 'إعادة',
+    remove: 'إزالة',
+    restore: 'استعادة',
+    today: 'اليوم',
+    undo: 'تراجع',
+  },
+  tabs: {
+    home: 'الرئيسية',
+    history: 'السجل',
+    performance: 'التقدم',
+    search: 'بحث',
+    settings: 'الإعدادات',
+  },
+  app: {
+    title: 'اكسر دائرة الـ3C — بداية يومية جديدة',
+  },
+  sections: {
+    morning: 'الصباح — الامتنان (دقيقتان)',
+    midday: 'الظهيرة — مراجعة الوعي (دقيقة واحدة)',
+    night: 'المساء — تأمل النمو (دقيقتان)',
+  },
+  prompts: {
+    gratitude: {
+      one: 'اكتب شيئًا واحدًا تشعر بالامتنان له',
+      two: 'اكتب شيئين تشعر بالامتنان لهما',
+      few: 'اكتب {count} أشياء تشعر بالامتنان لها',
+      other: 'اكتب {count} شيئًا تشعر بالامتنان له',
+    },
+    gratitudeItem: 'امتنان {number}',
+    caught: 'هل لاحظت أيًّا من هذه؟',
+    reframe: 'إعادة صياغة / ملاحظة',
+    reframePlaceholder: 'كيف يمكنني أن أرى هذا بشكل مختلف؟',
+    reflection: 'تأمل',
+  },
+  defaults: {
+    nightPrompts: {
+      wentWell: { label: 'شيء سار على ما يرام', placeholder: 'سار جيدًا...' },
+      handled: { label: 'شيء تعاملت معه أفضل من قبل', placeholder: 'تعاملت معه أفضل...' },
+      improve: { label: 'شيء أحسّنه غدًا', placeholder: 'أحسّنه غدًا...' },
+    },
+    categories: {
+      complaining: { label: 'الشكوى' },
+      comparing: { label: 'المقارنة' },
+      criticizing: { label: 'الانتقاد' },
+    },
+  },
+  home: {
+    clear: 'مسح',
+    clearConfirm: 'هل تريد مسح هذا اليوم؟ سيبقى في سلة المهملات لمدة {count} يومًا.',
+    movedToTrash: 'نُقل {date} إلى سلة المهملات',
+  },
+  history: {
+    summaryCounts: 'الامتنان: {gratitude} • الملاحظات: {caught} • المساء: {night}',
+    lastSevenDays: 'آخر 7 أيام — ملخص',
+    noEntriesYet: 'لا توجد إدخالات بعد — ستظهر هنا بعد الحفظ.',
+    legendPartial: 'جزئي',
+    legendFull: 'كل الأقسام الثلاثة',
+    legendStreak: 'سلسلة',
+    selectDate: 'اختر تاريخًا لعرض الإدخال',
+  },
+  dayDetail: {
+    edit: 'تعديل هذا اليوم',
+    empty: 'لم يُسجَّل شيء في هذا اليوم.',
+  },
+  versions: {
+    title: 'النسخ السابقة',
+    empty: 'لا توجد نسخ سابقة بعد. تُحفظ عندما تتوقف قليلًا أثناء الكتابة.',
+    sameAsNow: 'النص نفسه كما الآن',
+    textsDiffer: {
+      one: 'نص واحد مختلف',
+      two: 'نصان مختلفان',
+      few: '{count} نصوص مختلفة',
+      other: '{count} نصًا مختلفًا',
+    },
+    restoreText: 'استعادة هذا النص',
+    restoreAll: 'استعادة النسخة كاملة',
+  },
+  occurrences: {
+    notePlaceholder: 'أضف ملاحظة',
+  },
+  tags: {
+    title: 'الوسوم',
+    dayLabel: 'وسوم هذا اليوم',
+    placeholder: 'أضف وسمًا، مثل عمل',
+    reframePlaceholder: 'ضع وسمًا لإعادة الصياغة هذه',
+    remove: 'إزالة الوسم {tag}',
+    allDays: 'كل الأيام',
+    chartsFiltered: 'لا تحتسب الرسوم البيانية إلا الأيام الموسومة بـ #{tag}؛ وتُعد الأيام الأخرى فارغة.',
+  },
+  search: {
+    placeholder: 'ابحث في الامتنان وإعادة الصياغة والتأملات',
+    noMatches: 'لا نتائج',
+    matches: {
+      one: 'نتيجة واحدة',
+      two: 'نتيجتان',
+      few: '{count} نتائج',
+      other: '{count} نتيجة',
+    },
+    showing: '(يُعرض {count})',
+    hint: 'اكتب للبحث في كل الأيام ({count}).',
+  },
+  trash: {
+    title: 'سلة المهملات',
+    retention: 'تُحفظ الأيام الممسوحة هنا لمدة {count} يومًا ثم تُحذف.',
+    isEmpty: 'سلة المهملات فارغة.',
+    cleared: 'مُسح {time}',
+    daysLeft: {
+      zero: 'لم يبقَ أي يوم',
+      one: 'بقي يوم واحد',
+      two: 'بقي يومان',
+      few: 'بقيت {count} أيام',
+      other: 'بقي {count} يومًا',
+    },
+    deleteForever: 'حذف نهائي',
+    deleteConfirm: 'هل تريد حذف {date} نهائيًا؟ لا يمكن التراجع عن ذلك.',
+    empty: 'إفراغ سلة المهملات',
+    emptyAction: 'إفراغ',
+    emptyConfirm: 'هل تريد حذف كل الأيام في سلة المهملات نهائيًا؟ لا يمكن التراجع عن ذلك.',
+  },
+  settings: {
+    title: 'الإعدادات',
+    appearance: {
+      title: 'المظهر',
+      description: 'استخدم مظهرًا فاتحًا أو داكنًا، أو طابق جهازك.',
+    },
+    theme: {
+      system: 'حسب النظام',
+      light: 'فاتح',
+      dark: 'داكن',
+    },
+    language: {
+      title: 'اللغة والمنطقة',
+      description: 'لغة التطبيق، واليوم الذي يبدأ به الأسبوع في التقويم.',
+      system: 'لغة الجهاز',
+      firstDay: 'أول أيام الأسبوع',
+      automatic: 'تلقائي',
+    },
+    restartTitle: 'يلزم إعادة التشغيل',
+    restartForDirection: 'أغلق التطبيق وافتحه مجددًا لتغيير اتجاه الواجهة.',
+    dayStart: {
+      title: 'بداية اليوم',
+      description: 'ما تكتبه قبل هذه الساعة يُحسب لليوم السابق، فتبقى تأملات آخر الليل مع مسائها.',
+      midnight: 'منتصف الليل',
+    },
+    reminders: {
+      title: 'التذكيرات',
+      description: 'احصل على تنبيه لكل ممارسة في الأيام التي تختارها.',
+    },
+    journal: {
+      title: 'أسئلة اليوميات',
+      description: 'اختر عدد الأشياء التي تمتن لها وما تتأمل فيه مساءً.',
+    },
+    categories: {
+      title: 'فئات الوعي',
+      description: 'العادات التي تراقبها في مراجعة الظهيرة.',
+    },
+    sync: {
+      title: 'المزامنة',
+      description: 'أبقِ هذه اليوميات متطابقة على أجهزتك عبر خادم المزامنة الخاص بك. تعمل دون اتصال وتلحق لاحقًا.',
+    },
+    lock: {
+      title: 'قفل التطبيق',
+      descriptionOn: 'يومياتك مشفرة على هذا الجهاز وتُفتح برمز المرور.',
+      descriptionOff: 'اطلب رمز مرور عند فتح التطبيق وشفّر اليوميات على هذا الجهاز.',
+    },
+    export: {
+      title: 'تصدير اليوميات',
+      description: 'احفظ نسخة من كل الأيام ({count}) خارج التطبيق.',
+    },
+    import: {
+      title: 'استيراد نسخة احتياطية',
+      description: 'استعد أيامًا من نسخة JSON أو CSV. سترى ما سيتغير قبل حفظ أي شيء.',
+      choose: 'اختر ملفًا…',
+    },
+    trash: {
+      description: 'تبقى الأيام الممسوحة هنا لمدة {count} يومًا. استعدها أو احذفها نهائيًا.',
+      open: 'فتح سلة المهملات',
+    },
+  },
+  journalSettings: {
+    gratitudeItems: 'عناصر الامتنان',
+    nightPrompts: 'أسئلة تأمل المساء',
+    none: 'لا أسئلة — سيكون قسم المساء فارغًا.',
+    add: 'إضافة سؤال',
+    newPrompt: 'سؤال تأمل جديد',
+    promptPlaceholder: 'سؤال التأمل',
+    removePrompt: 'إزالة السؤال',
+    removed: 'الأسئلة المزالة',
+    appliesFromToday: 'تُطبَّق التغييرات من اليوم؛ تحتفظ الأيام السابقة بالأسئلة التي كُتبت بها.',
+  },
+  categories: {
+    add: 'إضافة فئة',
+    newName: 'فئة جديدة',
+    namePlaceholder: 'اسم الفئة',
+    changeStyle: 'تغيير اللون والأيقونة',
+    remove: 'إزالة الفئة',
+    removed: 'الفئات المزالة',
+    none: 'لا فئات — ستطلب مراجعة الظهيرة ملاحظة فقط.',
+    tallyHint: 'كل نقرة تسجل مرة بوقتها ويمكنك إضافة ملاحظة إليها.',
+  },
+  awareness: {
+    modes: {
+      toggle: 'علامة مرة في اليوم',
+      tally: 'العدّ في كل مرة',
+    },
+  },
+  ratings: {
+    mood: 'المزاج',
+    energy: 'الطاقة',
+    ends: {
+      mood: { low: 'منخفض جدًا', high: 'جيد جدًا' },
+      energy: { low: 'منهك', high: 'مفعم بالطاقة' },
+    },
+    rateAs: '{label}: {value} من {max}',
+    insights: {
+      gratitude: 'كُتب الامتنان',
+      caught: 'رُصد {label}',
+      compare: '{kind}: {with} في هذه الأيام، و{without} في غيرها',
+      notEnough: {
+        zero: 'قيّم المزاج أو الطاقة في بعض الأيام مع الشيء وبدونه للمقارنة.',
+        one: 'قيّم المزاج أو الطاقة في يوم واحد على الأقل مع الشيء ويوم بدونه للمقارنة.',
+        two: 'قيّم المزاج أو الطاقة في يومين على الأقل مع الشيء ويومين بدونه للمقارنة.',
+        few: 'قيّم المزاج أو الطاقة في {count} أيام على الأقل مع الشيء و{count} أيام بدونه للمقارنة.',
+        many: 'قيّم المزاج أو الطاقة في {count} يومًا على الأقل مع الشيء و{count} يومًا بدونه للمقارنة.',
+        other: 'قيّم المزاج أو الطاقة في {count} يوم على الأقل مع الشيء و{count} يوم بدونه للمقارنة.',
+      },
+      note: 'متوسطات الأيام المقيّمة في هذه الفترة. تُظهر ما يجتمع عادةً، لا ما يسبّب ماذا.',
+    },
+  },
+  streaks: {
+    current: 'السلسلة الحالية',
+    longest: 'أطول سلسلة',
+    countsAs: 'يُحتسب يومًا في السلسلة:',
+    modes: {
+      any: 'أي إدخال',
+      complete: 'الأقسام الثلاثة',
+      noComplaining: 'دون شكوى',
+    },
+  },
+  review: {
+    title: 'المراجعة',
+    open: 'مراجعة',
+    thisWeek: 'هذا الأسبوع',
+    thisMonth: 'هذا الشهر',
+    kinds: {
+      week: 'أسبوع',
+      month: 'شهر',
+    },
+    previous: 'السابق',
+    next: 'التالي',
+    daysWritten: {
+      zero: 'أيام مكتوبة',
+      one: 'يوم مكتوب',
+      two: 'أيام مكتوبة',
+      few: 'أيام مكتوبة',
+      many: 'يومًا مكتوبًا',
+      other: 'يوم مكتوب',
+    },
+    completion: 'الإكمال',
+    mostCaught: 'الأكثر رصدًا',
+    nothingCaught: 'لم يُرصد شيء',
+    times: {
+      zero: 'ولا مرة',
+      one: 'مرة واحدة',
+      two: 'مرتان',
+      few: '{count} مرات',
+      many: '{count} مرة',
+      other: '{count} مرة',
+    },
+    noAnswers: 'لا إجابات بعد',
+    weekReview: 'مراجعتك للأسبوع',
+    monthReview: 'مراجعتك للشهر',
+    placeholder: 'ما الذي لفت انتباهك؟ وما الذي تريد أن تحمله معك؟',
+  },
+  charts: {
+    pageTitle: 'تقدّمك',
+    title: '{title} ({period})',
+    completion: 'اكتمال الإدخالات',
+    gratitudeVsComplaints: 'الامتنان مقابل الشكوى',
+    awareness: 'الوعي',
+    ratings: 'المزاج والطاقة',
+    occurrences: 'المرات',
+    timeOfDay: 'وقت اليوم',
+    weekly: 'أسبوعيًا',
+    monthly: 'شهريًا',
+    weekOf: 'أسبوع {date}',
+    lastYear: 'العام الماضي',
+    lastDays: {
+      few: 'آخر {count} أيام',
+      other: 'آخر {count} يومًا',
+    },
+    ranges: {
+      '7d': '7 أيام',
+      '30d': '30 يومًا',
+      '90d': '90 يومًا',
+      '1y': 'سنة',
+      custom: 'مخصص',
+    },
+    pickFirstDay: 'اختر اليوم الأول',
+    pickLastDay: 'والآن اختر اليوم الأخير',
+    legend: {
+      completion: 'اكتمال الإدخالات (%)',
+      complaintDays: '% الأيام التي فيها شكوى',
+      gratitudeFilled: '% عناصر الامتنان المكتوبة',
+    },
+    views: {
+      stacked: 'أعداد متراكمة',
+      trend: '% من الأيام',
+      perDay: 'لكل يوم',
+      timeOfDay: 'وقت اليوم',
+    },
+    noSeries: 'لم تُحدَّد أي سلسلة — انقر عنصرًا في المفتاح لإظهاره.',
+    caughtMost: {
+      one: 'الأكثر ملاحظة: {label} (يوم واحد).',
+      two: 'الأكثر ملاحظة: {label} (يومان).',
+      few: 'الأكثر ملاحظة: {label} ({count} أيام).',
+      other: 'الأكثر ملاحظة: {label} ({count} يومًا).',
+    },
+    nothingCaught: 'لم تُلاحَظ أي عادة في هذه الفترة.',
+    noTimestamps: 'لا مرات مسجلة بوقتها في هذه الفترة — اختر «{mode}» في الإعدادات لتسجيلها.',
+  },
+  export: {
+    formats: {
+      json: 'نسخة JSON احتياطية',
+      csv: 'جدول CSV',
+      markdown: 'يوميات Markdown',
+    },
+    markdownTitle: 'اكسر دائرة الـ3C — اليوميات',
+    noEntries: 'لا توجد إدخالات بعد.',
+    nothingRecorded: 'لم يُسجَّل شيء.',
+    caught: 'ما لوحظ',
+    none: 'لا شيء',
+  },
+  import: {
+    title: 'استيراد {filename}',
+    added: {
+      one: 'سيُضاف يوم جديد واحد،',
+      two: 'سيُضاف يومان جديدان،',
+      few: 'ستُضاف {count} أيام جديدة،',
+      other: 'سيُضاف {count} يومًا جديدًا،',
+    },
+    overwritten: 'وسيُستبدل {count}.',
+    identical: {
+      one: 'يُتخطى يوم واحد مطابق.',
+      two: 'يُتخطى يومان مطابقان.',
+      few: 'تُتخطى {count} أيام مطابقة.',
+      other: 'يُتخطى {count} يومًا مطابقًا.',
+    },
+    rejected: {
+      one: 'تم تجاهل صف واحد غير صالح',
+      two: 'تم تجاهل صفين غير صالحين',
+      few: 'تم تجاهل {count} صفوف غير صالحة',
+      other: 'تم تجاهل {count} صفًا غير صالح',
+    },
+    duplicates: {
+      one: 'يظهر تاريخ واحد في أكثر من صف؛ دُمجت صفوفه.',
+      two: 'يظهر تاريخان في أكثر من صف؛ دُمجت صفوفهما.',
+      few: 'تظهر {count} تواريخ في أكثر من صف؛ دُمجت صفوفها.',
+      other: 'يظهر {count} تاريخًا في أكثر من صف؛ دُمجت صفوفها.',
+    },
+    conflicts: {
+      one: 'يوم واحد موجود في الاثنين',
+      two: 'يومان موجودان في الاثنين',
+      few: '{count} أيام موجودة في الاثنين',
+      other: '{count} يومًا موجودًا في الاثنين',
+    },
+    applyToAll: 'تطبيق على الكل:',
+    confirm: {
+      one: 'استيراد يوم واحد',
+      two: 'استيراد يومين',
+      few: 'استيراد {count} أيام',
+      other: 'استيراد {count} يومًا',
+    },
+    choices: {
+      local: 'الإبقاء على المحلي',
+      imported: 'استخدام المستورد',
+      merge: 'دمج',
+    },
+    nothingTitle: 'لا شيء للاستيراد',
+    nothingMessage: 'لا يحتوي الملف على أي يوم صالح.',
+    invalidTitle: 'نسخة احتياطية غير صالحة',
+    completeTitle: 'اكتمل الاستيراد',
+    completeMessage: {
+      one: 'تم استيراد يوم واحد.',
+      two: 'تم استيراد يومين.',
+      few: 'تم استيراد {count} أيام.',
+      other: 'تم استيراد {count} يومًا.',
+    },
+    errors: {
+      emptyCsv: 'ملف CSV فارغ.',
+      noDateColumn: 'لا يحتوي ملف CSV على عمود "date".',
+      unknownColumns: 'أعمدة CSV غير معروفة: {columns}',
+      invalidJson: 'الملف ليس JSON صالحًا.',
+      notAJournal: 'لا يحتوي ملف JSON على يوميات.',
+      newerVersion: 'أُنشئت هذه النسخة الاحتياطية بإصدار أحدث من التطبيق. حدّث التطبيق لاستيرادها.',
+    },
+  },
+  reminders: {
+    channelName: 'تذكيرات الممارسة',
+    notifications: {
+      morning: { title: 'امتنان الصباح', body: 'خذ دقيقتين لتدوين ثلاثة أشياء تمتن لها.' },
+      midday: { title: 'مراجعة الوعي في الظهيرة', body: 'هل اشتكيت أو قارنت أو انتقدت حتى الآن اليوم؟' },
+      night: { title: 'تأمل المساء', body: 'دقيقتان للتأمل فيما سار جيدًا اليوم.' },
+    },
+    deniedTitle: 'الإشعارات متوقفة',
+    deniedMessage: 'اسمح بإشعارات هذا التطبيق من إعدادات جهازك لتصلك التذكيرات.',
+    unsupported: 'التذكيرات متاحة في تطبيقي iOS وAndroid.',
+    skipNote: 'يُتخطى التذكير إذا كان ذلك القسم مكتملًا لذلك اليوم.',
+  },
+  lock: {
+    locked: 'اليوميات مقفلة',
+    enterPasscode: 'أدخل رمز المرور للمتابعة.',
+    passcode: 'رمز المرور',
+    unlock: 'فتح القفل',
+    useBiometrics: 'استخدام البصمة',
+    usePasscode: 'استخدام رمز المرور',
+    biometricEnablePrompt: 'تفعيل الفتح بالبصمة',
+    biometricUnlockPrompt: 'افتح يومياتك',
+    wrongPasscode: 'رمز المرور غير صحيح.',
+    tooManyAttempts: 'محاولات كثيرة جدًا. حاول مجددًا بعد {seconds} ث.',
+    tooShort: 'استخدم {count} أحرف على الأقل.',
+    needsLetter: 'أضف حرفًا أو رمزًا واحدًا على الأقل، لا أرقامًا فقط.',
+    mismatch: 'رمزا المرور غير متطابقين.',
+    setPasscode: 'تعيين رمز مرور',
+    changePasscode: 'تغيير رمز المرور',
+    turnOffTitle: 'إيقاف القفل',
+    currentPasscode: 'رمز المرور الحالي',
+    newPasscode: 'رمز المرور الجديد',
+    repeatPasscode: 'أعد إدخال رمز المرور الجديد',
+    noRecovery: 'لا توجد طريقة لاستعادة رمز مرور منسي. صدّر نسخة احتياطية أولًا إن لم تكن متأكدًا.',
+    turnOn: 'تفعيل القفل برمز المرور',
+    turnOff: 'إيقاف القفل',
+    biometricUnlock: 'الفتح بالبصمة',
+  },
+  sync: {
+    enable: 'مزامنة هذه اليوميات',
+    endpoint: 'عنوان الخادم',
+    token: 'رمز الوصول',
+    needsEndpoint: 'أدخل عنوان خادم يبدأ بـ http:// أو https://',
+    now: 'زامن الآن',
+    syncing: 'جارٍ المزامنة…',
+    offline: 'غير متصل — ستُزامن التغييرات عند توفر الخادم',
+    failed: 'فشلت المزامنة: {error}',
+    lastSynced: 'آخر مزامنة {time}',
+    never: 'أبدًا',
+    pending: {
+      one: 'يوم واحد في الانتظار',
+      two: 'يومان في الانتظار',
+      few: '{count} أيام في الانتظار',
+      other: '{count} يومًا في الانتظار',
+    },
+    errors: {
+      tokenRejected: 'رفض الخادم رمز الوصول.',
+      server: 'خطأ في الخادم {status}',
+    },
+  },
+  errors: {
+    generic: 'حدث خطأ ما. حاول مجددًا.',
+    openJournal: 'تعذر فتح اليوميات.',
+    save: 'تعذر الحفظ.',
+    clearDay: 'تعذر مسح اليوم.',
+    restore: 'تعذرت استعادة اليوم.',
+    restoreStillInTrash: 'تعذرت استعادة اليوم. لا يزال في سلة المهملات.',
+    export: 'تعذر تصدير اليوميات.',
+    import: 'تعذر استيراد النسخة الاحتياطية.',
+    openFile: 'تعذر فتح الملف.',
+    biometric: 'تعذر تغيير الفتح بالبصمة.',
+  },
+};
+
+export default ar;
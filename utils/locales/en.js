@@ -0,0 +1,449 @@
+// English strings. This is the reference catalog: every key the app uses is here, and
+// other languages fall back to it for anything they don't translate.
+
+const en = {
+  common: {
+    apply: 'Apply',
+    cancel: 'Cancel',
+    close: 'Close',
+    delete: 'Delete',
+    error: 'Error',
+    loading: 'Loading…',
+    ok: 'OK',
+    optional: 'Optional',
+    redo: 'Redo',
+    remove: 'Remove',
+    restore: 'Restore',
+    today: 'Today',
+    undo: 'Undo',
+  },
+  tabs: {
+    home: 'Home',
+    history: 'History',
+    performance: 'Performance',
+    search: 'Search',
+    settings: 'Settings',
+  },
+  app: {
+    title: 'Break the 3C Cycle — Daily Reset',
+  },
+  sections: {
+    morning: 'Morning — Gratitude (2 min)',
+    midday: 'Midday — Awareness Check (1 min)',
+    night: 'Night — Growth Reflection (2 min)',
+  },
+  prompts: {
+    gratitude: {
+      one: "List {count} thing you're grateful for",
+      other: "List {count} things you're grateful for",
+    },
+    gratitudeItem: 'Gratitude {number}',
+    caught: 'Did you notice any of these?',
+    reframe: 'Reframe / Note',
+    reframePlaceholder: 'How can I reframe this?',
+    reflection: 'Reflection',
+  },
+  // Built-in prompts and categories, matched against the labels stored in settings
+  defaults: {
+    nightPrompts: {
+      wentWell: { label: 'One thing that went well', placeholder: 'Went well...' },
+      handled: { label: 'One thing I handled better than before', placeholder: 'Handled better...' },
+      improve: { label: 'One thing to improve tomorrow', placeholder: 'Improve tomorrow...' },
+    },
+    categories: {
+      complaining: { label: 'Complaining' },
+      comparing: { label: 'Comparing' },
+      criticizing: { label: 'Criticizing' },
+    },
+  },
+  home: {
+    clear: 'Clear',
+    clearConfirm: {
+      one: 'Clear this day? It stays in Trash for {count} day.',
+      other: 'Clear this day? It stays in Trash for {count} days.',
+    },
+    movedToTrash: '{date} moved to Trash',
+  },
+  history: {
+    summaryCounts: 'Gratitude: {gratitude} • Caught: {caught} • Night: {night}',
+    lastSevenDays: 'Last 7 days — Summary',
+    noEntriesYet: 'No entries yet — they will appear here after you save.',
+    legendPartial: 'Partial',
+    legendFull: 'All {count} sections',
+    legendStreak: 'Streak',
+    selectDate: 'Select a date to see the entry',
+  },
+  dayDetail: {
+    edit: 'Edit this day',
+    empty: 'Nothing was recorded on this day.',
+  },
+  versions: {
+    title: 'Earlier versions',
+    empty: "No earlier versions yet. They're saved as you pause while writing.",
+    sameAsNow: 'Same text as now',
+    textsDiffer: {
+      one: '{count} text differs',
+      other: '{count} texts differ',
+    },
+    restoreText: 'Restore this text',
+    restoreAll: 'Restore whole version',
+  },
+  occurrences: {
+    notePlaceholder: 'Add a note',
+  },
+  tags: {
+    title: 'Tags',
+    dayLabel: 'Tags for this day',
+    placeholder: 'Add a tag, e.g. work',
+    reframePlaceholder: 'Tag this reframe',
+    remove: 'Remove tag {tag}',
+    allDays: 'All days',
+    chartsFiltered: 'Charts only count days tagged #{tag}; other days count as empty.',
+  },
+  search: {
+    placeholder: 'Search gratitude, reframes and reflections',
+    noMatches: 'No matches',
+    matches: {
+      one: '{count} match',
+      other: '{count} matches',
+    },
+    showing: '(showing {count})',
+    hint: 'Type to search across all {count} days.',
+  },
+  trash: {
+    title: 'Trash',
+    retention: 'Cleared days are kept here for {count} days, then deleted.',
+    isEmpty: 'Trash is empty.',
+    cleared: 'Cleared {time}',
+    daysLeft: {
+      one: '{count} day left',
+      other: '{count} days left',
+    },
+    deleteForever: 'Delete forever',
+    deleteConfirm: "Permanently delete {date}? This can't be undone.",
+    empty: 'Empty Trash',
+    emptyAction: 'Empty',
+    emptyConfirm: "Permanently delete every day in Trash? This can't be undone.",
+  },
+  settings: {
+    title: 'Settings',
+    appearance: {
+      title: 'Appearance',
+      description: 'Use a light or dark look, or match your device.',
+    },
+    theme: {
+      system: 'Follow system',
+      light: 'Light',
+      dark: 'Dark',
+    },
+    language: {
+      title: 'Language & region',
+      description: 'The language of the app, and the day calendars start the week on.',
+      system: 'Device language',
+      firstDay: 'First day of the week',
+      automatic: 'Automatic',
+    },
+    restartTitle: 'Restart needed',
+    restartForDirection: 'Close and reopen the app to switch the layout direction.',
+    dayStart: {
+      title: 'Start of the day',
+      description: 'Writing before this hour counts towards the day before, so late-night reflections stay with their evening.',
+      midnight: 'Midnight',
+    },
+    reminders: {
+      title: 'Reminders',
+      description: 'Get a nudge for each practice on the days you choose.',
+    },
+    journal: {
+      title: 'Journal prompts',
+      description: 'Choose how many things to be grateful for and what to reflect on at night.',
+    },
+    categories: {
+      title: 'Awareness categories',
+      description: 'The habits you watch for in the midday check.',
+    },
+    sync: {
+      title: 'Sync',
+      description: 'Keep this journal in step across your devices through your own sync server. Works offline and catches up later.',
+    },
+    lock: {
+      title: 'App lock',
+      descriptionOn: 'Your journal is encrypted on this device and opens with your passcode.',
+      descriptionOff: 'Ask for a passcode when the app opens and encrypt the journal on this device.',
+    },
+    export: {
+      title: 'Export journal',
+      description: {
+        one: 'Save a copy of all {count} day outside the app.',
+        other: 'Save a copy of all {count} days outside the app.',
+      },
+    },
+    import: {
+      title: 'Import backup',
+      description: "Restore days from a JSON or CSV backup. You'll see what changes before anything is saved.",
+      choose: 'Choose file…',
+    },
+    trash: {
+      description: 'Cleared days stay here for {count} days. Restore them or delete them for good.',
+      open: 'Open Trash',
+    },
+  },
+  journalSettings: {
+    gratitudeItems: 'Gratitude items',
+    nightPrompts: 'Night reflection prompts',
+    none: 'No prompts — the night section will be empty.',
+    add: 'Add prompt',
+    newPrompt: 'New reflection question',
+    promptPlaceholder: 'Reflection question',
+    removePrompt: 'Remove prompt',
+    removed: 'Removed prompts',
+    appliesFromToday: 'Changes apply from today; earlier days keep the prompts they were written with.',
+  },
+  categories: {
+    add: 'Add category',
+    newName: 'New category',
+    namePlaceholder: 'Category name',
+    changeStyle: 'Change color and icon',
+    remove: 'Remove category',
+    removed: 'Removed categories',
+    none: 'No categories — the midday check will only ask for a note.',
+    tallyHint: 'Each tap logs a timestamped occurrence you can add a note to.',
+  },
+  awareness: {
+    modes: {
+      toggle: 'Tick once a day',
+      tally: 'Count each time',
+    },
+  },
+  ratings: {
+    mood: 'Mood',
+    energy: 'Energy',
+    ends: {
+      mood: { low: 'Very low', high: 'Very good' },
+      energy: { low: 'Drained', high: 'Full of energy' },
+    },
+    rateAs: '{label}: {value} of {max}',
+    insights: {
+      gratitude: 'Gratitude written',
+      caught: '{label} caught',
+      compare: '{kind}: {with} on these days, {without} on other days',
+      notEnough: {
+        one: 'Rate mood or energy on at least {count} day with and {count} day without something to compare.',
+        other: 'Rate mood or energy on at least {count} days with and {count} days without something to compare.',
+      },
+      note: 'Averages over rated days in this period. They show what tends to go together, not what causes what.',
+    },
+  },
+  streaks: {
+    current: 'Current streak',
+    longest: 'Longest streak',
+    countsAs: 'Counts as a streak day:',
+    modes: {
+      any: 'Any entry',
+      complete: 'All 3 sections',
+      noComplaining: 'No complaining',
+    },
+  },
+  review: {
+    title: 'Review',
+    open: 'Review',
+    thisWeek: 'This week',
+    thisMonth: 'This month',
+    kinds: {
+      week: 'Week',
+      month: 'Month',
+    },
+    previous: 'Previous',
+    next: 'Next',
+    daysWritten: {
+      one: 'day written',
+      other: 'days written',
+    },
+    completion: 'Completion',
+    mostCaught: 'Most caught',
+    nothingCaught: 'Nothing caught',
+    times: {
+      one: '{count} time',
+      other: '{count} times',
+    },
+    noAnswers: 'No answers yet',
+    weekReview: 'Your review of the week',
+    monthReview: 'Your review of the month',
+    placeholder: 'What stood out? What do you want to carry forward?',
+  },
+  charts: {
+    pageTitle: 'User Performance',
+    title: '{title} ({period})',
+    completion: 'Entry Completion',
+    gratitudeVsComplaints: 'Gratitude vs Complaints',
+    awareness: 'Awareness',
+    ratings: 'Mood & Energy',
+    occurrences: 'Occurrences',
+    timeOfDay: 'Time of Day',
+    weekly: 'weekly',
+    monthly: 'monthly',
+    weekOf: 'Week of {date}',
+    lastYear: 'Last year',
+    lastDays: 'Last {count} days',
+    ranges: {
+      '7d': '7d',
+      '30d': '30d',
+      '90d': '90d',
+      '1y': 'Year',
+      custom: 'Custom',
+    },
+    pickFirstDay: 'Pick the first day',
+    pickLastDay: 'Now pick the last day',
+    legend: {
+      completion: 'Entry Completion (%)',
+      complaintDays: '% Days with Complaint',
+      gratitudeFilled: '% Gratitude Items Filled',
+    },
+    views: {
+      stacked: 'Stacked counts',
+      trend: '% of days',
+      perDay: 'Per day',
+      timeOfDay: 'Time of day',
+    },
+    noSeries: 'No series selected — tap a legend item to show it.',
+    caughtMost: {
+      one: 'Caught most often: {label} ({count} day).',
+      other: 'Caught most often: {label} ({count} days).',
+    },
+    nothingCaught: 'Nothing caught in this period.',
+    noTimestamps: 'No timestamped occurrences in this period — switch to "{mode}" in Settings to log them.',
+  },
+  export: {
+    formats: {
+      json: 'JSON backup',
+      csv: 'CSV spreadsheet',
+      markdown: 'Markdown journal',
+    },
+    markdownTitle: 'Break the 3C Cycle — Journal',
+    noEntries: 'No entries yet.',
+    nothingRecorded: 'Nothing recorded.',
+    caught: 'Caught',
+    none: 'none',
+  },
+  import: {
+    title: 'Import {filename}',
+    added: {
+      one: '{count} new day will be added,',
+      other: '{count} new days will be added,',
+    },
+    overwritten: '{count} will be overwritten.',
+    identical: {
+      one: '{count} identical day is skipped.',
+      other: '{count} identical days are skipped.',
+    },
+    rejected: {
+      one: '{count} invalid row was ignored',
+      other: '{count} invalid rows were ignored',
+    },
+    duplicates: {
+      one: '{count} date appears on more than one row; its rows were merged.',
+      other: '{count} dates appear on more than one row; their rows were merged.',
+    },
+    conflicts: {
+      one: '{count} day exists in both',
+      other: '{count} days exist in both',
+    },
+    applyToAll: 'Apply to all:',
+    confirm: {
+      one: 'Import {count} day',
+      other: 'Import {count} days',
+    },
+    choices: {
+      local: 'Keep local',
+      imported: 'Use imported',
+      merge: 'Merge',
+    },
+    nothingTitle: 'Nothing to import',
+    nothingMessage: 'The file does not contain any valid days.',
+    invalidTitle: 'Invalid backup',
+    completeTitle: 'Import complete',
+    completeMessage: {
+      one: '{count} day was imported.',
+      other: '{count} days were imported.',
+    },
+    errors: {
+      emptyCsv: 'The CSV file is empty.',
+      noDateColumn: 'The CSV file has no "date" column.',
+      unknownColumns: 'Unrecognised CSV columns: {columns}',
+      invalidJson: 'The file is not valid JSON.',
+      notAJournal: 'The JSON file does not contain a journal.',
+      newerVersion: 'This backup was made by a newer version of the app. Update the app to import it.',
+    },
+  },
+  reminders: {
+    channelName: 'Practice reminders',
+    notifications: {
+      morning: { title: 'Morning gratitude', body: 'Take 2 minutes to note three things you are grateful for.' },
+      midday: { title: 'Midday awareness check', body: 'Any complaining, comparing or criticizing so far today?' },
+      night: { title: 'Night reflection', body: 'Two minutes to reflect on what went well today.' },
+    },
+    deniedTitle: 'Notifications are off',
+    deniedMessage: 'Allow notifications for this app in your device settings to get reminders.',
+    unsupported: 'Reminders are available in the iOS and Android apps.',
+    skipNote: 'A reminder is skipped when that section is already filled in for the day.',
+  },
+  lock: {
+    locked: 'Journal locked',
+    enterPasscode: 'Enter your passcode to continue.',
+    passcode: 'Passcode',
+    unlock: 'Unlock',
+    useBiometrics: 'Use biometrics',
+    usePasscode: 'Use passcode',
+    biometricEnablePrompt: 'Turn on biometric unlock',
+    biometricUnlockPrompt: 'Unlock your journal',
+    wrongPasscode: 'Wrong passcode.',
+    tooManyAttempts: 'Too many attempts. Try again in {seconds} s.',
+    tooShort: 'Use at least {count} characters.',
+    needsLetter: 'Include at least one letter or symbol, not only digits.',
+    mismatch: "The passcodes don't match.",
+    setPasscode: 'Set a passcode',
+    changePasscode: 'Change passcode',
+    turnOffTitle: 'Turn off the lock',
+    currentPasscode: 'Current passcode',
+    newPasscode: 'New passcode',
+    repeatPasscode: 'Repeat new passcode',
+    noRecovery: "There is no way to recover a forgotten passcode. Export a backup first if you're unsure.",
+    turnOn: 'Turn on passcode lock',
+    turnOff: 'Turn off lock',
+    biometricUnlock: 'Unlock with biometrics',
+  },
+  sync: {
+    enable: 'Sync this journal',
+    endpoint: 'Server address',
+    token: 'Access token',
+    needsEndpoint: 'Enter a server address starting with http:// or https://',
+    now: 'Sync now',
+    syncing: 'Syncing…',
+    offline: 'Offline — changes will sync when the server is reachable',
+    failed: 'Sync failed: {error}',
+    lastSynced: 'Last synced {time}',
+    never: 'never',
+    pending: {
+      one: '{count} day waiting',
+      other: '{count} days waiting',
+    },
+    errors: {
+      tokenRejected: 'The server rejected the access token.',
+      server: 'Server error {status}',
+    },
+  },
+  errors: {
+    generic: 'Something went wrong. Please try again.',
+    openJournal: 'Could not open the journal.',
+    save: 'Could not save.',
+    clearDay: 'Could not clear today.',
+    restore: 'Could not restore the day.',
+    restoreStillInTrash: 'Could not restore the day. It is still in Trash.',
+    export: 'Could not export the journal.',
+    import: 'Could not import the backup.',
+    openFile: 'Could not open the file.',
+    biometric: 'Could not change biometric unlock.',
+  },
+};
+
+export default en;
@@ -0,0 +1,453 @@
+// Spanish strings
+
+const es = {
+  common: {
+    apply: 'Aplicar',
+    cancel: 'Cancelar',
+    close: 'Cerrar',
+    delete: 'Eliminar',
+    error: 'Error',
+    loading: 'Cargando…',
+    ok: 'Aceptar',
+    optional: 'Opcional',
+    redo: 'Rehacer',
+    remove: 'Quitar',
+    restore: 'Restaurar',
+    today: 'Hoy',
+    undo: 'Deshacer',
+  },
+  tabs: {
+    home: 'Inicio',
+    history: 'Historial',
+    performance: 'Progreso',
+    search: 'Buscar',
+    settings: 'Ajustes',
+  },
+  app: {
+    title: 'Rompe el ciclo de las 3C — Reinicio diario',
+  },
+  sections: {
+    morning: 'Mañana — Gratitud (2 min)',
+    midday: 'Mediodía — Revisión de conciencia (1 min)',
+    night: 'Noche — Reflexión de crecimiento (2 min)',
+  },
+  prompts: {
+    gratitude: {
+      one: 'Escribe {count} cosa por la que estás agradecido',
+      other: 'Escribe {count} cosas por las que estás agradecido',
+    },
+    gratitudeItem: 'Gratitud {number}',
+    caught: '¿Notaste alguna de estas?',
+    reframe: 'Replanteo / Nota',
+    reframePlaceholder: '¿Cómo puedo verlo de otra forma?',
+    reflection: 'Reflexión',
+  },
+  defaults: {
+    nightPrompts: {
+      wentWell: { label: 'Algo que salió bien', placeholder: 'Salió bien...' },
+      handled: { label: 'Algo que manejé mejor que antes', placeholder: 'Manejé mejor...' },
+      improve: { label: 'Algo que mejorar mañana', placeholder: 'Mejorar mañana...' },
+    },
+    categories: {
+      complaining: { label: 'Quejarse' },
+      comparing: { label: 'Compararse' },
+      criticizing: { label: 'Criticar' },
+    },
+  },
+  home: {
+    clear: 'Borrar',
+    clearConfirm: {
+      one: '¿Borrar este día? Se guarda en la papelera durante {count} día.',
+      other: '¿Borrar este día? Se guarda en la papelera durante {count} días.',
+    },
+    movedToTrash: '{date} se movió a la papelera',
+  },
+  history: {
+    summaryCounts: 'Gratitud: {gratitude} • Detectado: {caught} • Noche: {night}',
+    lastSevenDays: 'Últimos 7 días — Resumen',
+    noEntriesYet: 'Aún no hay entradas; aparecerán aquí cuando guardes.',
+    legendPartial: 'Parcial',
+    legendFull: 'Las {count} secciones',
+    legendStreak: 'Racha',
+    selectDate: 'Selecciona una fecha para ver la entrada',
+  },
+  dayDetail: {
+    edit: 'Editar este día',
+    empty: 'No se registró nada este día.',
+  },
+  versions: {
+    title: 'Versiones anteriores',
+    empty: 'Aún no hay versiones anteriores. Se guardan cuando haces una pausa al escribir.',
+    sameAsNow: 'Mismo texto que ahora',
+    textsDiffer: {
+      one: '{count} texto distinto',
+      other: '{count} textos distintos',
+    },
+    restoreText: 'Restaurar este texto',
+    restoreAll: 'Restaurar la versión completa',
+  },
+  occurrences: {
+    notePlaceholder: 'Añade una nota',
+  },
+  tags: {
+    title: 'Etiquetas',
+    dayLabel: 'Etiquetas del día',
+    placeholder: 'Añade una etiqueta, p. ej. trabajo',
+    reframePlaceholder: 'Etiqueta este replanteo',
+    remove: 'Quitar la etiqueta {tag}',
+    allDays: 'Todos los días',
+    chartsFiltered: 'Los gráficos solo cuentan los días con #{tag}; los demás cuentan como vacíos.',
+  },
+  search: {
+    placeholder: 'Busca en gratitud, replanteos y reflexiones',
+    noMatches: 'Sin resultados',
+    matches: {
+      one: '{count} resultado',
+      other: '{count} resultados',
+    },
+    showing: '(se muestran {count})',
+    hint: {
+      one: 'Escribe para buscar en {count} día.',
+      other: 'Escribe para buscar en los {count} días.',
+    },
+  },
+  trash: {
+    title: 'Papelera',
+    retention: 'Los días borrados se guardan aquí {count} días y luego se eliminan.',
+    isEmpty: 'La papelera está vacía.',
+    cleared: 'Borrado el {time}',
+    daysLeft: {
+      one: 'queda {count} día',
+      other: 'quedan {count} días',
+    },
+    deleteForever: 'Eliminar para siempre',
+    deleteConfirm: '¿Eliminar {date} de forma permanente? No se puede deshacer.',
+    empty: 'Vaciar papelera',
+    emptyAction: 'Vaciar',
+    emptyConfirm: '¿Eliminar de forma permanente todos los días de la papelera? No se puede deshacer.',
+  },
+  settings: {
+    title: 'Ajustes',
+    appearance: {
+      title: 'Apariencia',
+      description: 'Usa un aspecto claro u oscuro, o el de tu dispositivo.',
+    },
+    theme: {
+      system: 'Según el sistema',
+      light: 'Claro',
+      dark: 'Oscuro',
+    },
+    language: {
+      title: 'Idioma y región',
+      description: 'El idioma de la aplicación y el día en que empiezan las semanas del calendario.',
+      system: 'Idioma del dispositivo',
+      firstDay: 'Primer día de la semana',
+      automatic: 'Automático',
+    },
+    restartTitle: 'Hay que reiniciar',
+    restartForDirection: 'Cierra y vuelve a abrir la aplicación para cambiar la dirección del texto.',
+    dayStart: {
+      title: 'Inicio del día',
+      description: 'Lo que escribas antes de esta hora cuenta para el día anterior, así las reflexiones de madrugada quedan con su noche.',
+      midnight: 'Medianoche',
+    },
+    reminders: {
+      title: 'Recordatorios',
+      description: 'Recibe un aviso para cada práctica los días que elijas.',
+    },
+    journal: {
+      title: 'Preguntas del diario',
+      description: 'Elige cuántas cosas agradecer y sobre qué reflexionar por la noche.',
+    },
+    categories: {
+      title: 'Categorías de conciencia',
+      description: 'Los hábitos que vigilas en la revisión de mediodía.',
+    },
+    sync: {
+      title: 'Sincronización',
+      description: 'Mantén este diario al día en todos tus dispositivos con tu propio servidor. Funciona sin conexión y se pone al día después.',
+    },
+    lock: {
+      title: 'Bloqueo',
+      descriptionOn: 'Tu diario está cifrado en este dispositivo y se abre con tu código.',
+      descriptionOff: 'Pide un código al abrir la aplicación y cifra el diario en este dispositivo.',
+    },
+    export: {
+      title: 'Exportar diario',
+      description: {
+        one: 'Guarda una copia de {count} día fuera de la aplicación.',
+        other: 'Guarda una copia de los {count} días fuera de la aplicación.',
+      },
+    },
+    import: {
+      title: 'Importar copia de seguridad',
+      description: 'Restaura días desde una copia JSON o CSV. Verás qué cambia antes de guardar nada.',
+      choose: 'Elegir archivo…',
+    },
+    trash: {
+      description: 'Los días borrados se quedan aquí {count} días. Restáuralos o elimínalos para siempre.',
+      open: 'Abrir papelera',
+    },
+  },
+  journalSettings: {
+    gratitudeItems: 'Cosas que agradecer',
+    nightPrompts: 'Preguntas de reflexión nocturna',
+    none: 'Sin preguntas: la sección de la noche quedará vacía.',
+    add: 'Añadir pregunta',
+    newPrompt: 'Nueva pregunta de reflexión',
+    promptPlaceholder: 'Pregunta de reflexión',
+    removePrompt: 'Quitar pregunta',
+    removed: 'Preguntas quitadas',
+    appliesFromToday: 'Los cambios se aplican desde hoy; los días anteriores conservan las preguntas con las que se escribieron.',
+  },
+  categories: {
+    add: 'Añadir categoría',
+    newName: 'Nueva categoría',
+    namePlaceholder: 'Nombre de la categoría',
+    changeStyle: 'Cambiar color e icono',
+    remove: 'Quitar categoría',
+    removed: 'Categorías quitadas',
+    none: 'Sin categorías: la revisión de mediodía solo pedirá una nota.',
+    tallyHint: 'Cada toque registra un momento con hora al que puedes añadir una nota.',
+  },
+  awareness: {
+    modes: {
+      toggle: 'Marcar una vez al día',
+      tally: 'Contar cada vez',
+    },
+  },
+  ratings: {
+    mood: 'Ánimo',
+    energy: 'Energía',
+    ends: {
+      mood: { low: 'Muy bajo', high: 'Muy bueno' },
+      energy: { low: 'Agotado', high: 'Lleno de energía' },
+    },
+    rateAs: '{label}: {value} de {max}',
+    insights: {
+      gratitude: 'Gratitud escrita',
+      caught: '{label} detectado',
+      compare: '{kind}: {with} esos días, {without} los demás días',
+      notEnough: {
+        one: 'Valora el ánimo o la energía al menos {count} día con y {count} día sin algo para poder comparar.',
+        other: 'Valora el ánimo o la energía al menos {count} días con y {count} días sin algo para poder comparar.',
+      },
+      note: 'Promedios de los días valorados en este periodo. Muestran lo que suele ir junto, no qué causa qué.',
+    },
+  },
+  streaks: {
+    current: 'Racha actual',
+    longest: 'Racha más larga',
+    countsAs: 'Cuenta como día de racha:',
+    modes: {
+      any: 'Cualquier entrada',
+      complete: 'Las 3 secciones',
+      noComplaining: 'Sin quejas',
+    },
+  },
+  review: {
+    title: 'Repaso',
+    open: 'Repaso',
+    thisWeek: 'Esta semana',
+    thisMonth: 'Este mes',
+    kinds: {
+      week: 'Semana',
+      month: 'Mes',
+    },
+    previous: 'Anterior',
+    next: 'Siguiente',
+    daysWritten: {
+      one: 'día escrito',
+      other: 'días escritos',
+    },
+    completion: 'Completado',
+    mostCaught: 'Lo más detectado',
+    nothingCaught: 'Nada detectado',
+    times: {
+      one: '{count} vez',
+      other: '{count} veces',
+    },
+    noAnswers: 'Aún no hay respuestas',
+    weekReview: 'Tu repaso de la semana',
+    monthReview: 'Tu repaso del mes',
+    placeholder: '¿Qué destacó? ¿Qué quieres llevar contigo?',
+  },
+  charts: {
+    pageTitle: 'Tu progreso',
+    title: '{title} ({period})',
+    completion: 'Entradas completadas',
+    gratitudeVsComplaints: 'Gratitud frente a quejas',
+    awareness: 'Conciencia',
+    ratings: 'Ánimo y energía',
+    occurrences: 'Veces',
+    timeOfDay: 'Hora del día',
+    weekly: 'semanal',
+    monthly: 'mensual',
+    weekOf: 'Semana del {date}',
+    lastYear: 'Último año',
+    lastDays: 'Últimos {count} días',
+    ranges: {
+      '7d': '7 d',
+      '30d': '30 d',
+      '90d': '90 d',
+      '1y': 'Año',
+      custom: 'Personalizado',
+    },
+    pickFirstDay: 'Elige el primer día',
+    pickLastDay: 'Ahora elige el último día',
+    legend: {
+      completion: 'Entradas completadas (%)',
+      complaintDays: '% de días con queja',
+      gratitudeFilled: '% de gratitudes escritas',
+    },
+    views: {
+      stacked: 'Recuentos apilados',
+      trend: '% de días',
+      perDay: 'Por día',
+      timeOfDay: 'Hora del día',
+    },
+    noSeries: 'Ninguna serie seleccionada: toca un elemento de la leyenda para mostrarla.',
+    caughtMost: {
+      one: 'Lo que más detectaste: {label} ({count} día).',
+      other: 'Lo que más detectaste: {label} ({count} días).',
+    },
+    nothingCaught: 'No detectaste nada en este periodo.',
+    noTimestamps: 'No hay momentos con hora en este periodo; elige «{mode}» en Ajustes para registrarlos.',
+  },
+  export: {
+    formats: {
+      json: 'Copia JSON',
+      csv: 'Hoja de cálculo CSV',
+      markdown: 'Diario en Markdown',
+    },
+    markdownTitle: 'Rompe el ciclo de las 3C — Diario',
+    noEntries: 'Aún no hay entradas.',
+    nothingRecorded: 'No se registró nada.',
+    caught: 'Detectado',
+    none: 'nada',
+  },
+  import: {
+    title: 'Importar {filename}',
+    added: {
+      one: 'Se añadirá {count} día nuevo,',
+      other: 'Se añadirán {count} días nuevos,',
+    },
+    overwritten: {
+      one: 'se sobrescribirá {count}.',
+      other: 'se sobrescribirán {count}.',
+    },
+    identical: {
+      one: 'Se omite {count} día idéntico.',
+      other: 'Se omiten {count} días idénticos.',
+    },
+    rejected: {
+      one: 'Se ignoró {count} fila no válida',
+      other: 'Se ignoraron {count} filas no válidas',
+    },
+    duplicates: {
+      one: '{count} fecha aparece en más de una fila; sus filas se combinaron.',
+      other: '{count} fechas aparecen en más de una fila; sus filas se combinaron.',
+    },
+    conflicts: {
+      one: '{count} día existe en ambos',
+      other: '{count} días existen en ambos',
+    },
+    applyToAll: 'Aplicar a todos:',
+    confirm: {
+      one: 'Importar {count} día',
+      other: 'Importar {count} días',
+    },
+    choices: {
+      local: 'Mantener local',
+      imported: 'Usar importado',
+      merge: 'Combinar',
+    },
+    nothingTitle: 'Nada que importar',
+    nothingMessage: 'El archivo no contiene ningún día válido.',
+    invalidTitle: 'Copia no válida',
+    completeTitle: 'Importación completa',
+    completeMessage: {
+      one: 'Se importó {count} día.',
+      other: 'Se importaron {count} días.',
+    },
+    errors: {
+      emptyCsv: 'El archivo CSV está vacío.',
+      noDateColumn: 'El archivo CSV no tiene columna "date".',
+      unknownColumns: 'Columnas CSV no reconocidas: {columns}',
+      invalidJson: 'El archivo no es JSON válido.',
+      notAJournal: 'El archivo JSON no contiene un diario.',
+      newerVersion: 'Esta copia de seguridad se creó con una versión más reciente de la app. Actualiza la app para importarla.',
+    },
+  },
+  reminders: {
+    channelName: 'Recordatorios de práctica',
+    notifications: {
+      morning: { title: 'Gratitud de la mañana', body: 'Tómate 2 minutos para anotar tres cosas que agradeces.' },
+      midday: { title: 'Revisión de mediodía', body: '¿Alguna queja, comparación o crítica hasta ahora?' },
+      night: { title: 'Reflexión nocturna', body: 'Dos minutos para pensar en lo que salió bien hoy.' },
+    },
+    deniedTitle: 'Las notificaciones están desactivadas',
+    deniedMessage: 'Permite las notificaciones de esta aplicación en los ajustes del dispositivo para recibir recordatorios.',
+    unsupported: 'Los recordatorios están disponibles en las aplicaciones de iOS y Android.',
+    skipNote: 'Un recordatorio se omite si esa sección ya está completa ese día.',
+  },
+  lock: {
+    locked: 'Diario bloqueado',
+    enterPasscode: 'Introduce tu código para continuar.',
+    passcode: 'Código',
+    unlock: 'Desbloquear',
+    useBiometrics: 'Usar biometría',
+    usePasscode: 'Usar código',
+    biometricEnablePrompt: 'Activar desbloqueo biométrico',
+    biometricUnlockPrompt: 'Desbloquea tu diario',
+    wrongPasscode: 'Código incorrecto.',
+    tooManyAttempts: 'Demasiados intentos. Vuelve a intentarlo en {seconds} s.',
+    tooShort: 'Usa al menos {count} caracteres.',
+    needsLetter: 'Incluye al menos una letra o símbolo, no solo dígitos.',
+    mismatch: 'Los códigos no coinciden.',
+    setPasscode: 'Crear un código',
+    changePasscode: 'Cambiar código',
+    turnOffTitle: 'Desactivar el bloqueo',
+    currentPasscode: 'Código actual',
+    newPasscode: 'Código nuevo',
+    repeatPasscode: 'Repite el código nuevo',
+    noRecovery: 'No hay forma de recuperar un código olvidado. Si tienes dudas, exporta antes una copia.',
+    turnOn: 'Activar bloqueo con código',
+    turnOff: 'Desactivar bloqueo',
+    biometricUnlock: 'Desbloquear con biometría',
+  },
+  sync: {
+    enable: 'Sincronizar este diario',
+    endpoint: 'Dirección del servidor',
+    token: 'Token de acceso',
+    needsEndpoint: 'Introduce una dirección de servidor que empiece por http:// o https://',
+    now: 'Sincronizar ahora',
+    syncing: 'Sincronizando…',
+    offline: 'Sin conexión: los cambios se sincronizarán cuando el servidor esté disponible',
+    failed: 'Error al sincronizar: {error}',
+    lastSynced: 'Última sincronización: {time}',
+    never: 'nunca',
+    pending: {
+      one: '{count} día pendiente',
+      other: '{count} días pendientes',
+    },
+    errors: {
+      tokenRejected: 'El servidor rechazó el token de acceso.',
+      server: 'Error del servidor {status}',
+    },
+  },
+  errors: {
+    generic: 'Algo salió mal. Inténtalo de nuevo.',
+    openJournal: 'No se pudo abrir el diario.',
+    save: 'No se pudo guardar.',
+    clearDay: 'No se pudo borrar el día.',
+    restore: 'No se pudo restaurar el día.',
+    restoreStillInTrash: 'No se pudo restaurar el día. Sigue en la papelera.',
+    export: 'No se pudo exportar el diario.',
+    import: 'No se pudo importar la copia.',
+    openFile: 'No se pudo abrir el archivo.',
+    biometric: 'No se pudo cambiar el desbloqueo biométrico.',
+  },
+};
+
+export default es;
@@ -0,0 +1,277 @@
+// Optional app lock: a passcode (with biometric unlock where the device supports it)
+// that also encrypts the journal at rest.
+//
+// The journal is encrypted with a random data key (see cipher.js). The lock config,
+// stored in plaintext under LOCK_KEY, only holds that key wrapped with a key derived
+// from the passcode, so changing the passcode never re-encrypts the journal:
+//   { version, salt, iterations, deviceBound, wrappedKey, check, biometric, encrypted }
+// On native the derived key is also bound to a random secret kept in the keychain/
+// keystore (`deviceBound`), so a copy of the storage can't be brute-forced offline.
+// Without a secure store (web) the passcode alone protects the key, with KDF_ITERATIONS
+// rounds. Configs written with weaker settings are re-wrapped on the next passcode unlock.
+// `check` is a known string encrypted with the data key, used to verify a key read
+// back from the secure store. `encrypted` turns true once every existing value has
+// been encrypted; until then, unlocking finishes the job.
+//
+// For biometric unlock the data key is kept in the platform keychain/keystore
+// (expo-secure-store) and handed out after expo-local-authentication succeeds. Both are
+// required lazily, like the other native-only modules; on web only the passcode works.
+
+import { Platform } from 'react-native';
+import { DeviceStorage, LOCK_KEY, setEncryptionKey, reencodeAll } from './storage';
+import {
+  KDF_ITERATIONS,
+  DEVICE_BOUND_KDF_ITERATIONS,
+  randomHex,
+  generateDataKey,
+  deriveKey,
+  bindKey,
+  encryptString,
+  decryptString,
+} from './cipher';
+import { t } from './i18n';
+
+const LOCK_VERSION = 1;
+const CHECK_TEXT = 'three_c';
+const SECURE_KEY = 'three_c_journal_key';
+const DEVICE_SECRET_KEY = 'three_c_lock_secret';
+
+export const MIN_PASSCODE_LENGTH = 8;
+// How long the app may stay in the background before it asks for the passcode again
+export const RELOCK_AFTER_MS = 60 * 1000;
+
+// Data key of the unlocked journal
+let unlockedKey = null;
+
+function getNativeModule(name) {
+  if (Platform.OS === 'web') return null;
+  try {
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    if (name === 'auth') return require('expo-local-authentication');
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    return require('expo-secure-store');
+  } catch (e) {
+    return null;
+  }
+}
+
+export async function loadLockConfig() {
+  const raw = await DeviceStorage.getItem(LOCK_KEY);
+  if (!raw) return null;
+  try {
+    const config = JSON.parse(raw);
+    return config && config.version === LOCK_VERSION ? config : null;
+  } catch (e) {
+    console.warn('Lock config is not valid JSON', e);
+    return null;
+  }
+}
+
+function saveLockConfig(config) {
+  return DeviceStorage.setItem(LOCK_KEY, JSON.stringify(config));
+}
+
+// Translation key of what's wrong with a new passcode, or null when it's acceptable:
+// at least MIN_PASSCODE_LENGTH characters, and not digits alone
+export function checkPasscode(passcode) {
+  if (passcode.length < MIN_PASSCODE_LENGTH) return 'lock.tooShort';
+  if (/^\d+$/.test(passcode)) return 'lock.needsLetter';
+  return null;
+}
+
+// The keychain secret passcode keys are bound to (created when `create` is set), or
+// null where there is no secure store
+async function getDeviceSecret(create) {
+  const SecureStore = getNativeModule('secure');
+  if (!SecureStore) return null;
+  try {
+    let secret = await SecureStore.getItemAsync(DEVICE_SECRET_KEY);
+    if (!secret && create) {
+      secret = randomHex(32);
+      await SecureStore.setItemAsync(DEVICE_SECRET_KEY, secret, {
+        keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+      });
+    }
+    return secret;
+  } catch (e) {
+    console.warn('Secure store unavailable', e);
+    return null;
+  }
+}
+
+// The key that wraps the data key, or null if the device secret it needs is gone
+async function wrappingKey(passcode, { salt, iterations, deviceBound }) {
+  const derived = await deriveKey(passcode, salt, iterations);
+  if (!deviceBound) return derived;
+  const secret = await getDeviceSecret(false);
+  return secret ? bindKey(derived, secret) : null;
+}
+
+async function wrapKey(dataKey, passcode) {
+  const deviceBound = !!(await getDeviceSecret(true));
+  const params = {
+    salt: randomHex(16),
+    iterations: deviceBound ? DEVICE_BOUND_KDF_ITERATIONS : KDF_ITERATIONS,
+    deviceBound,
+  };
+  return { ...params, wrappedKey: encryptString(dataKey, await wrappingKey(passcode, params)) };
+}
+
+// Whether a config's key was wrapped with weaker settings than wrapKey would use now
+async function isOutdated(config) {
+  if (config.deviceBound) return false;
+  return config.iterations < KDF_ITERATIONS || !!(await getDeviceSecret(true));
+}
+
+function isDataKey(config, key) {
+  try {
+    return decryptString(config.check, key) === CHECK_TEXT;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Resolves to the data key for `passcode`, or null if the passcode is wrong. Deriving
+// the key is deliberately slow.
+export async function keyForPasscode(config, passcode) {
+  try {
+    const key = await wrappingKey(passcode, config);
+    return key ? decryptString(config.wrappedKey, key) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Unlock with the passcode. Resolves to { key, config }, where a config wrapped with
+// weaker settings has been re-wrapped (and saved), or null if the passcode is wrong.
+export async function unlockWithPasscode(config, passcode) {
+  const key = await keyForPasscode(config, passcode);
+  if (!key) return null;
+  if (!(await isOutdated(config))) return { key, config };
+  try {
+    const next = { ...config, ...(await wrapKey(key, passcode)) };
+    await saveLockConfig(next);
+    return { key, config: next };
+  } catch (e) {
+    console.warn('Could not upgrade the passcode key', e);
+    return { key, config };
+  }
+}
+
+// Forget the data key when the app locks again. Storage keeps refusing to write in the
+// clear, so anything written before the next unlock fails instead of leaking.
+export function closeJournal() {
+  unlockedKey = null;
+  setEncryptionKey(null);
+}
+
+// Start using `dataKey` for storage, finishing an interrupted encryption if needed.
+// Resolves to the (possibly updated) config.
+export async function openJournal(config, dataKey) {
+  unlockedKey = dataKey;
+  setEncryptionKey(dataKey);
+  if (config.encrypted) return config;
+  await reencodeAll(dataKey);
+  const next = { ...config, encrypted: true };
+  await saveLockConfig(next);
+  return next;
+}
+
+// Turn the lock on: the config is written first, then every stored value is encrypted
+export async function enableLock(passcode) {
+  const dataKey = generateDataKey();
+  const config = {
+    version: LOCK_VERSION,
+    ...(await wrapKey(dataKey, passcode)),
+    check: encryptString(CHECK_TEXT, dataKey),
+    biometric: false,
+    encrypted: false,
+  };
+  await saveLockConfig(config);
+  return openJournal(config, dataKey);
+}
+
+// Resolves to the new config, or null if `current` is wrong
+export async function changePasscode(config, current, next) {
+  const dataKey = await keyForPasscode(config, current);
+  if (!dataKey) return null;
+  const updated = { ...config, ...(await wrapKey(dataKey, next)) };
+  await saveLockConfig(updated);
+  return updated;
+}
+
+// Turn the lock off: every value is decrypted before the config is removed, so an
+// interrupted run still asks for the passcode (and re-encrypts) next time.
+// Resolves to false if the passcode is wrong.
+export async function disableLock(config, passcode) {
+  const dataKey = await keyForPasscode(config, passcode);
+  if (!dataKey) return false;
+  await saveLockConfig({ ...config, encrypted: false });
+  await reencodeAll(null);
+  await forgetSecureItem(SECURE_KEY);
+  await forgetSecureItem(DEVICE_SECRET_KEY);
+  await DeviceStorage.removeItem(LOCK_KEY);
+  unlockedKey = null;
+  setEncryptionKey(null);
+  return true;
+}
+
+export async function biometricsAvailable() {
+  const Auth = getNativeModule('auth');
+  const SecureStore = getNativeModule('secure');
+  if (!Auth || !SecureStore) return false;
+  try {
+    return (await Auth.hasHardwareAsync()) && (await Auth.isEnrolledAsync());
+  } catch (e) {
+    return false;
+  }
+}
+
+async function authenticate(promptMessage) {
+  const Auth = getNativeModule('auth');
+  if (!Auth) return false;
+  const result = await Auth.authenticateAsync({ promptMessage, disableDeviceFallback: true, cancelLabel: t('lock.usePasscode') });
+  return !!result.success;
+}
+
+async function forgetSecureItem(key) {
+  const SecureStore = getNativeModule('secure');
+  if (!SecureStore) return;
+  try {
+    await SecureStore.deleteItemAsync(key);
+  } catch (e) {
+    console.warn(`Could not remove ${key} from the secure store`, e);
+  }
+}
+
+// Turn biometric unlock on or off while the journal is unlocked. Resolves to the new
+// config, or null if the user cancelled the biometric prompt.
+export async function setBiometricUnlock(config, enabled) {
+  if (enabled) {
+    const SecureStore = getNativeModule('secure');
+    if (!SecureStore || !unlockedKey) return null;
+    if (!(await authenticate(t('lock.biometricEnablePrompt')))) return null;
+    await SecureStore.setItemAsync(SECURE_KEY, unlockedKey, {
+      keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+    });
+  } else {
+    await forgetSecureItem(SECURE_KEY);
+  }
+  const next = { ...config, biometric: enabled };
+  await saveLockConfig(next);
+  return next;
+}
+
+// The data key after a successful biometric prompt, or null
+export async function keyFromBiometrics(config) {
+  const SecureStore = getNativeModule('secure');
+  if (!config.biometric || !SecureStore) return null;
+  try {
+    if (!(await authenticate(t('lock.biometricUnlockPrompt')))) return null;
+    const key = await SecureStore.getItemAsync(SECURE_KEY);
+    return key && isDataKey(config, key) ? key : null;
+  } catch (e) {
+    console.warn('Biometric unlock failed', e);
+    return null;
+  }
+}
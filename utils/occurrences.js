@@ -0,0 +1,68 @@
+// Tally mode for the midday check: instead of a single "caught" flag per category,
+// every tap logs an occurrence { id, category, at, tzOffset, note } in midday.occurrences.
+// midday.caught[category] stays true while a category has any occurrences, so
+// completion, streaks and older views keep working unchanged. `tzOffset` (minutes east
+// of UTC when it was logged) keeps the time of day as it was on the clock then, even
+// after travelling; occurrences logged before it existed use the device's zone.
+
+import { formatTime, recordedHour, utcOffsetOf } from './dates';
+
+// How a tap on a category is recorded; values are translation keys
+export const AWARENESS_MODES = {
+  toggle: 'awareness.modes.toggle',
+  tally: 'awareness.modes.tally',
+};
+
+// Start hours of the time-of-day slots in the distribution chart
+export const TIME_SLOTS = [0, 3, 6, 9, 12, 15, 18, 21];
+
+function newOccurrenceId() {
+  return `o_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function withOccurrences(entry, occurrences, category) {
+  const caught = { ...entry.midday?.caught };
+  if (category) caught[category] = occurrences.some((o) => o.category === category);
+  return { ...entry, midday: { ...entry.midday, caught, occurrences } };
+}
+
+export function getOccurrences(entry, category = null) {
+  const all = Array.isArray(entry?.midday?.occurrences) ? entry.midday.occurrences : [];
+  return category ? all.filter((o) => o.category === category) : all;
+}
+
+// How many times a category was caught on a day. Days ticked in toggle mode count once.
+export function countOccurrences(entry, category) {
+  const logged = getOccurrences(entry, category).length;
+  return logged || (entry?.midday?.caught?.[category] ? 1 : 0);
+}
+
+export function addOccurrence(entry, category, now = new Date()) {
+  const occurrence = { id: newOccurrenceId(), category, at: now.toISOString(), tzOffset: utcOffsetOf(now), note: '' };
+  return withOccurrences(entry, [...getOccurrences(entry), occurrence], category);
+}
+
+export function removeOccurrence(entry, id) {
+  const removed = getOccurrences(entry).find((o) => o.id === id);
+  if (!removed) return entry;
+  return withOccurrences(entry, getOccurrences(entry).filter((o) => o.id !== id), removed.category);
+}
+
+export function setOccurrenceNote(entry, id, note) {
+  return withOccurrences(entry, getOccurrences(entry).map((o) => (o.id === id ? { ...o, note } : o)));
+}
+
+// Clearing a category in tally mode also drops its logged occurrences
+export function clearCategory(entry, category) {
+  const occurrences = getOccurrences(entry).filter((o) => o.category !== category);
+  return withOccurrences(entry, occurrences, category);
+}
+
+// Index into TIME_SLOTS for the time of day an occurrence was logged at
+export function timeSlotOf(occurrence) {
+  return Math.floor(recordedHour(occurrence.at, occurrence.tzOffset) / 3);
+}
+
+export function formatOccurrenceTime(occurrence) {
+  return formatTime(occurrence.at, occurrence.tzOffset);
+}
@@ -0,0 +1,106 @@
+// User-facing labels for each part of an entry, shared by the editor (HomeScreen),
+// read-only views and exports so they always describe fields the same way.
+//
+// Night prompts are user-configurable (see settings.journal): each has a stable `id`
+// used as the key in entry.night, so rewording a prompt never orphans old answers.
+// Removed prompts are kept with `archived: true` so days that used them still render.
+// Awareness categories (the midday "Cs") work the same way, keyed by id in midday.caught.
+//
+// Section titles and fixed prompts live in the translation catalogs (sections.*,
+// prompts.*). The default prompts and categories are saved in settings with English
+// labels; they are shown in the current language until the user rewords them.
+
+import { DEFAULT_LAYOUT } from './schema';
+import { t, allTranslations } from './i18n';
+
+export function gratitudePrompt(count) {
+  return t('prompts.gratitude', { count });
+}
+
+// Label of the (0-based) index-th gratitude field
+export function gratitudeLabel(index) {
+  return t('prompts.gratitudeItem', { number: index + 1 });
+}
+
+// Choices offered when creating or editing an awareness category
+export const CATEGORY_COLORS = ['#dc2626', '#ea580c', '#7c3aed', '#0891b2', '#16a34a', '#db2777', '#ca8a04', '#475569'];
+export const CATEGORY_ICONS = [
+  'chatbubble-ellipses-outline', 'git-compare-outline', 'thumbs-down-outline', 'megaphone-outline',
+  'thunderstorm-outline', 'flame-outline', 'eye-outline', 'hourglass-outline',
+];
+
+export const DEFAULT_CATEGORIES = [
+  { id: 'complaining', label: 'Complaining', color: '#dc2626', icon: 'chatbubble-ellipses-outline' },
+  { id: 'comparing', label: 'Comparing', color: '#ea580c', icon: 'git-compare-outline' },
+  { id: 'criticizing', label: 'Criticizing', color: '#7c3aed', icon: 'thumbs-down-outline' },
+];
+
+export const DEFAULT_NIGHT_PROMPTS = [
+  { id: 'wentWell', label: 'One thing that went well', placeholder: 'Went well...' },
+  { id: 'handled', label: 'One thing I handled better than before', placeholder: 'Handled better...' },
+  { id: 'improve', label: 'One thing to improve tomorrow', placeholder: 'Improve tomorrow...' },
+];
+
+export const DEFAULT_JOURNAL_SETTINGS = {
+  gratitudeCount: DEFAULT_LAYOUT.gratitudeCount,
+  nightPrompts: DEFAULT_NIGHT_PROMPTS.map((p) => ({ ...p, archived: false })),
+  categories: DEFAULT_CATEGORIES.map((c) => ({ ...c, archived: false })),
+  // 'toggle' or 'tally'; see AWARENESS_MODES in occurrences.js
+  awarenessMode: 'toggle',
+};
+
+// The layout new entries get under the given journal settings
+export function getActiveLayout(journal = DEFAULT_JOURNAL_SETTINGS) {
+  return {
+    gratitudeCount: journal.gratitudeCount,
+    nightPrompts: journal.nightPrompts.filter((p) => !p.archived).map((p) => p.id),
+    categories: journal.categories.filter((c) => !c.archived).map((c) => c.id),
+  };
+}
+
+// A default prompt or category with its untouched texts in the current language
+function localizeDefault(kind, item) {
+  const localized = { ...item };
+  ['label', 'placeholder'].forEach((field) => {
+    const key = `defaults.${kind}.${item.id}.${field}`;
+    if (typeof item[field] === 'string' && allTranslations(key).includes(item[field])) localized[field] = t(key);
+  });
+  return localized;
+}
+
+export function localizePrompt(prompt) {
+  return localizeDefault('nightPrompts', prompt);
+}
+
+export function localizeCategory(category) {
+  return localizeDefault('categories', category);
+}
+
+// { id, label, placeholder } for a prompt id, even if it has since been removed
+export function getNightPrompt(prompts, id) {
+  const found = (prompts || DEFAULT_NIGHT_PROMPTS).find((p) => p.id === id)
+    || DEFAULT_NIGHT_PROMPTS.find((p) => p.id === id);
+  return found ? localizePrompt(found) : { id, label: t('prompts.reflection'), placeholder: '' };
+}
+
+// Night prompts of an entry, in the order they were shown that day
+export function getEntryNightPrompts(entry, prompts) {
+  const ids = entry?.layout?.nightPrompts ?? DEFAULT_LAYOUT.nightPrompts;
+  const extra = Object.keys(entry?.night ?? {}).filter((id) => !ids.includes(id));
+  return [...ids, ...extra].map((id) => getNightPrompt(prompts, id));
+}
+
+// { id, label, color, icon } for a category id, even if it has since been removed
+export function getCategory(categories, id) {
+  const found = (categories || DEFAULT_CATEGORIES).find((c) => c.id === id)
+    || DEFAULT_CATEGORIES.find((c) => c.id === id);
+  return found ? localizeCategory(found) : { id, label: id, color: '#475569', icon: 'ellipse-outline' };
+}
+
+// Categories offered on an entry's day, plus any other category it has ticked
+export function getEntryCategories(entry, categories) {
+  const ids = entry?.layout?.categories ?? DEFAULT_LAYOUT.categories;
+  const caught = entry?.midday?.caught ?? {};
+  const extra = Object.keys(caught).filter((id) => caught[id] && !ids.includes(id));
+  return [...ids, ...extra].map((id) => getCategory(categories, id));
+}
@@ -0,0 +1,69 @@
+// Mood and energy: optional ratings of how a day felt, given in the Night section and
+// stored on the entry as ratings: { mood, energy } (RATING_MIN..RATING_MAX, or null).
+//
+// Performance compares them across days: the average rating on days with something
+// (gratitude written, a category caught) against days without it. These are plain
+// averages over the rated days, so they show what tends to go together, not causes.
+
+import { RATING_MIN, RATING_MAX } from './schema';
+import { getLocale } from './i18n';
+
+// Rating kind -> translation key of its name
+export const RATING_KINDS = {
+  mood: 'ratings.mood',
+  energy: 'ratings.energy',
+};
+
+export const RATING_SCALE = Array.from({ length: RATING_MAX - RATING_MIN + 1 }, (_, i) => RATING_MIN + i);
+
+// Rated days each side of a comparison needs before its averages mean anything
+export const MIN_COMPARISON_DAYS = 3;
+
+export function getRating(entry, kind) {
+  const value = entry?.ratings?.[kind];
+  return Number.isInteger(value) ? value : null;
+}
+
+// Set or (with null) clear one rating of an entry
+export function setRating(entry, kind, value) {
+  return { ...entry, ratings: { ...entry.ratings, [kind]: value } };
+}
+
+export function hasRatings(entry) {
+  return Object.keys(RATING_KINDS).some((kind) => getRating(entry, kind) !== null);
+}
+
+function average(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+// Average rating per chart bucket over its rated days; null for buckets without any,
+// so an unrated stretch isn't charted as a rating of 0
+export function averageRatingOver(buckets, entries, kind) {
+  return buckets.map(({ dates }) => {
+    const value = average(dates.map((date) => getRating(entries[date], kind)).filter((v) => v !== null));
+    return value === null ? null : Math.round(value * 10) / 10;
+  });
+}
+
+// Average `kind` rating over the rated days among `dates`, split by `test(entry)`:
+// { with: { average, days }, without: { average, days }, enough } where `enough` says
+// whether both sides have MIN_COMPARISON_DAYS rated days
+export function compareRatings(entries, dates, kind, test) {
+  const split = { with: [], without: [] };
+  dates.forEach((date) => {
+    const entry = entries[date];
+    const value = getRating(entry, kind);
+    if (value !== null) split[test(entry) ? 'with' : 'without'].push(value);
+  });
+  return {
+    with: { average: average(split.with), days: split.with.length },
+    without: { average: average(split.without), days: split.without.length },
+    enough: split.with.length >= MIN_COMPARISON_DAYS && split.without.length >= MIN_COMPARISON_DAYS,
+  };
+}
+
+// A rating or average for display, e.g. '3.5'
+export function formatRating(value) {
+  return value.toLocaleString(getLocale(), { maximumFractionDigits: 1 });
+}
@@ -0,0 +1,148 @@
+// Local reminders for the Morning / Midday / Night practices.
+//
+// Rather than one repeating notification per section (which can't be skipped on a
+// day the section is already done), we schedule one-off notifications for the next
+// few days and re-plan whenever settings or today's entry change. Each notification
+// carries { section, date } so tapping it can open that day with the section expanded.
+//
+// expo-notifications is required lazily, like the other native-only modules, and
+// reminders are simply unavailable on web.
+
+import { Platform } from 'react-native';
+import { isSectionFilled, SECTIONS } from './entryStatus';
+import { getDayKey } from './dates';
+import { t } from './i18n';
+
+const REMINDER_KIND = 'section-reminder';
+const CHANNEL_ID = 'reminders';
+// How many days ahead to keep scheduled; refreshed every time the app is opened
+const SCHEDULE_DAYS = 7;
+
+// Notification text, in the language the app had when the reminders were scheduled
+function reminderContent(section) {
+  return { title: t(`reminders.notifications.${section}.title`), body: t(`reminders.notifications.${section}.body`) };
+}
+
+function getNotifications() {
+  if (Platform.OS === 'web') return null;
+  try {
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    return require('expo-notifications');
+  } catch (e) {
+    return null;
+  }
+}
+
+export function remindersSupported() {
+  return !!getNotifications();
+}
+
+// Decides whether a reminder that fires while the app is open should still be shown
+let shouldShowReminder = () => true;
+
+export function setReminderFilter(fn) {
+  shouldShowReminder = fn;
+}
+
+let configured = false;
+
+function configure(Notifications) {
+  if (configured) return;
+  configured = true;
+  Notifications.setNotificationHandler({
+    handleNotification: async (notification) => {
+      const data = notification.request.content.data || {};
+      const show = data.kind !== REMINDER_KIND || shouldShowReminder(data);
+      return { shouldShowBanner: show, shouldShowList: show, shouldPlaySound: false, shouldSetBadge: false };
+    },
+  });
+  if (Platform.OS === 'android') {
+    Notifications.setNotificationChannelAsync(CHANNEL_ID, {
+      name: t('reminders.channelName'),
+      importance: Notifications.AndroidImportance.DEFAULT,
+    }).catch((e) => console.warn('Could not create reminder channel', e));
+  }
+}
+
+// Ask for notification permission. Resolves to true when reminders can be delivered.
+export async function requestReminderPermission() {
+  const Notifications = getNotifications();
+  if (!Notifications) return false;
+  configure(Notifications);
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted) return true;
+  if (!current.canAskAgain) return false;
+  const requested = await Notifications.requestPermissionsAsync();
+  return !!requested.granted;
+}
+
+// Work out which reminders should exist: [{ section, date, fireAt }] for the next
+// SCHEDULE_DAYS days, skipping past times and sections already filled for that day.
+export function planReminders(reminders, entries, now = new Date()) {
+  const plan = [];
+  for (let offset = 0; offset < SCHEDULE_DAYS; offset += 1) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    SECTIONS.forEach((section) => {
+      const config = reminders?.[section];
+      if (!config || !config.enabled || !config.days.includes(day.getDay())) return;
+      const fireAt = new Date(day.getFullYear(), day.getMonth(), day.getDate(), config.hour, config.minute);
+      if (fireAt <= now) return;
+      // A reminder before the day-start hour is about the journal day still running
+      const date = getDayKey(fireAt);
+      if (isSectionFilled(entries?.[date], section)) return;
+      plan.push({ section, date, fireAt });
+    });
+  }
+  return plan;
+}
+
+// Replace every scheduled section reminder with the current plan.
+export async function syncReminders(reminders, entries) {
+  const Notifications = getNotifications();
+  if (!Notifications) return;
+  configure(Notifications);
+  const permission = await Notifications.getPermissionsAsync();
+
+  const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+  await Promise.all(scheduled
+    .filter((n) => n.content?.data?.kind === REMINDER_KIND)
+    .map((n) => Notifications.cancelScheduledNotificationAsync(n.identifier)));
+  if (!permission.granted) return;
+
+  await Promise.all(planReminders(reminders, entries).map(({ section, date, fireAt }) => (
+    Notifications.scheduleNotificationAsync({
+      identifier: `reminder-${section}-${date}`,
+      content: {
+        ...reminderContent(section),
+        data: { kind: REMINDER_KIND, section, date },
+      },
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: fireAt,
+        channelId: CHANNEL_ID,
+      },
+    })
+  )));
+}
+
+// Call `onOpen({ section, date })` when the user taps a reminder, including the one
+// that launched the app. Returns an unsubscribe function.
+export function addReminderOpenListener(onOpen) {
+  const Notifications = getNotifications();
+  if (!Notifications) return () => {};
+  configure(Notifications);
+
+  const handle = (response) => {
+    const data = response?.notification?.request?.content?.data;
+    if (data && data.kind === REMINDER_KIND) onOpen({ section: data.section, date: data.date });
+  };
+  Notifications.getLastNotificationResponseAsync()
+    .then((response) => {
+      if (!response) return;
+      handle(response);
+      Notifications.clearLastNotificationResponseAsync?.();
+    })
+    .catch(() => {});
+  const subscription = Notifications.addNotificationResponseReceivedListener(handle);
+  return () => subscription.remove();
+}
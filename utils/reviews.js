@@ -0,0 +1,124 @@
+// Weekly and monthly reviews: what the entries of a week or month add up to, and a
+// free-text review written about that period.
+//
+// A period is { kind: 'week' | 'month', start: 'YYYY-MM-DD' }. Weeks begin on the
+// first day of the week used by the calendars, months on the 1st. Each review is
+// stored on its own next to the journal (and encrypted with it when the lock is on):
+//   @three_c/review/week/YYYY-MM-DD  { text, updatedAt }   keyed by the week's anchor Monday
+//   @three_c/review/month/YYYY-MM    { text, updatedAt }
+// A week is keyed by the Monday of the Monday-to-Sunday week holding most of its days,
+// so a review stays with (nearly) the same days when the first day of the week changes.
+
+import { Storage } from './storage';
+import { addDays, parseDateKey, formatShortDate, formatMonth } from './dates';
+import { listDays } from './chartRange';
+import { getCompletion, getFilledSections } from './entryStatus';
+import { getNightPrompt, getCategory } from './prompts';
+import { countOccurrences } from './occurrences';
+import { getFirstDayOfWeek } from './i18n';
+
+const REVIEW_KEY_PREFIX = '@three_c/review';
+
+// Period kind -> translation key of its name
+export const REVIEW_KINDS = {
+  week: 'review.kinds.week',
+  month: 'review.kinds.month',
+};
+
+// Night prompts whose answers are gathered for the review, in this order
+export const REVIEW_PROMPTS = ['wentWell', 'handled'];
+
+// Monday of the Monday-to-Sunday week that holds the middle day of the week from `start`
+function weekAnchor(start) {
+  const middle = addDays(start, 3);
+  return addDays(middle, -((parseDateKey(middle).getDay() + 6) % 7));
+}
+
+const reviewKey = ({ kind, start }) => `${REVIEW_KEY_PREFIX}/${kind}/${kind === 'month' ? start.slice(0, 7) : weekAnchor(start)}`;
+
+// The week or month `date` falls in
+export function periodOf(kind, date) {
+  if (kind === 'month') return { kind, start: `${date.slice(0, 7)}-01` };
+  const back = (parseDateKey(date).getDay() - getFirstDayOfWeek() + 7) % 7;
+  return { kind: 'week', start: addDays(date, -back) };
+}
+
+// Last day of a period (inclusive)
+export function periodEnd({ kind, start }) {
+  if (kind === 'week') return addDays(start, 6);
+  const d = parseDateKey(start);
+  return addDays(start, new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate() - 1);
+}
+
+// The period `steps` weeks or months before (negative) or after (positive) `period`
+export function shiftPeriod(period, steps) {
+  if (period.kind === 'week') return { kind: 'week', start: addDays(period.start, steps * 7) };
+  const d = parseDateKey(period.start);
+  d.setMonth(d.getMonth() + steps);
+  return periodOf('month', `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-01`);
+}
+
+// Heading for a period, e.g. 'October 2026' or '10/12 – 10/18'
+export function describePeriod(period) {
+  if (period.kind === 'month') return formatMonth(period.start, { long: true, withYear: true });
+  return `${formatShortDate(period.start)} – ${formatShortDate(periodEnd(period))}`;
+}
+
+// Everything the review screen shows about a period. Only days up to `todayKey` count,
+// so a week or month in progress isn't measured against days still to come.
+//   days        days of the period so far
+//   written     days with at least one section filled
+//   completion  average share of prompts answered per day (0..100), empty days as 0
+//   answers     [{ id, label, items: [{ date, text }] }] for each of REVIEW_PROMPTS
+//   caught      [{ category, count }] most frequent first
+export function summarizePeriod(entries, period, todayKey, nightPrompts, categories) {
+  const end = periodEnd(period);
+  const days = period.start > todayKey ? [] : listDays(period.start, end < todayKey ? end : todayKey);
+  const answers = REVIEW_PROMPTS.map((id) => ({ ...getNightPrompt(nightPrompts, id), items: [] }));
+  const counts = {};
+  let written = 0;
+  let completion = 0;
+  days.forEach((date) => {
+    const entry = entries[date];
+    if (!entry) return;
+    if (getFilledSections(entry).length > 0) written += 1;
+    completion += getCompletion(entry).pct;
+    answers.forEach((answer) => {
+      const text = entry.night?.[answer.id];
+      if (typeof text === 'string' && text.trim() !== '') answer.items.push({ date, text: text.trim() });
+    });
+    const ids = new Set([...(entry.layout?.categories ?? []), ...Object.keys(entry.midday?.caught ?? {})]);
+    ids.forEach((id) => {
+      const count = countOccurrences(entry, id);
+      if (count) counts[id] = (counts[id] || 0) + count;
+    });
+  });
+  const caught = Object.keys(counts)
+    .map((id) => ({ category: getCategory(categories, id), count: counts[id] }))
+    .sort((a, b) => b.count - a.count);
+  return {
+    days: days.length,
+    written,
+    completion: days.length ? Math.round(completion / days.length) : 0,
+    answers,
+    caught,
+  };
+}
+
+// The review text written for a period ('' when there is none)
+export async function loadReview(period) {
+  try {
+    const raw = await Storage.getItem(reviewKey(period));
+    const data = raw ? JSON.parse(raw) : null;
+    return typeof data?.text === 'string' ? data.text : '';
+  } catch (e) {
+    console.warn('Could not read review', e);
+    return '';
+  }
+}
+
+// Store a period's review; an empty text removes it
+export function saveReview(period, text, now = new Date()) {
+  if (text.trim() === '') return Storage.removeItem(reviewKey(period));
+  return Storage.setItem(reviewKey(period), JSON.stringify({ text, updatedAt: now.toISOString() }));
+}
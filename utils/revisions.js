@@ -0,0 +1,145 @@
+// Edit history for journal days.
+//
+// Revisions: snapshots of a day captured once the user pauses typing (and right
+// before a day is cleared), kept in storage so an earlier text can be restored later.
+// Storage is bounded: at most MAX_REVISIONS_PER_DAY snapshots per day, for the
+// MAX_REVISION_DAYS most recently edited days.
+//   @three_c/revisions            ['YYYY-MM-DD', ...]  most recently edited last
+//   @three_c/revisions/YYYY-MM-DD [{ at, entry }]      oldest first
+//
+// Undo/redo: an in-memory stack of the same idle checkpoints for the day being edited.
+
+import { Storage } from './storage';
+import { getEntryNightPrompts, gratitudeLabel } from './prompts';
+import { getOccurrences, setOccurrenceNote } from './occurrences';
+import { t } from './i18n';
+
+const INDEX_KEY = '@three_c/revisions';
+const revisionsKey = (date) => `${INDEX_KEY}/${date}`;
+
+export const MAX_REVISIONS_PER_DAY = 25;
+export const MAX_REVISION_DAYS = 30;
+const MAX_UNDO = 50;
+
+async function readList(key) {
+  try {
+    const raw = await Storage.getItem(key);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.warn(`Could not read ${key}`, e);
+    return [];
+  }
+}
+
+// Revisions of a day, oldest first
+export function loadRevisions(date) {
+  return readList(revisionsKey(date));
+}
+
+const sameEntry = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Writes are chained so two quick snapshots can't overwrite each other's lists
+let writing = Promise.resolve();
+
+// Store a snapshot of `entry` unless it matches the latest one for that day
+export function recordRevision(date, entry, now = new Date()) {
+  writing = writing.then(async () => {
+    const revisions = await loadRevisions(date);
+    const latest = revisions[revisions.length - 1];
+    if (latest && sameEntry(latest.entry, entry)) return;
+    revisions.push({ at: now.toISOString(), entry });
+    await Storage.setItem(revisionsKey(date), JSON.stringify(revisions.slice(-MAX_REVISIONS_PER_DAY)));
+
+    const dates = (await readList(INDEX_KEY)).filter((d) => d !== date);
+    dates.push(date);
+    const evicted = dates.splice(0, Math.max(0, dates.length - MAX_REVISION_DAYS));
+    await Promise.all(evicted.map((d) => Storage.removeItem(revisionsKey(d))));
+    await Storage.setItem(INDEX_KEY, JSON.stringify(dates));
+  }).catch((e) => console.warn('Could not save revision', e));
+  return writing;
+}
+
+// Forget every revision of the given days (e.g. when a trashed day is purged)
+export function removeRevisions(dates) {
+  writing = writing.then(async () => {
+    await Promise.all(dates.map((d) => Storage.removeItem(revisionsKey(d))));
+    const index = await readList(INDEX_KEY);
+    const kept = index.filter((d) => !dates.includes(d));
+    if (kept.length !== index.length) await Storage.setItem(INDEX_KEY, JSON.stringify(kept));
+  }).catch((e) => console.warn('Could not remove revisions', e));
+  return writing;
+}
+
+// Free-text fields of an entry as [{ field, label, text }], where `field` is a path
+// understood by setTextField ('gratitude.0', 'reframe', 'night.<promptId>')
+export function listTextFields(entry, nightPrompts) {
+  const fields = [];
+  (entry?.morning?.gratitude ?? []).forEach((text, i) => {
+    fields.push({ field: `gratitude.${i}`, label: gratitudeLabel(i), text });
+  });
+  fields.push({ field: 'reframe', label: t('prompts.reframe'), text: entry?.midday?.reframe ?? '' });
+  getEntryNightPrompts(entry, nightPrompts).forEach(({ id, label }) => {
+    fields.push({ field: `night.${id}`, label, text: entry?.night?.[id] ?? '' });
+  });
+  return fields;
+}
+
+// Text of a field path, which may also be 'occurrence.<id>' (an occurrence's note)
+export function getTextField(entry, field) {
+  const [section, key] = field.split('.');
+  if (section === 'gratitude') return entry?.morning?.gratitude?.[Number(key)] ?? '';
+  if (section === 'reframe') return entry?.midday?.reframe ?? '';
+  if (section === 'night') return entry?.night?.[key] ?? '';
+  if (section === 'occurrence') return getOccurrences(entry).find((o) => o.id === key)?.note ?? '';
+  return '';
+}
+
+export function setTextField(entry, field, text) {
+  const [section, key] = field.split('.');
+  if (section === 'gratitude') {
+    const gratitude = [...(entry.morning?.gratitude ?? [])];
+    while (gratitude.length <= Number(key)) gratitude.push('');
+    gratitude[Number(key)] = text;
+    return { ...entry, morning: { ...entry.morning, gratitude } };
+  }
+  if (section === 'reframe') return { ...entry, midday: { ...entry.midday, reframe: text } };
+  if (section === 'night') {
+    const layout = entry.layout.nightPrompts.includes(key)
+      ? entry.layout
+      : { ...entry.layout, nightPrompts: [...entry.layout.nightPrompts, key] };
+    return { ...entry, layout, night: { ...entry.night, [key]: text } };
+  }
+  // A note is only kept while its occurrence exists; a removed one isn't brought back
+  if (section === 'occurrence') return setOccurrenceNote(entry, key, text);
+  return entry;
+}
+
+// Undo stack: { past: [entry], present: entry, future: [entry] }
+export function createUndoHistory(entry) {
+  return { past: [], present: entry, future: [] };
+}
+
+// Record `entry` as the latest checkpoint; a new edit discards anything redoable
+export function checkpoint(history, entry) {
+  if (sameEntry(history.present, entry)) return history;
+  return { past: [...history.past, history.present].slice(-MAX_UNDO), present: entry, future: [] };
+}
+
+export function undo(history) {
+  if (history.past.length === 0) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+  };
+}
+
+export function redo(history) {
+  if (history.future.length === 0) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+  };
+}
@@ -0,0 +1,432 @@
+// Journal storage schema: the current version, the canonical entry shape,
+// step-by-step migrations for older stored blobs, and validation that repairs
+// or quarantines malformed entries before they reach the UI.
+//
+// Store (v2+, as handed to upgradeStore by storage.js and found in JSON backups):
+//   { schemaVersion, entries: { 'YYYY-MM-DD': entry }, quarantine: { key: { value, reason, at } } }
+// Legacy blob (v1): the bare `{ 'YYYY-MM-DD': entry }` map with no envelope.
+//
+// Entry (v7):
+//   layout:  { gratitudeCount, nightPrompts: [promptId], categories: [categoryId] }
+//            — the prompts and awareness categories active that day
+//   tags:    [tag]  — see tags.js
+//   morning: { gratitude: [text × gratitudeCount] }
+//   midday:  { caught: { [categoryId]: bool }, reframe, reframeTags: [tag],
+//              occurrences: [{ id, category, at: ISO time, tzOffset?, note }] }  — see occurrences.js
+//   night:   { [promptId]: text }
+//   ratings: { mood, energy }  — 1..5, or null when not rated; see ratings.js
+
+import { normalizeTag } from './tags';
+
+export const SCHEMA_VERSION = 7;
+
+export const MAX_GRATITUDE = 10;
+
+// Range of the mood and energy ratings
+export const RATING_MIN = 1;
+export const RATING_MAX = 5;
+
+// The fixed layout every entry had before prompts and categories became configurable
+export const DEFAULT_LAYOUT = {
+  gratitudeCount: 3,
+  nightPrompts: ['wentWell', 'handled', 'improve'],
+  categories: ['complaining', 'comparing', 'criticizing'],
+};
+
+export function getEmptyEntry(layout = DEFAULT_LAYOUT) {
+  const night = {};
+  layout.nightPrompts.forEach((id) => { night[id] = ''; });
+  const caught = {};
+  layout.categories.forEach((id) => { caught[id] = false; });
+  return {
+    layout: { gratitudeCount: layout.gratitudeCount, nightPrompts: [...layout.nightPrompts], categories: [...layout.categories] },
+    tags: [],
+    morning: { gratitude: new Array(layout.gratitudeCount).fill('') },
+    midday: { caught, reframe: '', reframeTags: [], occurrences: [] },
+    night,
+    ratings: { mood: null, energy: null },
+  };
+}
+
+const hasText = (v) => typeof v === 'string' && v.trim() !== '';
+
+// Move an entry onto a new layout (e.g. today's entry after the prompts were edited).
+// Nothing is dropped: extra filled gratitude slots, prompts that are no longer active
+// but were answered, and categories that were already caught stay on the entry.
+export function applyLayout(entry, layout) {
+  const gratitude = [...(entry.morning?.gratitude ?? [])];
+  let lastFilled = -1;
+  gratitude.forEach((g, i) => { if (hasText(g)) lastFilled = i; });
+  const count = Math.max(layout.gratitudeCount, lastFilled + 1);
+  while (gratitude.length < count) gratitude.push('');
+  gratitude.length = count;
+
+  const night = { ...entry.night };
+  const nightPrompts = [...layout.nightPrompts];
+  Object.keys(night).forEach((id) => {
+    if (!nightPrompts.includes(id) && hasText(night[id])) nightPrompts.push(id);
+  });
+  nightPrompts.forEach((id) => { if (typeof night[id] !== 'string') night[id] = ''; });
+
+  const caught = { ...entry.midday?.caught };
+  const categories = [...layout.categories];
+  Object.keys(caught).forEach((id) => {
+    if (!categories.includes(id) && caught[id]) categories.push(id);
+  });
+  categories.forEach((id) => { caught[id] = !!caught[id]; });
+
+  return {
+    ...entry,
+    layout: { gratitudeCount: layout.gratitudeCount, nightPrompts, categories },
+    morning: { ...entry.morning, gratitude },
+    midday: { ...entry.midday, caught },
+    night,
+  };
+}
+
+const sameIds = (a, b) => a.length === b.length && a.every((id, i) => id === b[i]);
+
+export function sameLayout(a, b) {
+  return !!a && !!b && a.gratitudeCount === b.gratitudeCount
+    && sameIds(a.nightPrompts, b.nightPrompts)
+    && sameIds(a.categories ?? [], b.categories ?? []);
+}
+
+const DATE_KEY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+// Prompt and category ids
+export const ID_RE = /^[A-Za-z0-9_-]+$/;
+
+export function isValidDateKey(key) {
+  const match = DATE_KEY_RE.exec(key);
+  if (!match) return false;
+  const [, y, m, d] = match.map(Number);
+  const date = new Date(y, m - 1, d);
+  return date.getFullYear() === y && date.getMonth() === m - 1 && date.getDate() === d;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Coerce a stored field to a string. Returns [value, repaired].
+function toText(value) {
+  if (typeof value === 'string') return [value, false];
+  if (value === undefined || value === null) return ['', value === null];
+  if (typeof value === 'number' || typeof value === 'boolean') return [String(value), true];
+  return ['', true];
+}
+
+// Keep the stored tags that are already in normalized form, once each. Returns [tags, repaired].
+function normalizeTags(value) {
+  if (!Array.isArray(value)) return [[], true];
+  const tags = [...new Set(value.filter((tag) => tag && normalizeTag(tag) === tag))];
+  return [tags, tags.length !== value.length];
+}
+
+// Validate a stored layout, inferring one from the entry's content when it is
+// missing or malformed. Returns [layout, repaired].
+function normalizeLayout(raw) {
+  const layout = raw.layout;
+  const validCount = (n) => Number.isInteger(n) && n >= 1 && n <= MAX_GRATITUDE;
+  const validIds = (ids) => Array.isArray(ids) && ids.every((id) => typeof id === 'string' && ID_RE.test(id));
+  if (isPlainObject(layout) && validCount(layout.gratitudeCount) && validIds(layout.nightPrompts) && validIds(layout.categories)) {
+    return [{
+      gratitudeCount: layout.gratitudeCount,
+      nightPrompts: [...new Set(layout.nightPrompts)],
+      categories: [...new Set(layout.categories)],
+    }, false];
+  }
+  const gratitude = isPlainObject(raw.morning) && Array.isArray(raw.morning.gratitude) ? raw.morning.gratitude : [];
+  const nightKeys = isPlainObject(raw.night) ? Object.keys(raw.night).filter((id) => ID_RE.test(id)) : [];
+  const caught = isPlainObject(raw.midday) && isPlainObject(raw.midday.caught) ? raw.midday.caught : {};
+  const categoryKeys = Object.keys(caught).filter((id) => ID_RE.test(id));
+  return [{
+    gratitudeCount: validCount(gratitude.length) ? gratitude.length : DEFAULT_LAYOUT.gratitudeCount,
+    nightPrompts: nightKeys.length ? nightKeys : [...DEFAULT_LAYOUT.nightPrompts],
+    categories: categoryKeys.length ? categoryKeys : [...DEFAULT_LAYOUT.categories],
+  }, true];
+}
+
+// Normalize one stored entry against the shape of getEmptyEntry().
+// Returns { entry, repaired } or { entry: null, reason } when the value is not
+// recognisable as an entry at all and should be quarantined instead.
+export function normalizeEntry(raw) {
+  if (!isPlainObject(raw)) return { entry: null, reason: 'not an object' };
+  if (!('morning' in raw) && !('midday' in raw) && !('night' in raw)) {
+    return { entry: null, reason: 'no known sections' };
+  }
+
+  let repaired = false;
+  const note = (flag) => { if (flag) repaired = true; };
+  const [layout, layoutFixed] = normalizeLayout(raw);
+  note(layoutFixed);
+  const entry = getEmptyEntry(layout);
+
+  // Morning: gratitude strings, at least one slot per configured item
+  const morning = raw.morning;
+  if (morning !== undefined && !isPlainObject(morning)) note(true);
+  const gratitude = isPlainObject(morning) ? morning.gratitude : undefined;
+  if (Array.isArray(gratitude)) {
+    const length = Math.min(MAX_GRATITUDE, Math.max(layout.gratitudeCount, gratitude.length));
+    if (length !== gratitude.length) note(true);
+    entry.morning.gratitude = Array.from({ length }, (_, i) => {
+      const [text, fixed] = toText(gratitude[i]);
+      note(fixed && i < gratitude.length);
+      return text;
+    });
+  } else if (gratitude !== undefined) {
+    note(true);
+  }
+
+  // Midday: one boolean per category id, a reframe note and any tally occurrences
+  const midday = raw.midday;
+  if (midday !== undefined && !isPlainObject(midday)) note(true);
+  if (isPlainObject(midday)) {
+    if (isPlainObject(midday.caught)) {
+      Object.keys(midday.caught).forEach((id) => {
+        const v = midday.caught[id];
+        if (!ID_RE.test(id)) {
+          note(true);
+          return;
+        }
+        note(typeof v !== 'boolean');
+        entry.midday.caught[id] = !!v;
+      });
+      note(layout.categories.some((id) => !(id in midday.caught)));
+    } else if (Array.isArray(midday.caught)) {
+      // Pre-v4 positional flags that slipped past the migrations
+      note(true);
+      midday.caught.forEach((v, i) => {
+        const id = DEFAULT_LAYOUT.categories[i];
+        if (id) entry.midday.caught[id] = !!v;
+      });
+    } else if (midday.caught !== undefined) {
+      note(true);
+    }
+    const [reframe, fixed] = toText(midday.reframe);
+    entry.midday.reframe = reframe;
+    note(fixed);
+    const [reframeTags, tagsFixed] = normalizeTags(midday.reframeTags);
+    entry.midday.reframeTags = reframeTags;
+    note(tagsFixed);
+
+    if (Array.isArray(midday.occurrences)) {
+      midday.occurrences.forEach((o) => {
+        const valid = isPlainObject(o) && typeof o.id === 'string' && typeof o.category === 'string'
+          && ID_RE.test(o.category) && typeof o.at === 'string' && !Number.isNaN(Date.parse(o.at));
+        if (!valid) {
+          note(true);
+          return;
+        }
+        const [text, noteFixed] = toText(o.note);
+        note(noteFixed);
+        const occurrence = { id: o.id, category: o.category, at: o.at, note: text };
+        // Optional: occurrences logged before time zones were recorded have none
+        if (Number.isInteger(o.tzOffset) && Math.abs(o.tzOffset) <= 14 * 60) occurrence.tzOffset = o.tzOffset;
+        else note(o.tzOffset !== undefined);
+        entry.midday.occurrences.push(occurrence);
+        // A logged occurrence always means the category was caught
+        note(entry.midday.caught[o.category] !== true);
+        entry.midday.caught[o.category] = true;
+      });
+    } else {
+      note(true);
+    }
+  }
+
+  // Night: one string per prompt id (answers to prompts no longer active are kept)
+  const night = raw.night;
+  if (night !== undefined && !isPlainObject(night)) note(true);
+  if (isPlainObject(night)) {
+    Object.keys(night).forEach((id) => {
+      if (!ID_RE.test(id)) {
+        note(true);
+        return;
+      }
+      const [text, fixed] = toText(night[id]);
+      entry.night[id] = text;
+      note(fixed);
+    });
+    note(layout.nightPrompts.some((id) => !(id in night)));
+  }
+
+  // Day tags (reframe tags are checked with the rest of midday)
+  const [tags, tagsFixed] = normalizeTags(raw.tags);
+  entry.tags = tags;
+  note(tagsFixed);
+
+  // Ratings: whole numbers on the rating scale, null when the day wasn't rated
+  const ratings = raw.ratings;
+  if (isPlainObject(ratings)) {
+    Object.keys(entry.ratings).forEach((kind) => {
+      const v = ratings[kind];
+      if (Number.isInteger(v) && v >= RATING_MIN && v <= RATING_MAX) entry.ratings[kind] = v;
+      else note(v !== null);
+    });
+    note(Object.keys(ratings).some((kind) => !(kind in entry.ratings)));
+  } else {
+    note(true);
+  }
+
+  // Unknown top-level keys are dropped so they never leak into the UI
+  Object.keys(raw).forEach((key) => note(!(key in entry)));
+
+  return { entry, repaired };
+}
+
+// Validate every entry in a map. Malformed values (bad date keys or entries
+// that cannot be repaired) are moved into `quarantine` instead of the map.
+export function validateEntries(entries, quarantine = {}) {
+  const valid = {};
+  const moved = { ...quarantine };
+  let changed = false;
+  const at = new Date().toISOString();
+
+  Object.keys(isPlainObject(entries) ? entries : {}).forEach((key) => {
+    const value = entries[key];
+    if (!isValidDateKey(key)) {
+      moved[key] = { value, reason: 'invalid date key', at };
+      changed = true;
+      return;
+    }
+    const { entry, repaired, reason } = normalizeEntry(value);
+    if (!entry) {
+      moved[key] = { value, reason, at };
+      changed = true;
+      return;
+    }
+    if (repaired) changed = true;
+    valid[key] = entry;
+  });
+
+  return { entries: valid, quarantine: moved, changed };
+}
+
+function mapEntries(entries, fn) {
+  const result = {};
+  Object.keys(isPlainObject(entries) ? entries : {}).forEach((key) => {
+    result[key] = fn(entries[key]);
+  });
+  return result;
+}
+
+// Each migration upgrades a store from version N to N + 1. Add new steps here
+// and bump SCHEMA_VERSION; never edit a step that has already shipped.
+const MIGRATIONS = {
+  // v1 -> v2: wrap the bare date map in a versioned envelope
+  1: (data) => ({ schemaVersion: 2, entries: isPlainObject(data) ? data : {}, quarantine: {} }),
+  // v2 -> v3: record the (then fixed) prompt layout on every entry
+  2: (store) => ({
+    ...store,
+    schemaVersion: 3,
+    entries: mapEntries(store.entries, (entry) => (
+      isPlainObject(entry) && !('layout' in entry)
+        ? { ...entry, layout: { gratitudeCount: 3, nightPrompts: ['wentWell', 'handled', 'improve'] } }
+        : entry
+    )),
+  }),
+  // v3 -> v4: store caught categories by id instead of position, and record them in the layout
+  3: (store) => ({
+    ...store,
+    schemaVersion: 4,
+    entries: mapEntries(store.entries, (entry) => {
+      if (!isPlainObject(entry)) return entry;
+      const categories = ['complaining', 'comparing', 'criticizing'];
+      const next = { ...entry };
+      if (isPlainObject(entry.layout)) next.layout = { ...entry.layout, categories };
+      if (isPlainObject(entry.midday) && Array.isArray(entry.midday.caught)) {
+        const caught = {};
+        categories.forEach((id, i) => { caught[id] = !!entry.midday.caught[i]; });
+        next.midday = { ...entry.midday, caught };
+      }
+      return next;
+    }),
+  }),
+  // v4 -> v5: room for tally-mode occurrences on every entry
+  4: (store) => ({
+    ...store,
+    schemaVersion: 5,
+    entries: mapEntries(store.entries, (entry) => (
+      isPlainObject(entry) && isPlainObject(entry.midday) && !Array.isArray(entry.midday.occurrences)
+        ? { ...entry, midday: { ...entry.midday, occurrences: [] } }
+        : entry
+    )),
+  }),
+  // v5 -> v6: unrated mood and energy on every entry
+  5: (store) => ({
+    ...store,
+    schemaVersion: 6,
+    entries: mapEntries(store.entries, (entry) => (
+      isPlainObject(entry) && !isPlainObject(entry.ratings)
+        ? { ...entry, ratings: { mood: null, energy: null } }
+        : entry
+    )),
+  }),
+  // v6 -> v7: no tags yet on any day or reframe
+  6: (store) => ({
+    ...store,
+    schemaVersion: 7,
+    entries: mapEntries(store.entries, (entry) => {
+      if (!isPlainObject(entry)) return entry;
+      const next = Array.isArray(entry.tags) ? entry : { ...entry, tags: [] };
+      return isPlainObject(next.midday) && !Array.isArray(next.midday.reframeTags)
+        ? { ...next, midday: { ...next.midday, reframeTags: [] } }
+        : next;
+    }),
+  }),
+};
+
+// Whether `v` can be a stored schema version. Anything else (e.g. 2.5) has no migration
+// path and is treated as unknown.
+export function isSchemaVersion(v) {
+  return Number.isInteger(v) && v >= 1;
+}
+
+// A stored envelope's version, or 1 for the bare legacy map and anything unrecognized
+function detectVersion(data) {
+  if (isPlainObject(data) && isSchemaVersion(data.schemaVersion) && isPlainObject(data.entries)) {
+    return data.schemaVersion;
+  }
+  return 1;
+}
+
+export function createEmptyStore() {
+  return { schemaVersion: SCHEMA_VERSION, entries: {}, quarantine: {} };
+}
+
+// Upgrade a parsed blob of any known version to the current one and validate
+// its entries. `changed` is true when the result differs from what was stored
+// and should be written back. `newer` is true for data written by a newer app: it is
+// repaired in memory only (validation drops the fields this version doesn't know), so
+// it must never be written back.
+export function upgradeStore(data) {
+  if (data === null || data === undefined) return { store: createEmptyStore(), changed: false, newer: false };
+
+  let version = detectVersion(data);
+  let store = data;
+  let changed = false;
+
+  const newer = version > SCHEMA_VERSION;
+  if (newer) {
+    console.warn(`Journal schema v${version} is newer than this app (v${SCHEMA_VERSION}); loading best-effort, read-only`);
+  }
+  while (version < SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new Error(`No migration from schema v${version}`);
+    store = migrate(store);
+    version += 1;
+    changed = true;
+  }
+
+  const validated = validateEntries(store.entries, isPlainObject(store.quarantine) ? store.quarantine : {});
+  return {
+    store: {
+      ...store,
+      schemaVersion: Math.max(version, SCHEMA_VERSION),
+      entries: validated.entries,
+      quarantine: validated.quarantine,
+    },
+    changed: !newer && (changed || validated.changed),
+    newer,
+  };
+}
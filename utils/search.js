@@ -0,0 +1,79 @@
+// Full-text search over the journal's free-text fields.
+//
+// The index is a flat list of { date, section, field, label, text, lower } documents, one
+// per non-empty field, built once per change to `entries` and kept newest first. `field`
+// is the field's path as in revisions.js ('gratitude.0', 'reframe', 'night.<promptId>'),
+// which unlike the label is unique within a day. A search is then a single pass of
+// substring checks over pre-lowercased text, which stays fast for several years of
+// daily entries.
+
+import { gratitudeLabel, getEntryNightPrompts } from './prompts';
+import { t } from './i18n';
+
+const SNIPPET_RADIUS = 40;
+
+// `nightPrompts` (settings.journal.nightPrompts) supplies the labels of reflection fields
+export function buildSearchIndex(entries, nightPrompts) {
+  const docs = [];
+  const add = (date, section, field, label, text) => {
+    if (typeof text === 'string' && text.trim()) docs.push({ date, section, field, label, text, lower: text.toLowerCase() });
+  };
+  Object.keys(entries || {})
+    .sort((a, b) => b.localeCompare(a))
+    .forEach((date) => {
+      const entry = entries[date] || {};
+      (entry.morning?.gratitude ?? []).forEach((g, i) => add(date, 'morning', `gratitude.${i}`, gratitudeLabel(i), g));
+      add(date, 'midday', 'reframe', t('prompts.reframe'), entry.midday?.reframe);
+      getEntryNightPrompts(entry, nightPrompts).forEach(({ id, label }) => add(date, 'night', `night.${id}`, label, entry.night?.[id]));
+    });
+  return docs;
+}
+
+function tokenize(query) {
+  return query.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+// Split `text` into [{ text, match }] parts, marking every occurrence of any token
+function highlight(text, tokens) {
+  const lower = text.toLowerCase();
+  const marks = new Array(text.length).fill(false);
+  tokens.forEach((token) => {
+    for (let i = lower.indexOf(token); i !== -1; i = lower.indexOf(token, i + token.length)) {
+      for (let j = i; j < i + token.length; j += 1) marks[j] = true;
+    }
+  });
+  const parts = [];
+  for (let i = 0; i < text.length; i += 1) {
+    const last = parts[parts.length - 1];
+    if (last && last.match === marks[i]) last.text += text[i];
+    else parts.push({ text: text[i], match: marks[i] });
+  }
+  return parts;
+}
+
+// A window of the text around the first match, with ellipses where it was cut
+function snippet(doc, tokens) {
+  const first = Math.min(...tokens.map((t) => doc.lower.indexOf(t)).filter((i) => i >= 0));
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(doc.text.length, first + SNIPPET_RADIUS * 2);
+  const body = doc.text.slice(start, end).replace(/\s+/g, ' ');
+  return highlight(`${start > 0 ? '…' : ''}${body}${end < doc.text.length ? '…' : ''}`, tokens);
+}
+
+// Fields containing every word of `query` (case-insensitive), newest first.
+// Returns { results: [{ key, date, section, label, parts }], total }.
+export function searchJournal(index, query, limit = 100) {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return { results: [], total: 0 };
+  const matches = index.filter((doc) => tokens.every((t) => doc.lower.includes(t)));
+  return {
+    total: matches.length,
+    results: matches.slice(0, limit).map((doc) => ({
+      key: `${doc.date}:${doc.field}`,
+      date: doc.date,
+      section: doc.section,
+      label: doc.label,
+      parts: snippet(doc, tokens),
+    })),
+  };
+}
@@ -0,0 +1,66 @@
+// User preferences, stored as a single small JSON value next to the journal.
+// Unknown or missing keys fall back to DEFAULT_SETTINGS so older saved settings
+// keep working as new options are added.
+
+import { Storage } from './storage';
+import { DEFAULT_JOURNAL_SETTINGS } from './prompts';
+
+const SETTINGS_KEY = '@three_c/settings';
+
+export const DEFAULT_SETTINGS = {
+  reminders: {
+    morning: { enabled: false, hour: 8, minute: 0, days: [0, 1, 2, 3, 4, 5, 6] },
+    midday: { enabled: false, hour: 13, minute: 0, days: [0, 1, 2, 3, 4, 5, 6] },
+    night: { enabled: false, hour: 21, minute: 0, days: [0, 1, 2, 3, 4, 5, 6] },
+  },
+  // Which days count towards a streak; see STREAK_MODES in streaks.js
+  streakMode: 'any',
+  // First day of the month last viewed on the History calendar ('YYYY-MM-01')
+  historyMonth: null,
+  // Gratitude slot count and night reflection prompts; see prompts.js
+  journal: DEFAULT_JOURNAL_SETTINGS,
+  // Self-hosted sync endpoint; see sync.js
+  sync: { enabled: false, endpoint: '', token: '' },
+  // 'system', 'light' or 'dark'; see THEME_MODES in theme.js
+  theme: 'system',
+  // 'system' or a language code from LANGUAGES in i18n.js
+  language: 'system',
+  // Weekday calendars start on (0 = Sunday), or null for the language's usual one
+  firstDayOfWeek: null,
+  // Hour a new journal day begins; earlier writing counts towards the day before
+  dayStartHour: 0,
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Recursively fill gaps in `value` from `defaults`; arrays and primitives are taken as-is
+// when their type matches the default.
+function withDefaults(defaults, value) {
+  if (isPlainObject(defaults)) {
+    const source = isPlainObject(value) ? value : {};
+    const result = { ...source };
+    Object.keys(defaults).forEach((key) => {
+      result[key] = withDefaults(defaults[key], source[key]);
+    });
+    return result;
+  }
+  if (Array.isArray(defaults)) return Array.isArray(value) ? value : defaults;
+  if (defaults === null) return value === undefined ? null : value;
+  return typeof value === typeof defaults ? value : defaults;
+}
+
+export async function loadSettings() {
+  try {
+    const raw = await Storage.getItem(SETTINGS_KEY);
+    return withDefaults(DEFAULT_SETTINGS, raw ? JSON.parse(raw) : {});
+  } catch (e) {
+    console.warn('Failed to load settings', e);
+    return withDefaults(DEFAULT_SETTINGS, {});
+  }
+}
+
+export async function saveSettings(settings) {
+  await Storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
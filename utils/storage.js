@@ -0,0 +1,350 @@
+// Journal persistence.
+//
+// NOTE: We avoid a static top-level `import AsyncStorage from '@react-native-async-storage/async-storage'`
+// because some bundlers/environments (web preview, certain snack/embed systems) fail to resolve
+// native-only packages. Instead we create a lightweight Storage wrapper that prefers:
+// 1) window.localStorage when running on web,
+// 2) the native AsyncStorage when available at runtime,
+// 3) an in-memory fallback if neither are available.
+//
+// Layout: one key per day plus a sorted index of dates, so saving a day costs the
+// same no matter how much history exists. Writes are debounced and coalesced per day.
+//   @three_c/meta            { schemaVersion }
+//   @three_c/index           ['YYYY-MM-DD', ...]
+//   @three_c/day/YYYY-MM-DD  entry
+//   @three_c/quarantine      { key: { value, reason, at } }
+//   @three_c/lock            app lock config, always plaintext (see lock.js)
+// The pre-index single blob (LEGACY_STORAGE_KEY) is migrated on first load.
+//
+// When the app lock is on, every other value is encrypted before it reaches the device
+// (see cipher.js). `Storage` does this transparently; `DeviceStorage` is the raw backend.
+
+import { AppState } from 'react-native';
+import { SCHEMA_VERSION, upgradeStore, isSchemaVersion } from './schema';
+import { isEncrypted, encryptString, decryptString } from './cipher';
+
+export const LEGACY_STORAGE_KEY = '@three_c_daily_entries_v1';
+const KEY_PREFIX = '@three_c';
+const META_KEY = `${KEY_PREFIX}/meta`;
+const INDEX_KEY = `${KEY_PREFIX}/index`;
+const QUARANTINE_KEY = `${KEY_PREFIX}/quarantine`;
+export const LOCK_KEY = `${KEY_PREFIX}/lock`;
+const dayKey = (date) => `${KEY_PREFIX}/day/${date}`;
+
+// How long to wait after the last change to a day before writing it
+const WRITE_DELAY_MS = 400;
+
+export const DeviceStorage = (() => {
+  // 1) Web/localStorage
+  if (typeof window !== 'undefined' && window.localStorage) {
+    return {
+      getItem: async (k) => {
+        try {
+          return window.localStorage.getItem(k);
+        } catch (e) {
+          console.warn('localStorage.getItem failed', e);
+          return null;
+        }
+      },
+      setItem: async (k, v) => {
+        try {
+          window.localStorage.setItem(k, v);
+        } catch (e) {
+          console.warn('localStorage.setItem failed', e);
+        }
+      },
+      removeItem: async (k) => {
+        try {
+          window.localStorage.removeItem(k);
+        } catch (e) {
+          console.warn('localStorage.removeItem failed', e);
+        }
+      },
+      getAllKeys: async () => Object.keys(window.localStorage),
+    };
+  }
+
+  // 2) Try to require native AsyncStorage at runtime (only executed where require is supported)
+  try {
+    // using require inside try so bundlers that resolve static imports for web don't choke
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    const AsyncStorageModule = require('@react-native-async-storage/async-storage');
+    const AsyncStorage = AsyncStorageModule && (AsyncStorageModule.default || AsyncStorageModule);
+    if (AsyncStorage && typeof AsyncStorage.getItem === 'function') {
+      return AsyncStorage;
+    }
+  } catch (e) {
+    // not available — we'll fall back to in-memory storage below
+  }
+
+  // 3) In-memory fallback (non-persistent) — safe default so the app still runs
+  const mem = {};
+  return {
+    getItem: async (k) => (Object.prototype.hasOwnProperty.call(mem, k) ? mem[k] : null),
+    setItem: async (k, v) => {
+      mem[k] = v;
+    },
+    removeItem: async (k) => {
+      delete mem[k];
+    },
+    getAllKeys: async () => Object.keys(mem),
+  };
+})();
+
+// Data key while the journal is unlocked (used to read encrypted values), and whether
+// new writes are encrypted with it
+let dataKey = null;
+let encryptWrites = false;
+
+// Use `key` for reads and writes. Clearing it (the app locking again) leaves writes
+// encrypted, so they fail until the next unlock rather than going out in the clear;
+// only reencodeAll turns encryption off.
+export function setEncryptionKey(key) {
+  dataKey = key;
+  if (key) encryptWrites = true;
+}
+
+function encode(key, value) {
+  if (!encryptWrites || key === LOCK_KEY) return value;
+  if (!dataKey) throw new Error('Journal is locked');
+  return encryptString(value, dataKey);
+}
+
+function decode(value) {
+  if (!isEncrypted(value)) return value;
+  if (!dataKey) throw new Error('Journal is locked');
+  return decryptString(value, dataKey);
+}
+
+export const Storage = {
+  getItem: async (k) => decode(await DeviceStorage.getItem(k)),
+  setItem: async (k, v) => DeviceStorage.setItem(k, encode(k, v)),
+  removeItem: (k) => DeviceStorage.removeItem(k),
+};
+
+// Encrypt every stored journal value with `key`, or decrypt them all when `key` is null
+// (the lock being turned on or off). Each value is rewritten on its own and reads accept
+// both forms, so an interrupted run leaves everything readable and can simply be repeated.
+export async function reencodeAll(key) {
+  await flushWrites();
+  if (key) dataKey = key;
+  encryptWrites = !!key;
+  const keys = (await DeviceStorage.getAllKeys())
+    .filter((k) => (k === LEGACY_STORAGE_KEY || k.startsWith(`${KEY_PREFIX}/`)) && k !== LOCK_KEY);
+  for (const k of keys) {
+    const raw = await DeviceStorage.getItem(k);
+    if (raw === null) continue;
+    const plain = decode(raw);
+    await DeviceStorage.setItem(k, key ? encryptString(plain, key) : plain);
+  }
+}
+
+async function readJSON(key) {
+  const raw = await Storage.getItem(key);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    // Never silently overwrite something we cannot parse: copy it aside first
+    console.warn(`Stored value for ${key} is not valid JSON; backing it up`, e);
+    await Storage.setItem(`${key}_corrupt_${Date.now()}`, raw);
+    return null;
+  }
+}
+
+function writeJSON(key, value) {
+  return Storage.setItem(key, JSON.stringify(value));
+}
+
+// Dates currently present in the index (kept in memory so that plain edits of an
+// existing day never touch the index key)
+let knownDates = new Set();
+// date -> entry to write, or null to delete
+const pending = new Map();
+// date -> who queued the pending change (see saveDay), when given
+const pendingOrigins = new Map();
+// Called with the written batch (date -> entry, or null when deleted) and the origins of
+// its changes (date -> origin) after each flush
+const writeListeners = new Set();
+let flushTimer = null;
+let flushing = Promise.resolve();
+
+async function writeIndex(added, removed) {
+  // Re-read before writing so another tab/instance adding a day isn't clobbered
+  const stored = await readJSON(INDEX_KEY);
+  const dates = new Set(Array.isArray(stored) ? stored : []);
+  added.forEach((d) => dates.add(d));
+  removed.forEach((d) => dates.delete(d));
+  knownDates = dates;
+  await writeJSON(INDEX_KEY, [...dates].sort());
+}
+
+async function writeAll(store) {
+  const dates = Object.keys(store.entries).sort();
+  await Promise.all(dates.map((date) => writeJSON(dayKey(date), store.entries[date])));
+  await writeJSON(INDEX_KEY, dates);
+  await writeJSON(QUARANTINE_KEY, store.quarantine || {});
+  knownDates = new Set(dates);
+  // Meta last: its presence marks the per-day layout as complete
+  await writeJSON(META_KEY, { schemaVersion: store.schemaVersion });
+}
+
+// Convert the legacy single blob into per-day keys. The legacy key is removed only
+// after the new layout has been fully written, so an interrupted run simply repeats.
+async function migrateLegacyBlob() {
+  const parsed = await readJSON(LEGACY_STORAGE_KEY);
+  const { store, newer } = upgradeStore(parsed);
+  if (newer) return store.entries;
+  await writeAll(store);
+  if (parsed !== null) await Storage.removeItem(LEGACY_STORAGE_KEY);
+  return store.entries;
+}
+
+// Load every stored day, upgrading older schema versions and repairing or
+// quarantining malformed days. Resolves to the `{ date: entry }` map. A journal
+// written by a newer app version is only repaired in memory, never written back.
+export async function loadJournal() {
+  const meta = await readJSON(META_KEY);
+  if (!meta) return migrateLegacyBlob();
+
+  const index = await readJSON(INDEX_KEY);
+  const dates = Array.isArray(index) ? index : [];
+  const values = await Promise.all(dates.map((date) => readJSON(dayKey(date))));
+  const entries = {};
+  dates.forEach((date, i) => {
+    if (values[i] !== null) entries[date] = values[i];
+  });
+
+  const quarantine = await readJSON(QUARANTINE_KEY);
+  const { store, changed, newer } = upgradeStore({
+    schemaVersion: isSchemaVersion(meta.schemaVersion) ? meta.schemaVersion : SCHEMA_VERSION,
+    entries,
+    quarantine: quarantine || {},
+  });
+  knownDates = new Set(Object.keys(store.entries));
+
+  if (!newer && (changed || !isSchemaVersion(meta.schemaVersion) || Object.keys(store.entries).length !== dates.length)) {
+    await writeAll(store);
+    await Promise.all(dates.filter((d) => !store.entries[d]).map((d) => Storage.removeItem(dayKey(d))));
+  }
+  return store.entries;
+}
+
+// Read one day again after another tab or window changed it. Resolves to the entry, or
+// null when the day is gone (or can't be read).
+export async function reloadDay(date) {
+  const value = await readJSON(dayKey(date));
+  const { store } = upgradeStore({
+    schemaVersion: SCHEMA_VERSION,
+    entries: value === null ? {} : { [date]: value },
+    quarantine: {},
+  });
+  const entry = store.entries[date] ?? null;
+  // Keep the in-memory index in step, so a later save here re-adds a day deleted elsewhere
+  if (entry) knownDates.add(date);
+  else knownDates.delete(date);
+  return entry;
+}
+
+// The date of a per-day storage key, or null for any other key
+export function dateFromKey(key) {
+  const prefix = `${KEY_PREFIX}/day/`;
+  return typeof key === 'string' && key.startsWith(prefix) ? key.slice(prefix.length) : null;
+}
+
+// Whether a change to `date` is still waiting to be written
+export function hasPendingWrite(date) {
+  return pending.has(date);
+}
+
+// Whether the journal has `date`, counting changes not written yet
+export function hasDay(date) {
+  return pending.has(date) ? pending.get(date) !== null : knownDates.has(date);
+}
+
+// Write everything queued by saveDay/removeDay now.
+export function flushWrites() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  if (pending.size === 0) return flushing;
+
+  const batch = new Map(pending);
+  const origins = new Map(pendingOrigins);
+  pending.clear();
+  pendingOrigins.clear();
+  flushing = flushing.then(async () => {
+    const added = [];
+    const removed = [];
+    try {
+      // Start every write before awaiting any so the batch goes out together
+      await Promise.all([...batch].map(([date, entry]) => {
+        if (entry === null) {
+          if (knownDates.has(date)) removed.push(date);
+          return Storage.removeItem(dayKey(date));
+        }
+        if (!knownDates.has(date)) added.push(date);
+        return writeJSON(dayKey(date), entry);
+      }));
+      if (added.length || removed.length) await writeIndex(added, removed);
+    } catch (e) {
+      console.warn('Save failed', e);
+      // Re-queue whatever hasn't been superseded by a newer change
+      batch.forEach((entry, date) => {
+        if (pending.has(date)) return;
+        pending.set(date, entry);
+        if (origins.has(date)) pendingOrigins.set(date, origins.get(date));
+      });
+      scheduleFlush();
+      return;
+    }
+    writeListeners.forEach((fn) => {
+      try {
+        fn(batch, origins);
+      } catch (e) {
+        console.warn('Write listener failed', e);
+      }
+    });
+  });
+  return flushing;
+}
+
+function scheduleFlush() {
+  if (flushTimer) clearTimeout(flushTimer);
+  flushTimer = setTimeout(flushWrites, WRITE_DELAY_MS);
+}
+
+function queue(date, entry, origin) {
+  pending.set(date, entry);
+  if (origin) pendingOrigins.set(date, origin);
+  else pendingOrigins.delete(date);
+}
+
+// Queue a day for writing. Repeated calls for the same day within the debounce
+// window collapse into a single write of the latest entry. `origin` optionally names
+// the writer, which write listeners receive along with the batch.
+export function saveDay(date, entry, origin = null) {
+  queue(date, entry, origin);
+  scheduleFlush();
+}
+
+// Delete a day. Resolves once the deletion has been written.
+export function removeDay(date, origin = null) {
+  queue(date, null, origin);
+  return flushWrites();
+}
+
+// Observe every day written or deleted (e.g. to track changes for sync). Returns an unsubscribe function.
+export function addWriteListener(fn) {
+  writeListeners.add(fn);
+  return () => writeListeners.delete(fn);
+}
+
+// Don't lose the last debounced edit when the app is backgrounded or the page closes
+AppState.addEventListener('change', (state) => {
+  if (state !== 'active') flushWrites();
+});
+if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+  window.addEventListener('pagehide', () => { flushWrites(); });
+}
@@ -0,0 +1,53 @@
+// Streaks: runs of consecutive calendar days that meet the chosen rule.
+
+import { getFilledSections, SECTIONS } from './entryStatus';
+import { addDays } from './dates';
+
+// Catalog keys of each mode's label
+export const STREAK_MODES = {
+  any: 'streaks.modes.any',
+  complete: 'streaks.modes.complete',
+  noComplaining: 'streaks.modes.noComplaining',
+};
+
+export function dayQualifies(entry, mode = 'any') {
+  const filled = getFilledSections(entry);
+  if (filled.length === 0) return false;
+  if (mode === 'complete') return filled.length === SECTIONS.length;
+  // A logged day without the "Complaining" category ticked
+  if (mode === 'noComplaining') return !entry.midday?.caught?.complaining;
+  return true;
+}
+
+// Returns { current, longest, runs } where runs are [{ start, end, length }] in date
+// order. The current streak may end today or yesterday, since today is still open.
+export function computeStreaks(entries, mode, todayKey) {
+  const dates = Object.keys(entries || {})
+    .filter((date) => date <= todayKey && dayQualifies(entries[date], mode))
+    .sort((a, b) => a.localeCompare(b));
+
+  const runs = [];
+  dates.forEach((date) => {
+    const last = runs[runs.length - 1];
+    if (last && addDays(last.end, 1) === date) {
+      last.end = date;
+      last.length += 1;
+    } else {
+      runs.push({ start: date, end: date, length: 1 });
+    }
+  });
+
+  const lastRun = runs[runs.length - 1];
+  const current = lastRun && (lastRun.end === todayKey || lastRun.end === addDays(todayKey, -1)) ? lastRun.length : 0;
+  const longest = runs.reduce((max, run) => Math.max(max, run.length), 0);
+  return { current, longest, runs };
+}
+
+// Set of dates that belong to a run of at least `minLength` days
+export function getStreakDates(runs, minLength = 2) {
+  const dates = new Set();
+  runs.filter((run) => run.length >= minLength).forEach((run) => {
+    for (let d = run.start; d <= run.end; d = addDays(d, 1)) dates.add(d);
+  });
+  return dates;
+}
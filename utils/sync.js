@@ -0,0 +1,450 @@
+// Optional sync with a self-hosted HTTP endpoint (see server/server.js for a reference
+// implementation). Offline-first: the journal on the device is always the source the
+// UI reads from; sync only exchanges changes in the background.
+//
+// Every day is split into fields ('gratitude.0', 'caught.<id>', 'night.<id>',
+// 'occurrence.<id>', …, see entryFields) and each field carries the time it was last
+// changed on any device. Conflicting edits of the same day are merged field by field,
+// the later change winning, so writing the night reflection on the phone and a
+// gratitude item on the web the same day keeps both. Removed fields are kept as null
+// tombstones and a cleared day as `deletedAt`, so deletions sync too. Times come from
+// each device's clock.
+//
+//   @three_c/sync       { deviceId, cursor, outbox: { date: ISO time }, lastSyncedAt }
+//   @three_c/sync/DATE  { fields: { path: { at, h } }, deletedAt }  h = hash of the value
+//
+// Local writes are noticed through storage.addWriteListener: fields whose value hash
+// changed get a new time and the day is queued in the outbox. A sync is one request,
+//   POST <endpoint>/sync  { deviceId, cursor, days: [record] }
+//   -> { cursor, days: [record] }   record = { date, fields: { path: { value, at } }, deletedAt }
+// pushing the outbox and returning every day changed on the server since `cursor`
+// (already merged with what was pushed). While offline the outbox simply waits.
+
+import { AppState } from 'react-native';
+import { Storage, DeviceStorage, saveDay, removeDay, flushWrites, addWriteListener } from './storage';
+import { normalizeEntry, applyLayout } from './schema';
+import { t } from './i18n';
+
+const STATE_KEY = '@three_c/sync';
+const recordKey = (date) => `${STATE_KEY}/${date}`;
+
+// Background sync cadence while the app is open, and the pause after a local change
+const SYNC_INTERVAL_MS = 60 * 1000;
+const SYNC_AFTER_CHANGE_MS = 5 * 1000;
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+// ---- Fields ---------------------------------------------------------------
+
+// Flatten an entry into { path: value }
+export function entryFields(entry) {
+  const fields = {
+    'layout.gratitudeCount': entry.layout.gratitudeCount,
+    'layout.nightPrompts': entry.layout.nightPrompts,
+    'layout.categories': entry.layout.categories,
+    reframe: entry.midday.reframe,
+  };
+  entry.morning.gratitude.forEach((text, i) => { fields[`gratitude.${i}`] = text; });
+  Object.keys(entry.midday.caught).forEach((id) => { fields[`caught.${id}`] = entry.midday.caught[id]; });
+  entry.midday.occurrences.forEach((o) => { fields[`occurrence.${o.id}`] = o; });
+  Object.keys(entry.night).forEach((id) => { fields[`night.${id}`] = entry.night[id]; });
+  // Tags are one field each, so tags added on two devices are both kept
+  entry.tags.forEach((tag) => { fields[`tag.${tag}`] = true; });
+  entry.midday.reframeTags.forEach((tag) => { fields[`reframeTag.${tag}`] = true; });
+  // Unrated is no field at all, so clearing a rating syncs like a deletion
+  Object.keys(entry.ratings).forEach((kind) => {
+    if (entry.ratings[kind] !== null) fields[`rating.${kind}`] = entry.ratings[kind];
+  });
+  return fields;
+}
+
+// Rebuild an entry from { path: value }; null values (tombstones) and unknown paths are skipped
+export function fieldsToEntry(values) {
+  const raw = { layout: {}, tags: [], morning: { gratitude: [] }, midday: { caught: {}, reframe: '', reframeTags: [], occurrences: [] }, night: {}, ratings: {} };
+  Object.keys(values).forEach((path) => {
+    const value = values[path];
+    if (value === null || value === undefined) return;
+    const dot = path.indexOf('.');
+    const [section, key] = dot === -1 ? [path, ''] : [path.slice(0, dot), path.slice(dot + 1)];
+    if (section === 'layout') raw.layout[key] = value;
+    else if (section === 'gratitude') raw.morning.gratitude[Number(key)] = value;
+    else if (section === 'caught') raw.midday.caught[key] = value;
+    else if (section === 'occurrence') raw.midday.occurrences.push(value);
+    else if (section === 'reframe') raw.midday.reframe = value;
+    else if (section === 'night') raw.night[key] = value;
+    else if (section === 'rating') raw.ratings[key] = value;
+    else if (section === 'tag') raw.tags.push(key);
+    else if (section === 'reframeTag') raw.midday.reframeTags.push(key);
+  });
+  raw.morning.gratitude = Array.from(raw.morning.gratitude, (text) => text ?? '');
+  raw.midday.occurrences.sort((a, b) => String(a.at).localeCompare(String(b.at)));
+  const { entry } = normalizeEntry(raw);
+  return entry && applyLayout(entry, entry.layout);
+}
+
+// Short, stable hash of a field value (only used to notice changes)
+function hashValue(value) {
+  const text = JSON.stringify(value ?? null);
+  let h = 5381;
+  for (let i = 0; i < text.length; i++) h = ((h * 33) ^ text.charCodeAt(i)) >>> 0;
+  return `${h.toString(36)}:${text.length}`;
+}
+const NULL_HASH = hashValue(null);
+
+// Time given to blank fields of a newly created day ('' or unticked), so that starting
+// the same day on another device never wipes text already written there
+const BLANK_AT = new Date(0).toISOString();
+const isBlank = (value) => value === '' || value === false;
+
+// A day counts as deleted when nothing was written after it was cleared
+function isDeleted(record) {
+  return !!record.deletedAt && Object.values(record.fields).every((f) => f.at <= record.deletedAt);
+}
+
+// Per-field last-writer-wins merge of two { path: { value, at } } maps
+export function mergeFields(a, b) {
+  const merged = { ...a };
+  Object.keys(b).forEach((path) => {
+    const mine = merged[path];
+    const theirs = b[path];
+    if (!mine || theirs.at > mine.at
+      || (theirs.at === mine.at && JSON.stringify(theirs.value) > JSON.stringify(mine.value))) {
+      merged[path] = theirs;
+    }
+  });
+  return merged;
+}
+
+// The entry a merged record stands for, or null if the day is deleted
+function recordToEntry(fields, deletedAt) {
+  const values = {};
+  Object.keys(fields).forEach((path) => {
+    if (!deletedAt || fields[path].at > deletedAt) values[path] = fields[path].value;
+  });
+  return Object.keys(values).length ? fieldsToEntry(values) : null;
+}
+
+function sameEntry(a, b) {
+  if (!a || !b) return a === b;
+  const fa = entryFields(a);
+  const fb = entryFields(b);
+  const paths = Object.keys(fa);
+  return paths.length === Object.keys(fb).length && paths.every((path) => hashValue(fa[path]) === hashValue(fb[path]));
+}
+
+// ---- Local state ----------------------------------------------------------
+
+async function readJSONValue(key, fallback) {
+  try {
+    const raw = await Storage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    console.warn(`Could not read ${key}`, e);
+    return fallback;
+  }
+}
+
+const writeJSONValue = (key, value) => Storage.setItem(key, JSON.stringify(value));
+
+function newDeviceId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+async function loadState() {
+  const state = await readJSONValue(STATE_KEY, null);
+  return {
+    deviceId: state?.deviceId || newDeviceId(),
+    cursor: state?.cursor ?? null,
+    outbox: state?.outbox ?? {},
+    lastSyncedAt: state?.lastSyncedAt ?? null,
+  };
+}
+
+const loadRecord = (date) => readJSONValue(recordKey(date), null);
+
+// Every change to sync state goes through this chain, so a local write noticed in the
+// middle of a sync can't be lost between read and write
+let queue = Promise.resolve();
+function serial(fn) {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+// Compare `entry` (null when deleted) with a day's field times and stamp what changed.
+// Returns the updated record, or null when nothing changed. Fields this version of the
+// app doesn't know (synced from a newer one) keep their value in the record and are
+// left alone.
+function stampEntry(record, entry, at) {
+  const next = { fields: { ...(record?.fields ?? {}) }, deletedAt: record?.deletedAt ?? null };
+  if (entry === null) {
+    if (!record || isDeleted(next)) return null;
+    next.deletedAt = at;
+    return next;
+  }
+  // Writing a deleted day again (e.g. restored from Trash) brings all of it back
+  const revive = isDeleted(next);
+  const values = entryFields(entry);
+  let changed = false;
+  Object.keys(values).forEach((path) => {
+    const h = hashValue(values[path]);
+    if (!next.fields[path] && isBlank(values[path])) {
+      next.fields[path] = { at: BLANK_AT, h };
+      changed = true;
+    } else if (revive || next.fields[path]?.h !== h) {
+      next.fields[path] = { at, h };
+      changed = true;
+    }
+  });
+  Object.keys(next.fields).forEach((path) => {
+    const field = next.fields[path];
+    if (!(path in values) && field.h !== NULL_HASH && !('value' in field)) {
+      next.fields[path] = { at, h: NULL_HASH };
+      changed = true;
+    }
+  });
+  return changed ? next : null;
+}
+
+// Record local writes: stamp changed fields and queue the days for the next sync
+function noteLocalWrites(batch, now = new Date()) {
+  return serial(async () => {
+    const at = now.toISOString();
+    const state = await loadState();
+    let queued = false;
+    for (const [date, entry] of batch) {
+      const record = stampEntry(await loadRecord(date), entry, at);
+      if (!record) continue;
+      await writeJSONValue(recordKey(date), record);
+      state.outbox[date] = at;
+      queued = true;
+    }
+    if (queued) await writeJSONValue(STATE_KEY, state);
+    return queued;
+  });
+}
+
+// Catch up with changes made while sync was off: days never stamped, edited or cleared
+async function reconcile(entries, state, at) {
+  const prefix = `${STATE_KEY}/`;
+  const tracked = (await DeviceStorage.getAllKeys())
+    .filter((k) => k.startsWith(prefix))
+    .map((k) => k.slice(prefix.length));
+  const dates = new Set([...Object.keys(entries), ...tracked]);
+  for (const date of dates) {
+    const record = stampEntry(await loadRecord(date), entries[date] ?? null, at);
+    if (!record) continue;
+    await writeJSONValue(recordKey(date), record);
+    state.outbox[date] = at;
+  }
+}
+
+// The outgoing record for a day, values taken from the local journal
+function buildRecord(date, record, entry) {
+  const values = entry ? entryFields(entry) : {};
+  const fields = {};
+  Object.keys(record.fields).forEach((path) => {
+    const { at, value = null } = record.fields[path];
+    fields[path] = { value: path in values ? values[path] : value, at };
+  });
+  return { date, fields, deletedAt: record.deletedAt };
+}
+
+// Field times to store for a merged record, hashed from the entry as it will be saved
+// so that writing it isn't mistaken for a local change
+function stampsFor(fields, entry) {
+  const stored = entry ? entryFields(entry) : {};
+  const stamps = {};
+  Object.keys(fields).forEach((path) => {
+    const { at, value } = fields[path];
+    if (path in stored) stamps[path] = { at, h: hashValue(stored[path]) };
+    else if (value === null || value === undefined) stamps[path] = { at, h: NULL_HASH };
+    else stamps[path] = { at, h: hashValue(value), value };
+  });
+  return stamps;
+}
+
+// ---- Network --------------------------------------------------------------
+
+async function postSync(config, body) {
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timer = controller && setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.token) headers.Authorization = `Bearer ${config.token}`;
+    const response = await fetch(`${config.endpoint.replace(/\/+$/, '')}/sync`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: controller?.signal,
+    });
+    if (!response.ok) {
+      const error = new Error(response.status === 401 ? t('sync.errors.tokenRejected') : t('sync.errors.server', { status: response.status }));
+      error.server = true;
+      throw error;
+    }
+    return response.json();
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+// Push queued days and pull remote changes. `getEntries()` returns the local journal;
+// resolves to { date: entry | null } for every day that changed because of remote edits
+// (already saved). With `catchUp`, changes made while sync was off are found first.
+export async function syncOnce(config, getEntries, { catchUp = false } = {}) {
+  // Pending edits are written (and stamped) before the sync takes its turn
+  await flushWrites();
+  return serial(async () => {
+    const now = new Date().toISOString();
+    const state = await loadState();
+    if (catchUp) await reconcile(getEntries(), state, now);
+
+    const sent = { ...state.outbox };
+    const days = [];
+    for (const date of Object.keys(sent)) {
+      const record = await loadRecord(date);
+      if (record) days.push(buildRecord(date, record, getEntries()[date] ?? null));
+    }
+    const response = await postSync(config, { deviceId: state.deviceId, cursor: state.cursor, days });
+
+    const changes = {};
+    for (const remote of Array.isArray(response?.days) ? response.days : []) {
+      const { date } = remote;
+      // Read the day again: it may have been edited while the request was in flight
+      const localEntry = getEntries()[date] ?? null;
+      let local = await loadRecord(date);
+      const edited = stampEntry(local, localEntry, new Date().toISOString());
+      if (edited) {
+        local = edited;
+        sent[date] = undefined;
+        state.outbox[date] = now;
+      }
+      const mine = local ? buildRecord(date, local, localEntry).fields : {};
+      const fields = mergeFields(mine, remote.fields ?? {});
+      const deletedAt = [local?.deletedAt, remote.deletedAt].filter(Boolean).sort().pop() ?? null;
+      const merged = recordToEntry(fields, deletedAt);
+      await writeJSONValue(recordKey(date), { fields: stampsFor(fields, merged), deletedAt });
+
+      if (sameEntry(merged, localEntry)) continue;
+      changes[date] = merged;
+      if (merged) saveDay(date, merged);
+      else if (localEntry) removeDay(date);
+    }
+
+    // Days edited again while the request was in flight stay queued
+    const latest = await loadState();
+    Object.keys(latest.outbox).forEach((date) => {
+      if (latest.outbox[date] !== sent[date]) state.outbox[date] = latest.outbox[date];
+    });
+    Object.keys(sent).forEach((date) => {
+      if (sent[date] !== undefined && state.outbox[date] === sent[date]) delete state.outbox[date];
+    });
+    state.cursor = response?.cursor ?? state.cursor;
+    state.lastSyncedAt = new Date().toISOString();
+    await writeJSONValue(STATE_KEY, state);
+    return changes;
+  });
+}
+
+// ---- Background sync ------------------------------------------------------
+
+// { state: 'off' | 'idle' | 'syncing' | 'offline' | 'error', lastSyncedAt, pending, error }
+let status = { state: 'off', lastSyncedAt: null, pending: 0, error: null };
+const statusListeners = new Set();
+
+function setStatus(patch) {
+  status = { ...status, ...patch };
+  statusListeners.forEach((fn) => fn(status));
+}
+
+export function getSyncStatus() {
+  return status;
+}
+
+export function addSyncStatusListener(fn) {
+  statusListeners.add(fn);
+  return () => statusListeners.delete(fn);
+}
+
+async function refreshPending() {
+  const state = await loadState();
+  setStatus({ pending: Object.keys(state.outbox).length, lastSyncedAt: state.lastSyncedAt });
+}
+
+let session = null; // { config, caughtUp, getEntries, onRemoteChanges, cleanup }
+
+export function isSyncConfigured(config) {
+  return !!config && config.enabled && /^https?:\/\/\S+$/.test(config.endpoint.trim());
+}
+
+// Sync now. Resolves to true on success; failures are reported through the status.
+export async function requestSync() {
+  const current = session;
+  if (!current || status.state === 'syncing') return false;
+  setStatus({ state: 'syncing', error: null });
+  try {
+    const changes = await syncOnce(current.config, current.getEntries, { catchUp: !current.caughtUp });
+    current.caughtUp = true;
+    if (session !== current) return false;
+    if (Object.keys(changes).length) current.onRemoteChanges(changes);
+    setStatus({ state: 'idle' });
+    await refreshPending();
+    return true;
+  } catch (e) {
+    // Network failures just mean offline; the outbox is kept for the next attempt
+    const offline = !e.server;
+    if (!offline) console.warn('Sync failed', e);
+    setStatus({ state: offline ? 'offline' : 'error', error: offline ? null : e.message });
+    await refreshPending();
+    return false;
+  }
+}
+
+// Start background sync: on start, periodically, shortly after local changes, when the
+// app comes back to the foreground and (on web) when the browser goes back online.
+// `getEntries()` returns the current journal; `onRemoteChanges(changes)` receives the
+// days updated by other devices.
+export function startSync(config, { getEntries, onRemoteChanges }) {
+  stopSync();
+  if (!isSyncConfigured(config)) return;
+  let changeTimer = null;
+  const interval = setInterval(requestSync, SYNC_INTERVAL_MS);
+  const removeWrites = addWriteListener((batch) => {
+    noteLocalWrites(batch)
+      .then((queued) => {
+        if (!queued) return;
+        refreshPending();
+        clearTimeout(changeTimer);
+        changeTimer = setTimeout(requestSync, SYNC_AFTER_CHANGE_MS);
+      })
+      .catch((e) => console.warn('Could not track change for sync', e));
+  });
+  const appState = AppState.addEventListener('change', (state) => {
+    if (state === 'active') requestSync();
+  });
+  const onOnline = () => requestSync();
+  const hasWindow = typeof window !== 'undefined' && typeof window.addEventListener === 'function';
+  if (hasWindow) window.addEventListener('online', onOnline);
+
+  session = {
+    config: { ...config, endpoint: config.endpoint.trim() },
+    caughtUp: false,
+    getEntries,
+    onRemoteChanges,
+    cleanup: () => {
+      clearInterval(interval);
+      clearTimeout(changeTimer);
+      removeWrites();
+      appState.remove();
+      if (hasWindow) window.removeEventListener('online', onOnline);
+    },
+  };
+  setStatus({ state: 'idle', error: null });
+  requestSync();
+}
+
+export function stopSync() {
+  if (session) session.cleanup();
+  session = null;
+  setStatus({ state: 'off', error: null });
+}
@@ -0,0 +1,81 @@
+// Tags: short labels such as "work" or "commute" put on a whole day (entry.tags) or on
+// the midday reframe alone (midday.reframeTags). Tags are stored normalized — lower
+// case, no leading '#', spaces turned into '-' — so "Work" and "#work" are one tag.
+// History and Performance can be narrowed down to the days carrying a tag.
+
+// Where a tag can be attached
+export const TAG_TARGETS = ['day', 'reframe'];
+
+export const MAX_TAG_LENGTH = 30;
+// Tag suggestions shown while typing
+const MAX_SUGGESTIONS = 6;
+
+// The stored form of a typed tag, or '' when nothing usable is left
+export function normalizeTag(text) {
+  if (typeof text !== 'string') return '';
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, '')
+    .replace(/[,;#]/g, '')
+    .replace(/\s+/g, '-')
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+export function getTags(entry, target = 'day') {
+  const tags = target === 'reframe' ? entry?.midday?.reframeTags : entry?.tags;
+  return Array.isArray(tags) ? tags : [];
+}
+
+function withTags(entry, target, tags) {
+  if (target === 'reframe') return { ...entry, midday: { ...entry.midday, reframeTags: tags } };
+  return { ...entry, tags };
+}
+
+// Add typed tags, normalized; empty ones and tags already there are skipped
+export function addTags(entry, target, texts) {
+  const tags = getTags(entry, target);
+  const added = [...new Set(texts.map(normalizeTag))].filter((tag) => tag && !tags.includes(tag));
+  return added.length ? withTags(entry, target, [...tags, ...added]) : entry;
+}
+
+export function removeTag(entry, target, tag) {
+  return withTags(entry, target, getTags(entry, target).filter((t) => t !== tag));
+}
+
+// Whether a day carries `tag`, on the day itself or on its reframe
+export function hasTag(entry, tag) {
+  return TAG_TARGETS.some((target) => getTags(entry, target).includes(tag));
+}
+
+// Every tag used in the journal, most used first (ties alphabetically)
+export function collectTags(entries) {
+  const counts = {};
+  Object.values(entries || {}).forEach((entry) => {
+    new Set([...getTags(entry, 'day'), ...getTags(entry, 'reframe')]).forEach((tag) => {
+      counts[tag] = (counts[tag] || 0) + 1;
+    });
+  });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+}
+
+// Known tags that start with (or, failing that, contain) what has been typed so far,
+// leaving out the ones already attached
+export function suggestTags(known, text, exclude = []) {
+  const typed = normalizeTag(text);
+  const available = known.filter((tag) => !exclude.includes(tag));
+  if (!typed) return available.slice(0, MAX_SUGGESTIONS);
+  const starts = available.filter((tag) => tag.startsWith(typed) && tag !== typed);
+  const contains = available.filter((tag) => !tag.startsWith(typed) && tag.includes(typed));
+  return [...starts, ...contains].slice(0, MAX_SUGGESTIONS);
+}
+
+// Only the days carrying `tag` (all days when no tag is chosen)
+export function filterByTag(entries, tag) {
+  if (!tag) return entries;
+  const filtered = {};
+  Object.keys(entries || {}).forEach((date) => {
+    if (hasTag(entries[date], tag)) filtered[date] = entries[date];
+  });
+  return filtered;
+}
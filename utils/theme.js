@@ -0,0 +1,106 @@
+// Color palettes for the light and dark themes, and the appearance preference
+// ('system' follows the device setting). Components read the active palette through
+// ThemeContext; nothing outside this file should hardcode a UI color. Category colors
+// (prompts.js) and chart series colors are data and look the same in both themes.
+
+// Appearance preference -> translation key of its name in Settings
+export const THEME_MODES = {
+  system: 'settings.theme.system',
+  light: 'settings.theme.light',
+  dark: 'settings.theme.dark',
+};
+
+export const LIGHT_COLORS = {
+  background: '#fff',
+  surface: '#f7f7f8', // settings sections, chart cards
+  card: '#fff', // rows and inputs on a surface
+  text: '#222',
+  textStrong: '#000',
+  textSecondary: '#444',
+  muted: '#666',
+  faint: '#888',
+  placeholder: '#88888888',
+  border: '#ddd',
+  divider: '#eee',
+  primary: '#0b7cff',
+  primarySoft: '#eaf4ff',
+  onPrimary: '#fff',
+  danger: '#dc2626',
+  onDanger: '#fff',
+  disabled: '#c5c5c5',
+  backdrop: '#00000088',
+  shadow: '#000',
+  toast: 'rgba(33,37,41,0.95)',
+  onToast: '#fff',
+  toastAction: '#7cc0ff',
+  highlight: '#fff3a3',
+  selection: '#b3e0ff', // selected day, days inside a picked range
+  success: '#10b981',
+  successSoft: '#e0ffe0', // partly filled day
+  successStrong: '#86d98a', // fully filled day
+  streak: '#fb923c',
+  trophy: '#eab308',
+  warning: '#b45309',
+  chartLabel: '33, 37, 41', // rgb triplet, combined with an opacity by chart code
+};
+
+export const DARK_COLORS = {
+  background: '#121212',
+  surface: '#1c1c1f',
+  card: '#26272b',
+  text: '#e8e8ea',
+  textStrong: '#fff',
+  textSecondary: '#c8c8cc',
+  muted: '#a0a0a8',
+  faint: '#85858d',
+  placeholder: '#a0a0a888',
+  border: '#3a3b40',
+  divider: '#2c2d31',
+  primary: '#4da3ff',
+  primarySoft: '#1b3250',
+  onPrimary: '#fff',
+  danger: '#f87171',
+  onDanger: '#1a0505',
+  disabled: '#55565c',
+  backdrop: '#000000aa',
+  shadow: '#000',
+  toast: 'rgba(58,60,66,0.97)',
+  onToast: '#fff',
+  toastAction: '#7cc0ff',
+  highlight: '#6b5a00',
+  selection: '#1e4f7a',
+  success: '#34d399',
+  successSoft: '#123524',
+  successStrong: '#1f6b36',
+  streak: '#f97316',
+  trophy: '#facc15',
+  warning: '#f59e0b',
+  chartLabel: '232, 232, 234',
+};
+
+// 'light' or 'dark' for a preference and the device's current scheme (null when unknown)
+export function resolveScheme(mode, systemScheme) {
+  if (mode === 'light' || mode === 'dark') return mode;
+  return systemScheme === 'dark' ? 'dark' : 'light';
+}
+
+export function getColors(scheme) {
+  return scheme === 'dark' ? DARK_COLORS : LIGHT_COLORS;
+}
+
+// Theme for react-native-calendars
+export function calendarTheme(colors) {
+  return {
+    calendarBackground: colors.card,
+    backgroundColor: colors.card,
+    dayTextColor: colors.text,
+    monthTextColor: colors.text,
+    textSectionTitleColor: colors.muted,
+    textDisabledColor: colors.disabled,
+    todayTextColor: colors.primary,
+    selectedDayBackgroundColor: colors.primary,
+    selectedDayTextColor: colors.onPrimary,
+    arrowColor: colors.primary,
+    dotColor: colors.primary,
+  };
+}
@@ -0,0 +1,124 @@
+// Trash: cleared days are moved here instead of being deleted, and kept for
+// TRASH_RETENTION_DAYS before they are purged for good. Trashed days are not part of
+// the journal, so History, Performance, Search and reminders never see them.
+//
+//   @three_c/trash  { schemaVersion, items: [{ id, date, entry, deletedAt }] }
+//
+// Items are stored with the schema version they were written under and upgraded on
+// load like any other day, so a restored day always has the current shape. Trash
+// written by a newer app version is never rewritten in this version's shape: its items
+// keep the form they were stored in. Purging a day (by hand or once it expires) also
+// deletes its stored revisions, which hold the same text, unless the journal or another
+// trashed copy still has that date.
+
+import { Storage, saveDay, removeDay, flushWrites, hasPendingWrite, hasDay } from './storage';
+import { SCHEMA_VERSION, upgradeStore, isSchemaVersion } from './schema';
+import { removeRevisions } from './revisions';
+
+const TRASH_KEY = '@three_c/trash';
+
+export const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isExpired(item, now) {
+  return now - Date.parse(item.deletedAt) > TRASH_RETENTION_DAYS * DAY_MS;
+}
+
+// { version, newer, items, stored }: `items` upgraded to the current shape, `stored`
+// the items as read (id -> item), kept so a newer version's trash can be written back
+// untouched
+async function readTrash() {
+  const trash = { version: SCHEMA_VERSION, newer: false, items: [], stored: new Map() };
+  try {
+    const raw = await Storage.getItem(TRASH_KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    if (!data || !Array.isArray(data.items)) return trash;
+    trash.version = isSchemaVersion(data.schemaVersion) ? data.schemaVersion : SCHEMA_VERSION;
+    data.items
+      .filter((item) => item && typeof item.date === 'string' && typeof item.deletedAt === 'string')
+      .forEach((item) => {
+        const { store, newer } = upgradeStore({ schemaVersion: trash.version, entries: { [item.date]: item.entry }, quarantine: {} });
+        if (newer) trash.newer = true;
+        if (!store.entries[item.date]) return;
+        trash.items.push({ ...item, entry: store.entries[item.date] });
+        trash.stored.set(item.id, item);
+      });
+  } catch (e) {
+    console.warn('Could not read trash', e);
+  }
+  return trash;
+}
+
+function writeTrash(trash, items) {
+  if (trash.newer) {
+    return Storage.setItem(TRASH_KEY, JSON.stringify({
+      schemaVersion: trash.version,
+      items: items.map((item) => trash.stored.get(item.id) ?? item),
+    }));
+  }
+  return Storage.setItem(TRASH_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, items }));
+}
+
+// Write `kept` and delete the revisions of the purged days whose date is neither in the
+// journal nor on another item still in the trash
+async function purgeItems(trash, kept) {
+  await writeTrash(trash, kept);
+  const purged = trash.items
+    .filter((item) => !kept.includes(item))
+    .map((item) => item.date)
+    .filter((date) => !hasDay(date) && !kept.some((item) => item.date === date));
+  if (purged.length) await removeRevisions([...new Set(purged)]);
+}
+
+// The trash without its expired items, which are purged on the way (unless the trash
+// belongs to a newer app version, which is left as it is)
+async function openTrash(now) {
+  const trash = await readTrash();
+  const kept = trash.items.filter((item) => !isExpired(item, now));
+  if (kept.length !== trash.items.length && !trash.newer) await purgeItems(trash, kept);
+  return { trash, items: kept };
+}
+
+// Trashed days, most recently deleted first. Expired items are purged on the way.
+export async function loadTrash(now = Date.now()) {
+  const { items } = await openTrash(now);
+  return items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+// Move a day's entry to the trash and remove it from the journal (`origin` as for
+// removeDay). Resolves to the trash item.
+export async function trashDay(date, entry, origin = null, now = new Date()) {
+  const item = { id: `${date}@${now.getTime().toString(36)}`, date, entry, deletedAt: now.toISOString() };
+  const { trash, items } = await openTrash(now.getTime());
+  await writeTrash(trash, [item, ...items]);
+  await removeDay(date, origin);
+  return item;
+}
+
+// Take an item out of the trash and put it back in the journal. If the day has been
+// written again since (it is in `entries`), `merge(existing, trashed)` decides the
+// restored entry (`origin` as for saveDay). Resolves to the saved `{ date, entry }`, or
+// null if the item is gone.
+export async function restoreFromTrash(id, entries = {}, merge = null, origin = null) {
+  const { trash, items } = await openTrash(Date.now());
+  const item = items.find((i) => i.id === id);
+  if (!item) return null;
+  const existing = entries[item.date];
+  const entry = existing && merge ? merge(existing, item.entry) : item.entry;
+  // The day must be on disk before it leaves the trash, or a crash in between loses it
+  saveDay(item.date, entry, origin);
+  await flushWrites();
+  if (hasPendingWrite(item.date)) throw new Error(`Could not save ${item.date}`);
+  await writeTrash(trash, items.filter((i) => i.id !== id));
+  return { date: item.date, entry };
+}
+
+// Permanently delete one item, or everything when `id` is omitted
+export async function purgeTrash(id = null) {
+  const { trash, items } = await openTrash(Date.now());
+  await purgeItems({ ...trash, items }, id ? items.filter((i) => i.id !== id) : []);
+}
+
+export function daysLeftInTrash(item, now = Date.now()) {
+  return Math.max(0, Math.ceil((Date.parse(item.deletedAt) + TRASH_RETENTION_DAYS * DAY_MS - now) / DAY_MS));
+}